@@ -32,6 +32,12 @@ class ApplicationController < ActionController::Base
 
   helper_method :current_user
 
+  # Let the service worker keep this page as an offline snapshot
+  # (app/views/pwa/service-worker.js)
+  def allow_offline_snapshot
+    response.headers["X-Offline-Snapshot"] = "allowed"
+  end
+
   # Set the active menu item for navigation highlighting
   def set_active_menu(item)
     @active_menu = item
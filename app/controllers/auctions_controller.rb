@@ -24,6 +24,7 @@ class AuctionsController < ApplicationController
     amount = params[:amount].to_d
 
     @auction.place_bid!(Current.user, amount)
+    Current.user.broadcast_credits(reason: "Bid on #{@auction.system.name}", category: "purchase")
 
     respond_to do |format|
       format.html { redirect_to auction_path(@auction), notice: "Bid placed successfully!" }
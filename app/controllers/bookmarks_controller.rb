@@ -1,5 +1,6 @@
 class BookmarksController < ApplicationController
   before_action :set_bookmark, only: [:update, :destroy, :warp_route]
+  before_action :allow_offline_snapshot, only: [:index]
 
   def index
     @bookmarks = current_user.bookmarks.includes(:system)
@@ -69,8 +70,55 @@ class BookmarksController < ApplicationController
     end
   end
 
+  # Multi-hop warp route planner: waypoints picked from bookmarks and
+  # visited systems (warp_planner_controller.js)
+  def planner
+    @ship = current_user.ships.operational.first
+    @bookmarks = current_user.bookmarks.includes(:system)
+    @visited_systems = System.joins(:system_visits).where(system_visits: { user_id: current_user.id }).order(:name)
+  end
+
+  # The plan for waypoints in the order given, with better orderings
+  def plan
+    ship = current_user.ships.operational.first
+    return render(json: { error: "No operational ship available" }, status: :unprocessable_entity) unless ship
+    return render(json: { error: "Ship must be docked at a system to warp" }, status: :unprocessable_entity) unless ship.current_system
+
+    ids = Array(params[:system_ids]).map(&:to_i)
+    systems = System.where(id: ids).index_by(&:id)
+    waypoints = ids.filter_map { |id| systems[id] }
+    options = { fuel: ship.fuel, fuel_capacity: ship.fuel_capacity }
+
+    render json: {
+      fuel: ship.fuel.to_f,
+      fuel_capacity: ship.fuel_capacity.to_f,
+      plan: plan_json(WarpRouteService.plan(ship.current_system, waypoints, **options)),
+      alternatives: WarpRouteService.alternatives(ship.current_system, waypoints, **options).map do |alternative|
+        plan_json(alternative).merge(order: alternative[:order].map(&:id))
+      end
+    }
+  end
+
   private
 
+  def plan_json(plan)
+    {
+      legs: plan[:legs].map { |leg| { to: system_json(leg[:to]), hops: leg[:hops] } },
+      hops: plan[:hops].map do |hop|
+        hop.merge(from: system_json(hop[:from]), to: system_json(hop[:to]), fuel_cost: hop[:fuel_cost].to_f,
+                  fuel_before: hop[:fuel_before].round(1), fuel_after: hop[:fuel_after].round(1))
+      end,
+      total_hops: plan[:total_hops],
+      fuel_cost: plan[:fuel_cost].to_f,
+      refuels: plan[:refuels],
+      unreachable: plan[:unreachable] && system_json(plan[:unreachable])
+    }
+  end
+
+  def system_json(system)
+    { id: system.id, name: system.name }
+  end
+
   def set_bookmark
     @bookmark = current_user.bookmarks.find(params[:id])
   end
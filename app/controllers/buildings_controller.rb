@@ -93,6 +93,7 @@ class BuildingsController < ApplicationController
       current_user.deduct_building_cost!(function: @building.function, tier: @building.tier, race: @building.race)
 
       if @building.save
+        current_user.broadcast_credits(reason: "Started building #{@building.name}", category: "purchase")
         redirect_to @building, notice: "Building construction started!"
       else
         # Rollback will restore credits
@@ -120,6 +121,7 @@ class BuildingsController < ApplicationController
 
     begin
       @building.upgrade!(user: current_user)
+      current_user.broadcast_credits(reason: "Upgraded #{@building.name} to Tier #{@building.tier}", category: "upgrade")
       redirect_to @building, notice: "Building upgraded to Tier #{@building.tier}!"
     rescue User::InsufficientCreditsError => e
       redirect_to @building, alert: "Upgrade failed: #{e.message}"
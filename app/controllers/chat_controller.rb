@@ -1,25 +1,90 @@
 class ChatController < ApplicationController
   before_action :set_active_menu
+  before_action :set_channel
 
+  # GET /chat?channel=Trade
+  # The newest page of the channel; with before=<id> (turbo_stream) the page
+  # of older messages above it, for chat_controller.js history paging.
+  # A before that isn't an id is ignored.
   def index
-    @channels = ["Global", "Trade", "Guild"]
-    @current_channel = params[:channel] || "Global"
-    @messages = [] # TODO: Load from chat system
-
-    @breadcrumbs = [
-      { name: current_user.name, path: root_path },
-      { name: "Chat" }
-    ]
+    @channels = ChatMessage::CHANNELS
+    @messages = ChatMessage.page(@current_channel, before_id: Integer(params[:before], exception: false))
+    @more = @messages.any? && ChatMessage.in_channel(@current_channel).before(@messages.first.id).exists?
+
+    respond_to do |format|
+      format.html do
+        last_read_id = current_user.chat_read_id(@current_channel)
+        @first_unread_id = @messages.find { |message| message.id > last_read_id && message.user_id != current_user.id }&.id
+        @unread_counts = current_user.chat_unread_counts.merge(@current_channel => 0)
+        current_user.mark_chat_read!(@current_channel, @messages.last.id) if @messages.any?
+
+        @breadcrumbs = [
+          { name: current_user.name, path: root_path },
+          { name: "Chat" }
+        ]
+      end
+      format.turbo_stream
+    end
   end
 
+  # POST /chat
+  # The sender sees the message at once; everyone else gets the broadcast.
+  # kind=emote posts a /me action; kind=whisper (with recipient) goes to
+  # that player's inbox instead of the channel.
   def create
-    # TODO: Implement chat message creation
-    redirect_to chat_index_path
+    return whisper if params[:kind] == "whisper"
+
+    @message = current_user.chat_messages.build(channel: @current_channel, body: params[:message], emote: params[:kind] == "emote")
+
+    if @message.save
+      current_user.mark_chat_read!(@current_channel, @message.id)
+      respond_to do |format|
+        format.turbo_stream
+        format.html { redirect_to chat_index_path(channel: @current_channel) }
+      end
+    else
+      reject_message(@message.errors.full_messages.to_sentence)
+    end
+  end
+
+  # PATCH /chat/read
+  # Messages that arrived live and were scrolled into view
+  def read
+    current_user.mark_chat_read!(@current_channel, params[:message_id])
+    head :no_content
   end
 
   private
 
+  def whisper
+    recipient = User.where.not(id: current_user.id).find_by("LOWER(name) = ?", params[:recipient].to_s.strip.downcase)
+    body = params[:message].to_s.strip
+
+    return reject_message("No player named #{params[:recipient]}") unless recipient
+    return reject_message("Whisper can't be blank") if body.blank?
+    return reject_message("Whisper is too long (maximum is #{ChatMessage::MAX_LENGTH} characters)") if body.length > ChatMessage::MAX_LENGTH
+
+    current_user.whisper!(recipient, body)
+    @notice = "Whisper sent to #{recipient.name}"
+    respond_to do |format|
+      format.turbo_stream { render :whisper }
+      format.html { redirect_to chat_index_path(channel: @current_channel), notice: @notice }
+    end
+  end
+
+  def reject_message(error)
+    @error = error
+    respond_to do |format|
+      format.turbo_stream { render :error, status: :unprocessable_entity }
+      format.html { redirect_to chat_index_path(channel: @current_channel), alert: @error }
+    end
+  end
+
+  def set_channel
+    @current_channel = ChatMessage::CHANNELS.include?(params[:channel]) ? params[:channel] : ChatMessage::CHANNELS.first
+  end
+
   def set_active_menu
     super(:chat)
   end
-end
\ No newline at end of file
+end
@@ -21,6 +21,14 @@ class ExplorationController < ApplicationController
     end
   end
 
+  # Coverage and next-move previews for the exploration radar
+  def radar
+    ship = current_user.ships.operational.first
+    return render(json: { error: "No operational ship" }, status: :not_found) unless ship
+
+    render json: ExplorationService.new(current_user, ship).radar(directions: DIRECTION_MAP)
+  end
+
   def single_direction
     direction_key = params[:direction]
 
@@ -1,28 +1,52 @@
 class InboxController < ApplicationController
   before_action :set_active_menu
-  before_action :set_message, only: [:show, :mark_read, :mark_unread, :destroy]
+  before_action :set_message, only: [:show, :mark_read, :mark_unread, :act, :destroy]
 
   def index
-    @messages = current_user.messages.recent_first
+    @messages = current_user.messages.recent_first.includes(:asset)
   end
 
   def show
     @message.mark_read! if @message.unread?
   end
 
+  # The turbo_stream responses serve inbox_list_controller's batch actions,
+  # one request per selected message
+
   def mark_read
     @message.mark_read!
-    redirect_to inbox_index_path
+    respond_to do |format|
+      format.turbo_stream { render turbo_stream: turbo_stream.replace(@message, partial: "inbox/message", locals: { message: @message }) }
+      format.html { redirect_to inbox_index_path }
+    end
   end
 
   def mark_unread
     @message.update!(read_at: nil)
-    redirect_to inbox_index_path
+    respond_to do |format|
+      format.turbo_stream { render turbo_stream: turbo_stream.replace(@message, partial: "inbox/message", locals: { message: @message }) }
+      format.html { redirect_to inbox_index_path }
+    end
+  end
+
+  # Performs one of the message's numbered actions for inbox_actions_controller
+  # and replaces its actions block, so the outcome shows where it was asked for
+  def act
+    result = InboxActionService.new(@message).perform!(params[:index].to_i)
+    @error = result[:error]
+
+    respond_to do |format|
+      format.turbo_stream { render status: (@error ? :unprocessable_entity : :ok) }
+      format.html { redirect_to inbox_path(@message), (@error ? { alert: @error } : { notice: result[:status] }) }
+    end
   end
 
   def destroy
     @message.destroy
-    redirect_to inbox_index_path, notice: "Message deleted"
+    respond_to do |format|
+      format.turbo_stream { render turbo_stream: turbo_stream.remove(@message) }
+      format.html { redirect_to inbox_index_path, notice: "Message deleted" }
+    end
   end
 
   private
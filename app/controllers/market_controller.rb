@@ -2,6 +2,7 @@ class MarketController < ApplicationController
   before_action :set_system
   before_action :set_active_menu
   before_action :set_system_visit, only: [:index]
+  before_action :allow_offline_snapshot, only: [:index]
   before_action :require_marketplace, only: [:buy, :sell]
 
   def index
@@ -15,7 +16,9 @@ class MarketController < ApplicationController
     end
 
     # Check if player has a ship docked at this system (real-time market access)
-    @has_ship_docked = current_user.ships.exists?(current_system: @system, status: "docked")
+    # The trading ship's hold feeds the trade calculator's cargo checks
+    @trading_ship = current_user.ships.find_by(current_system: @system, status: "docked")
+    @has_ship_docked = @trading_ship.present?
 
     # Generate market data based on presence
     @market_data = generate_market_data
@@ -110,7 +113,8 @@ class MarketController < ApplicationController
       format.turbo_stream do
         current_user.reload
         render turbo_stream: [
-          turbo_stream.replace("user_credits", partial: "shared/credits"),
+          turbo_stream.replace("user_credits", partial: "shared/credits",
+                               locals: { reason: "Bought #{quantity} #{commodity} at #{@system.name}", category: "trade" }),
           turbo_stream.update("flash_messages", partial: "shared/flash_message", locals: { message: notice, type: "notice" })
         ]
       end
@@ -181,7 +185,8 @@ class MarketController < ApplicationController
       format.turbo_stream do
         current_user.reload
         render turbo_stream: [
-          turbo_stream.replace("user_credits", partial: "shared/credits"),
+          turbo_stream.replace("user_credits", partial: "shared/credits",
+                               locals: { reason: "Sold #{quantity} #{commodity} at #{@system.name}", category: "trade" }),
           turbo_stream.update("flash_messages", partial: "shared/flash_message", locals: { message: notice, type: "notice" })
         ]
       end
@@ -399,6 +404,7 @@ class MarketController < ApplicationController
     return if total_tax <= 0
     
     @system.owner.update!(credits: @system.owner.credits + total_tax)
+    @system.owner.broadcast_credits(reason: "Tax on #{quantity} #{trade_type == :buy ? "bought" : "sold"} at #{@system.name}", category: "tax")
     total_tax
   end
   
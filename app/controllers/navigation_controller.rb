@@ -13,6 +13,9 @@ class NavigationController < ApplicationController
     # Get nearby systems within conventional travel range
     @nearby_systems = build_nearby_systems
 
+    # Systems, gates and ships around the ship for the ASCII sector map
+    @sector_map = SectorMapService.new(current_user, @ship, center: @current_system).call
+
     # Pre-select destination if passed from system show page
     @requested_destination = System.find_by(id: params[:destination_id])
 
@@ -14,24 +14,30 @@ class ProfileController < ApplicationController
   end
 
   # PATCH /profile
-  # Updates the user's profile information
+  # Updates the user's profile information. Preference syncs (keymap, sound
+  # volumes, inbox views) PATCH here too, so only a submitted name completes
+  # the profile setup.
   def update
     @user = current_user
 
     if @user.update(profile_params)
-      @user.complete_profile!
+      @user.complete_profile! if profile_params.key?(:name)
       respond_to do |format|
         format.turbo_stream
         format.html { redirect_to profile_path, notice: "Profile updated successfully." }
+        format.json { head :no_content }
       end
     else
-      render :edit, status: :unprocessable_entity
+      respond_to do |format|
+        format.html { render :edit, status: :unprocessable_entity }
+        format.json { render json: { errors: @user.errors.full_messages }, status: :unprocessable_entity }
+      end
     end
   end
 
   private
 
   def profile_params
-    params.require(:user).permit(:name, :sound_enabled)
+    params.require(:user).permit(:name, :sound_enabled, :announcer_verbosity, keymap: {}, sound_volumes: {}, inbox_views: {})
   end
 end
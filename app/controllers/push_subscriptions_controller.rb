@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+# Stores and removes the current browser's Web Push subscription.
+# Called from push_subscription_controller.js on the profile settings page.
+class PushSubscriptionsController < ApplicationController
+  skip_before_action :require_profile_setup
+
+  # POST /push_subscription
+  # Body: the browser's PushSubscription#toJSON ({ endpoint, keys: { p256dh, auth } })
+  # An endpoint another player already registered is refused rather than
+  # moved over, so nobody can redirect someone else's notifications
+  # Endpoints that aren't a browser push service fail validation
+  # (PushSubscription::PUSH_SERVICE_HOSTS), since the server POSTs to them
+  def create
+    endpoint = subscription_params[:endpoint]
+    if PushSubscription.where(endpoint: endpoint).where.not(user: current_user).exists?
+      render json: { errors: ["Endpoint is registered to another player"] }, status: :unprocessable_entity
+      return
+    end
+
+    subscription = current_user.push_subscriptions.find_or_initialize_by(endpoint: endpoint)
+    subscription.assign_attributes(
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent
+    )
+
+    if subscription.save
+      head :created
+    else
+      render json: { errors: subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /push_subscription
+  # Body: { endpoint }
+  def destroy
+    current_user.push_subscriptions.where(endpoint: subscription_params[:endpoint]).destroy_all
+    head :no_content
+  end
+
+  private
+
+  def subscription_params
+    params.require(:subscription).permit(:endpoint, keys: [:p256dh, :auth])
+  end
+end
@@ -52,6 +52,7 @@ class RecruitersController < ApplicationController
 
       # Deduct credits
       current_user.decrement!(:credits, hire_cost)
+      current_user.broadcast_credits(reason: "Hired #{hiring.hired_recruit.name}", category: "wages")
 
       redirect_to worker_path(hiring.hired_recruit), notice: "Successfully hired #{hiring.hired_recruit.name}!"
     rescue Recruit::AlreadyHiredError, Recruit::NotAvailableError
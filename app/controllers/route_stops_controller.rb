@@ -56,17 +56,22 @@ class RouteStopsController < ApplicationController
 
   # PATCH /routes/:route_id/stops/:id/reorder
   # Move a stop to a new position
+  # An out-of-range move re-renders the saved order so the editor can roll back
   def reorder
     to_index = params[:to].to_i
-    @route.reorder_stop(from: @stop_index, to: to_index)
 
-    if @route.save
+    if @route.reorder_stop(from: @stop_index, to: to_index) && @route.save
       respond_to do |format|
         format.turbo_stream
         format.html { redirect_to edit_stops_route_path(@route) }
       end
     else
-      render :error, status: :unprocessable_entity
+      @route.reload
+      @error = "Could not move stop #{@stop_index + 1} to position #{to_index + 1}"
+      respond_to do |format|
+        format.turbo_stream { render :reorder, status: :unprocessable_entity }
+        format.html { redirect_to edit_stops_route_path(@route), alert: @error }
+      end
     end
   end
 
@@ -1,6 +1,7 @@
 class RoutesController < ApplicationController
   before_action :set_active_menu
   before_action :set_route, only: [:show, :destroy, :pause, :resume, :edit_stops]
+  before_action :allow_offline_snapshot, only: [:index, :show]
 
   def index
     @routes = current_user.routes.includes(:ship)
@@ -2,6 +2,7 @@ class ShipsController < ApplicationController
   before_action :set_active_menu
   before_action :check_ship_arrivals
   before_action :set_ship, only: [:show, :repair, :assign_crew, :set_navigation, :upgrade, :refuel]
+  before_action :allow_offline_snapshot, only: [:index, :show]
 
   def index
     @ships = current_user.ships.includes(:current_system, :crew)
@@ -100,6 +101,7 @@ class ShipsController < ApplicationController
         current_user.deduct_ship_cost!(hull_size: @ship.hull_size, race: @ship.race)
 
         if @ship.save
+          current_user.broadcast_credits(reason: "Bought #{@ship.name}", category: "purchase")
           redirect_to @ship, notice: "Ship purchased successfully!"
         else
           # Rollback will restore credits
@@ -129,7 +131,11 @@ class ShipsController < ApplicationController
         format.html { redirect_to @ship, notice: "Ship repaired to full hull integrity!" }
         format.turbo_stream {
           flash.now[:notice] = "Ship repaired to full hull integrity!"
-          render turbo_stream: turbo_stream.replace("ship_details", partial: "ships/details", locals: { ship: @ship })
+          render turbo_stream: [
+            turbo_stream.replace("ship_details", partial: "ships/details", locals: { ship: @ship }),
+            turbo_stream.replace("user_credits", partial: "shared/credits",
+                                 locals: { user: current_user.reload, reason: "Repaired #{@ship.name}", category: "repair" })
+          ]
         }
       end
     else
@@ -149,7 +155,8 @@ class ShipsController < ApplicationController
           flash.now[:notice] = "Refueled #{amount} units!"
           render turbo_stream: [
             turbo_stream.replace("ship_fuel", partial: "ships/fuel", locals: { ship: @ship }),
-            turbo_stream.replace("user_credits", partial: "shared/credits", locals: { user: current_user.reload }),
+            turbo_stream.replace("user_credits", partial: "shared/credits",
+                                 locals: { user: current_user.reload, reason: "Refueled #{@ship.name} (#{amount} units)", category: "fuel" }),
             turbo_stream.replace("flash", partial: "shared/flash")
           ]
         }
@@ -177,7 +184,8 @@ class ShipsController < ApplicationController
           flash.now[:notice] = "#{attribute.humanize} upgraded!"
           render turbo_stream: [
             turbo_stream.replace("ship_upgrades", partial: "ships/upgrades", locals: { ship: @ship }),
-            turbo_stream.replace("user_credits", partial: "shared/credits", locals: { user: current_user }),
+            turbo_stream.replace("user_credits", partial: "shared/credits",
+                                 locals: { user: current_user, reason: "Upgraded #{@ship.name}'s #{attribute.humanize.downcase}", category: "upgrade" }),
             turbo_stream.replace("flash", partial: "shared/flash")
           ]
         }
@@ -60,6 +60,7 @@ class WorkersController < ApplicationController
       hire_cost = recruit.base_wage * 2 # Two weeks advance
       if current_user.credits >= hire_cost
         current_user.decrement!(:credits, hire_cost)
+        current_user.broadcast_credits(reason: "Hired #{hired_recruit.name}", category: "wages")
         redirect_to worker_path(hired_recruit), notice: "Successfully hired #{hired_recruit.name}!"
       else
         hiring.destroy
@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+# Rendering and composer data for the chat page (chat_controller.js)
+module ChatHelper
+  # Game references the composer writes into messages:
+  #   [[system:<short_id>]], [[ship:<short_id>]], [[commodity:<name>@<system short_id>]]
+  REFERENCE = /\[\[(system|ship|commodity):([^\]@]+)(?:@([^\]]+))?\]\]/
+
+  # Message text with its game references linked into the content panel
+  # References that no longer resolve are left as typed.
+  # @param message [ChatMessage]
+  # @return [ActiveSupport::SafeBuffer]
+  def chat_message_body(message)
+    body = message.body
+    parts = []
+    position = 0
+
+    body.scan(REFERENCE) do
+      match = Regexp.last_match
+      parts << body[position...match.begin(0)]
+      parts << (chat_reference(*match.captures, author: message.user) || match[0])
+      position = match.end(0)
+    end
+    parts << body[position..]
+
+    safe_join(parts)
+  end
+
+  # Where /loc says the player is: their current ship and its system or
+  # deep-space coordinates
+  # @param user [User]
+  # @return [Hash] { ship:, system:, coordinates: [x, y, z] }, empty without a ship
+  def chat_location(user)
+    ship = user.current_ship
+    return {} unless ship
+
+    system = ship.current_system if ship.status == "docked"
+    coordinates = system ? [system.x, system.y, system.z] : [ship.location_x, ship.location_y, ship.location_z]
+    { ship: ship.short_id, system: system&.short_id, coordinates: coordinates.compact }
+  end
+
+  # Link (or plain name) for one reference, nil when it doesn't resolve
+  # @param author [User] who wrote the message; only their ships resolve
+  def chat_reference(type, id, system_id = nil, author: nil)
+    case type
+    when "system"
+      system = System.find_by(short_id: id)
+      chat_link(system.name, system_path(system)) if system
+    when "ship"
+      # Ship pages and whereabouts are private: a ship is only named, and
+      # only the author's. Where it was is in the /loc card's system reference.
+      author&.ships&.find_by(short_id: id)&.name
+    when "commodity"
+      system = System.find_by(short_id: system_id) if system_id
+      chat_link(id, system_market_index_path(system)) if system && (Minerals.names + Components.names).include?(id)
+    end
+  end
+
+  # Chat links open in the content panel, like the menu
+  def chat_link(text, path, **options)
+    link_to text, path,
+      class: "text-orange-400 hover:underline",
+      data: { turbo_frame: "content_panel", turbo_action: "advance" },
+      **options
+  end
+end
@@ -0,0 +1,19 @@
+module CommandConsoleHelper
+  # Names the command console can complete and resolve.
+  # Only includes what the player already knows: visited systems, their own
+  # operational ships and bookmarks, plus the tradeable commodity list.
+  def command_console_catalog(user)
+    {
+      systems: user.visited_systems.distinct.map { |system|
+        { id: system.id, short_id: system.short_id, name: system.name }
+      },
+      ships: user.ships.operational.includes(:current_system).map { |ship|
+        { short_id: ship.short_id, name: ship.name, status: ship.status, system_id: ship.current_system&.short_id }
+      },
+      bookmarks: user.bookmarks.includes(:system).map { |bookmark|
+        { id: bookmark.id, name: bookmark.label.presence || bookmark.system.name }
+      },
+      commodities: Minerals.names + Components.names
+    }
+  end
+end
@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+# Pending timers shown in the layout's ETA tray: ships in transit, buildings
+# under construction and the next recruit pool refresh, soonest first.
+module EtaTrayHelper
+  # @param user [User]
+  # @return [Array<Hash>] { id:, icon:, label:, at:, path: }
+  def eta_tray_items(user)
+    now = Time.current
+    items = []
+
+    user.ships.in_transit.where("arrival_at > ?", now).includes(:destination_system).each do |ship|
+      items << {
+        id: dom_id(ship, :eta),
+        icon: "🚀",
+        label: "#{ship.name} → #{ship.destination_system&.name || 'Unknown'}",
+        at: ship.arrival_at,
+        path: ship_path(ship)
+      }
+    end
+
+    user.buildings.under_construction.where("construction_ends_at > ?", now).each do |building|
+      items << {
+        id: dom_id(building, :eta),
+        icon: "🏗️",
+        label: "#{building.name} construction",
+        at: building.construction_ends_at,
+        path: building_path(building)
+      }
+    end
+
+    next_refresh = Recruit.available_for(user).minimum(:expires_at)
+    if next_refresh
+      items << {
+        id: "recruit_pool_eta",
+        icon: "👥",
+        label: "Recruit pool refresh",
+        at: next_refresh,
+        path: recruiters_path
+      }
+    end
+
+    items.sort_by { |item| item[:at] }
+  end
+end
@@ -0,0 +1,27 @@
+# frozen_string_literal: true
+
+# Exploration page helpers
+module ExplorationHelper
+  RADAR_PREVIEW_ACTIONS = %w[
+    mouseenter->exploration-radar#preview
+    focusin->exploration-radar#preview
+    mouseleave->exploration-radar#clearPreview
+    focusout->exploration-radar#clearPreview
+  ].join(" ").freeze
+
+  # Form options for an exploration mode's button_to, so the radar previews
+  # the move while the form is pointed at or focused
+  # @param key [String] "growing_arcs", "orbit" or a single_direction label ("+x")
+  # @param label [String] what the preview line calls the move
+  # @return [Hash]
+  def radar_preview_form(key, label)
+    {
+      data: {
+        exploration_radar_target: "mode",
+        preview: key,
+        preview_label: label,
+        action: RADAR_PREVIEW_ACTIONS
+      }
+    }
+  end
+end
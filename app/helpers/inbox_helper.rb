@@ -1,4 +1,47 @@
 module InboxHelper
+  # Filter bar categories and the message categories they cover; anything
+  # else counts as "system"
+  INBOX_CATEGORIES = {
+    "arrival" => %w[travel discovery],
+    "incident" => %w[incident combat chaos],
+    "auction" => %w[auction seizure_warning],
+    "system" => []
+  }.freeze
+
+  # @return [String] one of INBOX_CATEGORIES.keys
+  def inbox_category(message)
+    INBOX_CATEGORIES.find { |_, categories| categories.include?(message.category) }&.first || "system"
+  end
+
+  # Ships and buildings the listed messages are about, for the asset filter
+  # @return [Array<Array>] [[label, "Ship:12"], ...]
+  def inbox_asset_options(messages)
+    messages.filter_map(&:asset).uniq.map { |asset| [asset.name, inbox_asset_key(asset)] }.sort
+  end
+
+  def inbox_asset_key(asset)
+    "#{asset.class.name}:#{asset.id}" if asset
+  end
+
+  # The message's actions as inbox_actions_controller renders them: commands
+  # post to InboxController#act by position, navigation actions carry their path
+  # Descriptors of kinds no longer defined keep their position but are left out
+  # @return [Array<Hash>] [{ label:, risky:, navigate:, url: }, ...]
+  def inbox_actions(message)
+    message.actions.each_with_index.filter_map do |action, index|
+      definition = Message::ACTIONS[action["kind"]]
+      next unless definition
+
+      navigate = definition[:navigate]
+      {
+        label: action["label"] || definition[:label],
+        risky: definition[:risky] || false,
+        navigate: navigate.present?,
+        url: navigate ? send(navigate, action[definition[:record]]) : act_inbox_path(message, index: index)
+      }
+    end
+  end
+
   # Returns count of unread messages for a user
   def unread_count(user)
     user.messages.unread.count
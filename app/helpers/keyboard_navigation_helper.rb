@@ -0,0 +1,8 @@
+module KeyboardNavigationHelper
+  # Market screen for the `gm` jump: the system where the player has a ship
+  # docked, or nil when every ship is in transit.
+  def docked_market_path(user)
+    system = user.ships.docked.where.not(current_system_id: nil).first&.current_system
+    system_market_index_path(system) if system
+  end
+end
@@ -0,0 +1,33 @@
+module MarketHelper
+  # Data attributes for a market row (desktop grid row or mobile card), read
+  # by market_table_controller for sorting, filtering and the trade calculator
+  def market_row_data(item)
+    {
+      market_table_target: "row",
+      action: "focusin->market-table#activate click->market-table#activate",
+      commodity: item[:commodity],
+      category: item[:category],
+      buy_price: item[:buy_price],
+      sell_price: item[:sell_price],
+      spread: item[:buy_price] - item[:sell_price],
+      stock: item[:inventory],
+      base_price: item.dig(:breakdown, :final_price) || item[:buy_price]
+    }
+  end
+
+  # Data attributes for the price journal panel: this market's prices, where
+  # and when they were seen. Remembered prices are dated to the snapshot
+  # taken on the player's last visit, not to this page view.
+  def price_journal_data(system, market_data, live:, snapshot_at:)
+    {
+      controller: "price-journal",
+      price_journal_player_value: current_user.id,
+      price_journal_system_value: { id: system.to_param, name: system.name, x: system.x, y: system.y, z: system.z }.to_json,
+      price_journal_prices_value: market_data.map { |item|
+        { commodity: item[:commodity], buyPrice: item[:buy_price], sellPrice: item[:sell_price], stock: item[:inventory] }
+      }.to_json,
+      price_journal_observed_at_value: (live ? Time.current : snapshot_at)&.iso8601,
+      price_journal_source_value: live ? "live" : "remembered"
+    }
+  end
+end
@@ -1,6 +1,10 @@
 # frozen_string_literal: true
 
 # Helper methods for onboarding overlay component
+#
+# A step's :tour lists the smaller steps onboarding_controller walks through
+# while the sidebar shows it (step format in app/javascript/lib/tour.js).
+# Steps without one spotlight their :highlight.
 module OnboardingHelper
   STEP_CONFIGS = {
     "hamburger_intro" => {
@@ -23,21 +27,82 @@ module OnboardingHelper
       description: "Every captain needs ships. For your first vessel, we recommend the Myrmidon Scout — it's the cheapest ship (Myrmidon manufacturing is efficient!) and perfect for learning the ropes.",
       highlight: "[data-menu-item='ships']",
       icon: "🚀",
-      action_text: "View Ships"
+      action_text: "View Ships",
+      tour: [
+        {
+          id: "ships.menu",
+          target: "[data-menu-item='ships']",
+          title: "Open your fleet",
+          body: "Everything you own that flies is under Ships.",
+          advance: "click"
+        },
+        {
+          id: "ships.list",
+          target: "#content_panel h1",
+          frame: "content_panel",
+          path: "/ships",
+          title: "Your ships",
+          body: "Each ship shows where it is, its fuel and its cargo. Pick one to give it orders."
+        }
+      ]
     },
     "navigation_tutorial" => {
       title: "Charting the Stars",
       description: "The galaxy is vast. Learn how to navigate between systems, discover new locations, and plan efficient routes.",
       highlight: "[data-menu-item='navigation']",
       icon: "🗺️",
-      action_text: "Explore Navigation"
+      action_text: "Explore Navigation",
+      tour: [
+        {
+          id: "navigation.menu",
+          target: "[data-menu-item='navigation']",
+          title: "Open navigation",
+          body: "Navigation shows the systems your ship can reach from where it is docked.",
+          advance: "click"
+        },
+        {
+          id: "navigation.first_warp",
+          target: "form[action$='/navigation/warp']",
+          frame: "content_panel",
+          path: "/navigation",
+          title: "Make your first warp",
+          body: "Warp gates link systems. Pick a destination you have the fuel for and warp there.",
+          advance: { event: "turbo:submit-end", selector: "form[action$='/navigation/warp']", success: true }
+        }
+      ]
     },
     "trade_routes" => {
       title: "Trade Routes: Your Path to Profit",
       description: "Once you've done manual trades, automate them! Set up trade routes to earn credits while you're away. A profitable route is your first milestone!",
       highlight: "[data-menu-item='routes']",
       icon: "💰",
-      action_text: "Create Trade Route"
+      action_text: "Create Trade Route",
+      tour: [
+        {
+          id: "trade.first_buy",
+          target: "form[data-trade='buy']",
+          frame: "content_panel",
+          title: "Make your first buy",
+          body: "Open the market of the system your ship is docked at and buy a commodity that sells for more elsewhere.",
+          timeout: 8000,
+          advance: { event: "turbo:submit-end", selector: "form[data-trade='buy']", success: true }
+        },
+        {
+          id: "trade.routes_menu",
+          target: "[data-menu-item='routes']",
+          title: "Automate it",
+          body: "A route repeats trades like that one for you, stop after stop.",
+          advance: "click"
+        },
+        {
+          id: "trade.routes",
+          target: "#content_panel h1",
+          frame: "content_panel",
+          path: "/routes",
+          title: "Your routes",
+          body: "Create a route here, then assign a ship to run it while you're away."
+        }
+      ]
     },
     "workers_overview" => {
       title: "Your Crew",
@@ -68,6 +133,13 @@ module OnboardingHelper
     }
   end
 
+  # Tour steps for onboarding_controller, serialized as JSON
+  # @param step [String, Symbol] The step name
+  # @return [Array<Hash>] Empty when the step only highlights
+  def onboarding_tour(step)
+    onboarding_step_config(step)[:tour] || []
+  end
+
   # Get progress information for user's onboarding
   # @param user [User] The user
   # @return [Hash] Hash with :current (1-indexed) and :total
@@ -0,0 +1,17 @@
+module RoutesHelper
+  # Choices for a stop's system select in the stop editor. The stop's own
+  # system is always offered, even when it falls outside the first page of
+  # systems, so the select never silently shows a different one.
+  #
+  # Uses the systems RoutesController#edit_stops already loaded; the stop
+  # and intent Turbo Stream responses load the same list once per request.
+  def stop_system_options(stop)
+    @available_systems ||= System.order(:name).limit(50)
+
+    choices = @available_systems.map { |system| [system.name, system.id] }
+    if stop["system_id"].present? && choices.none? { |_, id| id.to_s == stop["system_id"].to_s }
+      choices = [[stop["system"], stop["system_id"]], *choices]
+    end
+    options_for_select(choices, stop["system_id"])
+  end
+end
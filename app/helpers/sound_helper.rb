@@ -38,14 +38,16 @@ module SoundHelper
   # @param src [String] Path to the sound file (e.g., "/sounds/notification.mp3")
   # @param volume [Float] Volume level from 0.0 to 1.0 (default: 0.5)
   # @param autoplay [Boolean] Whether to play immediately on connect (default: true)
+  # @param category [String] Volume category, one of User::SOUND_CATEGORIES (default: "notifications")
   #
-  def sound_tag(src, volume: 0.5, autoplay: true)
+  def sound_tag(src, volume: 0.5, autoplay: true, category: "notifications")
     return nil unless sound_enabled?
 
     tag.div(
       data: {
         controller: "audio",
         audio_src_value: src,
+        audio_category_value: category,
         audio_volume_value: volume,
         audio_autoplay_value: autoplay
       }
@@ -58,12 +60,13 @@ module SoundHelper
   #
   # @param src [String] Path to the sound file
   # @param volume [Float] Volume level from 0.0 to 1.0 (default: 0.5)
+  # @param category [String] Volume category, one of User::SOUND_CATEGORIES (default: "notifications")
   #
-  def sound_stream(src, volume: 0.5)
+  def sound_stream(src, volume: 0.5, category: "notifications")
     return nil unless sound_enabled?
 
     turbo_stream.append(:sounds) do
-      sound_tag(src, volume: volume, autoplay: true)
+      sound_tag(src, volume: volume, autoplay: true, category: category)
     end
   end
 end
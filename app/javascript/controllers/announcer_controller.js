@@ -0,0 +1,95 @@
+import { Controller } from "@hotwired/stimulus"
+import { attach, announce, isPending, cancel } from "lib/announcer"
+
+// Speaks real-time updates for screen-reader players (lib/announcer)
+// Watches Turbo Stream renders aimed at the credits (#user_credits), the
+// unread badge (#inbox_unread_badge) and flash messages (#flash_messages)
+// and turns them into short summaries. Game events the server announces
+// itself (ship arrivals, incidents) are appended to #announcements by
+// User#announce and spoken from there.
+//
+// Other controllers announce through the module:
+//   import { announce } from "lib/announcer"
+//
+// Usage:
+//   <div class="sr-only" data-controller="announcer" data-announcer-verbosity-value="all">
+//     <div aria-live="polite" data-announcer-target="polite"></div>
+//     <div aria-live="assertive" data-announcer-target="assertive"></div>
+//     <div id="announcements" hidden></div>
+//   </div>
+export default class extends Controller {
+  static targets = ["polite", "assertive", "event"]
+  static values = { verbosity: { type: String, default: "all" } }
+
+  connect() {
+    this.baselines = {}
+    this.detach = attach({ polite: this.politeTarget, assertive: this.assertiveTarget, level: this.verbosityValue })
+
+    this.boundStreamRender = this.streamRender.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.boundStreamRender)
+  }
+
+  disconnect() {
+    this.detach()
+    document.removeEventListener("turbo:before-stream-render", this.boundStreamRender)
+  }
+
+  // Server announcements (shared/_announcement)
+  eventTargetConnected(element) {
+    announce(element.dataset.text, { assertive: element.dataset.urgent === "true" })
+    element.remove()
+  }
+
+  streamRender(event) {
+    const stream = event.target
+    switch (stream.target) {
+      case "user_credits": return this.creditsChanged(stream)
+      case "inbox_unread_badge": return this.unreadChanged(stream)
+      case "flash_messages": return this.flashShown(stream)
+    }
+  }
+
+  creditsChanged(stream) {
+    const current = Number(document.getElementById("user_credits")?.dataset.credits)
+    const next = Number(stream.templateContent.querySelector("[data-credits]")?.dataset.credits)
+    if (!Number.isFinite(current) || !Number.isFinite(next)) return
+
+    const delta = next - this.baseline("credits", current)
+    if (delta === 0) return cancel("credits")
+
+    const sign = delta > 0 ? "+" : "−"
+    announce(`Credits ${sign}${formatNumber(Math.abs(delta))}, now ${formatNumber(next)}`, { key: "credits" })
+  }
+
+  unreadChanged(stream) {
+    const current = unreadCount(document)
+    const next = unreadCount(stream.templateContent)
+    const added = next - this.baseline("unread", current)
+    // Messages being read elsewhere aren't news
+    if (added <= 0) return cancel("unread")
+
+    announce(`${added} new ${added === 1 ? "message" : "messages"}, ${next} unread`, { key: "unread" })
+  }
+
+  flashShown(stream) {
+    if (stream.action === "remove") return
+
+    stream.templateContent.querySelectorAll("[data-controller~='flash']").forEach(flash => {
+      announce(flash.textContent.trim(), { assertive: flash.dataset.flashType !== "notice" })
+    })
+  }
+
+  // The value before the first update of a burst still waiting to be spoken
+  baseline(key, current) {
+    if (!isPending(key)) this.baselines[key] = current
+    return this.baselines[key]
+  }
+}
+
+function unreadCount(root) {
+  return Number(root.querySelector("[data-unread-counter-count-value]")?.dataset.unreadCounterCountValue) || 0
+}
+
+function formatNumber(value) {
+  return value.toLocaleString("en-US")
+}
@@ -1,81 +1,60 @@
 import { Controller } from "@hotwired/stimulus"
+import { syncFromServer, setEnabled, setVolume, preload, play } from "lib/sound_manager"
 
-// Plays audio files on demand. Supports multiple trigger methods:
+// Plays sounds through lib/sound_manager. Supports multiple trigger methods:
 // - Direct play() action
 // - Auto-play on connect (with autoplay value)
 // - Turbo Stream integration for server-triggered sounds
 //
-// Respects user sound preference:
-// - Checks localStorage for 'soundEnabled' setting
-// - Syncs with server-side preference via data attribute
+// The sound manager caches decoded sounds, applies the player's per-category
+// volume and on/off preference (synced from the profile on page load),
+// drops repeats inside a short window and ducks UI sounds under alerts.
 //
 // Usage:
 //   <div data-controller="audio" data-audio-src-value="/sounds/notification.mp3"></div>
-//   <button data-controller="audio" data-audio-src-value="/sounds/click.mp3" data-action="click->audio#play">Click</button>
+//   <button data-controller="audio" data-audio-src-value="/sounds/click.mp3" data-audio-category-value="ui" data-action="click->audio#play">Click</button>
 //
 export default class extends Controller {
   static values = {
     src: String,
+    category: { type: String, default: "notifications" },
     volume: { type: Number, default: 0.5 },
     autoplay: { type: Boolean, default: false }
   }
 
   connect() {
     // Sync localStorage with server preference on page load
-    this.syncFromServer()
-    
+    syncFromServer()
+
+    if (this.hasSrcValue) preload(this.srcValue).catch(() => {})
     if (this.autoplayValue && this.hasSrcValue) {
       this.play()
     }
   }
 
-  // Check if sound is enabled (localStorage takes precedence for instant feedback)
-  isSoundEnabled() {
-    const stored = localStorage.getItem('soundEnabled')
-    if (stored !== null) {
-      return stored !== 'false'
-    }
-    // Default to true if not set
-    return true
-  }
-
-  // Sync localStorage from server-side data attribute (on page load)
-  syncFromServer() {
-    const serverPref = document.body.dataset.soundEnabled
-    if (serverPref !== undefined) {
-      localStorage.setItem('soundEnabled', serverPref)
-    }
-  }
-
   // Called when user toggles the checkbox in settings
   syncPreference(event) {
-    const enabled = event.target.checked
-    localStorage.setItem('soundEnabled', enabled.toString())
+    setEnabled(event.target.checked)
   }
 
-  play() {
-    if (!this.hasSrcValue || !this.isSoundEnabled()) return
+  // Called by the per-category volume sliders in settings
+  //   <input type="range" data-action="input->audio#syncVolume" data-audio-category-param="ui">
+  syncVolume(event) {
+    setVolume(event.params.category, event.target.value)
+  }
 
-    const audio = new Audio(this.srcValue)
-    audio.volume = Math.max(0, Math.min(1, this.volumeValue))
-    audio.play().catch(error => {
-      // Browser may block autoplay without user interaction
-      console.debug("Audio play blocked:", error.message)
-    })
+  play() {
+    if (!this.hasSrcValue) return
+    play(this.srcValue, { category: this.categoryValue, volume: this.volumeValue })
   }
 
   // Play a specific sound by passing the path
   playSound(event) {
-    if (!this.isSoundEnabled()) return
-    
     const src = event.params?.src || event.detail?.src
     if (!src) return
 
+    const category = event.params?.category || event.detail?.category || this.categoryValue
     const volume = event.params?.volume || event.detail?.volume || this.volumeValue
-    const audio = new Audio(src)
-    audio.volume = Math.max(0, Math.min(1, volume))
-    audio.play().catch(error => {
-      console.debug("Audio play blocked:", error.message)
-    })
+    play(src, { category, volume })
   }
 }
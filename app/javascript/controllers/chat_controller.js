@@ -1,10 +1,185 @@
 import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+import { fuzzyFilter } from "lib/fuzzy_match"
+import { parseChatInput, completionAt, priceCard, locationCard, ChatCommandError } from "lib/chat_composer"
+import { currentMarket } from "lib/price_journal"
+
+// Chat page, live over the chat_<channel> Turbo Streams (ChatMessage)
+//
+// New messages follow the conversation only while the list is scrolled to
+// the bottom; otherwise they collect behind an "N new messages" pill and an
+// unread divider instead of pulling the reader away from history.
+// Consecutive messages from one author within GROUP_WINDOW are grouped under
+// a single name. Scrolling near the top pages in older messages (index
+// with before=<id>) without moving what's on screen. Messages broadcast on
+// the other channels bump the unread counts on their tabs.
+//
+// The input is a composer (lib/chat_composer): /me, /w <player>, and /price
+// and /loc, which expand into a card in the input (prices from the market
+// page viewed last, via the price journal; the location from
+// ChatHelper#chat_location) to send as is or with a comment. "@" and "/w "
+// autocomplete the names of players seen in the channel, and messages
+// mentioning the player are highlighted. Up-arrow in an empty input recalls
+// sent messages; unsent text is kept as a draft per channel.
+//
+// Tab / Shift-Tab in the message input switch channels, as the page footer
+// promises, instead of moving browser focus (or complete a name while
+// suggestions are open). The bindings are editor-scoped and focus-only, so
+// Tab elsewhere still toggles menu/content.
+//
+// Usage:
+//   <div data-controller="chat" data-chat-user-id-value="1" data-chat-user-name-value="Nova"
+//        data-chat-channel-value="Global" data-chat-list-value="chat_messages_global"
+//        data-chat-location-value='{"ship":"sh-abc","system":"sy-sol","coordinates":[0,0,0]}'
+//        data-chat-read-url-value="/chat/read" data-chat-history-url-value="/chat?channel=Global">
+//     <div data-chat-target="messages" data-action="scroll->chat#scrolled">...</div>
+//   </div>
+
+const GROUP_WINDOW = 5 * 60 * 1000
+const BOTTOM_SLACK = 40
+const HISTORY_THRESHOLD = 80
+const READ_DELAY = 1000
+const SUGGESTION_LIMIT = 6
+const SENT_LIMIT = 50
+const SENT_KEY = "chatSent"
 
 export default class extends Controller {
-  static targets = ["messages", "input"]
+  static targets = ["messages", "input", "channel", "tabCount", "history", "message", "divider", "dividerTemplate", "pill", "empty", "suggestions", "hint"]
+  static values = {
+    userId: Number,
+    userName: String,
+    location: Object,
+    channel: String,
+    list: String,
+    readUrl: String,
+    historyUrl: String
+  }
 
   connect() {
-    this.scrollToBottom()
+    this.seen = new Set(this.messageTargets.map(message => message.dataset.messageId))
+    this.newCount = 0
+    this.showFirstUnread()
+    this.live = true
+
+    this.suggestions = []
+    this.recallIndex = null
+
+    if (this.hasInputTarget) {
+      const options = { scope: "editor", element: this.inputTarget, focusOnly: true, allowInInput: true, group: "Chat" }
+      const unregisterInput = register([
+        { id: "chat.next_channel", keys: "Tab", description: "Next channel", handler: () => this.switchChannel(1) },
+        { id: "chat.previous_channel", keys: "Shift-Tab", description: "Previous channel", handler: () => this.switchChannel(-1) },
+        { id: "chat.recall_previous", keys: "ArrowUp", description: "Recall sent message", handler: () => this.recall(1) },
+        { id: "chat.recall_next", keys: "ArrowDown", description: "Newer sent message", handler: () => this.recall(-1) }
+      ], options)
+      // Registered later, so they win while suggestions are open
+      const unregisterSuggestions = register([
+        { id: "chat.complete", keys: ["Tab", "Enter"], description: "Complete player name", handler: () => this.complete() },
+        { id: "chat.suggestion_next", keys: "ArrowDown", description: "Next name", handler: () => this.moveSuggestion(1) },
+        { id: "chat.suggestion_previous", keys: "ArrowUp", description: "Previous name", handler: () => this.moveSuggestion(-1) },
+        { id: "chat.suggestions_close", keys: "Escape", description: "Close name suggestions", handler: () => this.closeSuggestions() }
+      ], { ...options, when: () => this.suggestions.length > 0 })
+      this.unregisterKeys = () => { unregisterInput(); unregisterSuggestions() }
+
+      if (this.inputTarget.value === "") this.inputTarget.value = localStorage.getItem(this.draftKey) || ""
+    }
+
+    this.boundStreamRender = this.streamRender.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.boundStreamRender)
+
+    // Keep typing after a keyboard channel switch
+    if (sessionStorage.getItem("chatRefocus")) {
+      sessionStorage.removeItem("chatRefocus")
+      if (this.hasInputTarget) this.inputTarget.focus()
+    }
+  }
+
+  disconnect() {
+    this.live = false
+    this.unregisterKeys?.()
+    document.removeEventListener("turbo:before-stream-render", this.boundStreamRender)
+    clearTimeout(this.readTimeout)
+  }
+
+  // Messages
+
+  messageTargetConnected(element) {
+    this.highlightMention(element)
+    this.group(element)
+    const next = this.messageTargets[this.messageTargets.indexOf(element) + 1]
+    if (next) this.group(next)
+
+    // Initial render, a page of history, or the broadcast of a message
+    // already shown (it replaces the copy from the create response)
+    if (!this.live || this.loadingHistory || this.seen.has(element.dataset.messageId)) return
+    this.seen.add(element.dataset.messageId)
+    this.emptyTarget.classList.add("hidden")
+
+    if (this.isMine(element)) {
+      this.scrollToBottom()
+    } else if (this.atBottom && !document.hidden) {
+      this.scrollToBottom()
+      this.markRead()
+    } else {
+      this.holdBack(element)
+    }
+  }
+
+  // Grouped messages drop the author line
+  group(element) {
+    const previous = this.messageTargets[this.messageTargets.indexOf(element) - 1]
+    const grouped = previous &&
+      !("emote" in element.dataset) && !("emote" in previous.dataset) &&
+      previous.dataset.authorId === element.dataset.authorId &&
+      Date.parse(element.dataset.sentAt) - Date.parse(previous.dataset.sentAt) < GROUP_WINDOW &&
+      !element.previousElementSibling?.matches("[data-chat-target='divider']")
+
+    const author = element.querySelector("[data-chat-author]")
+    if (author) author.hidden = Boolean(grouped)
+    element.classList.toggle("mt-3", !grouped)
+    element.classList.toggle("mt-0.5", Boolean(grouped))
+
+    if (this.isMine(element)) {
+      element.querySelector("[data-chat-author-name]").classList.replace("text-lime-400", "text-orange-400")
+    }
+  }
+
+  isMine(element) {
+    return Number(element.dataset.authorId) === this.userIdValue
+  }
+
+  highlightMention(element) {
+    const body = element.querySelector("[data-chat-body]")?.textContent.toLowerCase() || ""
+    if (!this.userNameValue || this.isMine(element) || !body.includes(`@${this.userNameValue.toLowerCase()}`)) return
+
+    element.classList.add("border-l-2", "border-orange-500", "bg-orange-950/40", "pl-2")
+  }
+
+  // A message that arrived while the player was reading further up
+  holdBack(element) {
+    if (!this.hasDividerTarget) {
+      element.before(this.dividerTemplateTarget.content.cloneNode(true))
+      this.group(element)
+    }
+    this.newCount++
+    this.pillTarget.textContent = `↓ ${this.newCount} new ${this.newCount === 1 ? "message" : "messages"}`
+    this.pillTarget.classList.remove("hidden")
+  }
+
+  // Scrolling
+
+  get atBottom() {
+    const list = this.messagesTarget
+    return list.scrollHeight - list.scrollTop - list.clientHeight < BOTTOM_SLACK
+  }
+
+  scrolled() {
+    if (this.atBottom && this.newCount > 0) {
+      this.newCount = 0
+      this.pillTarget.classList.add("hidden")
+      this.markRead()
+    }
+    if (this.messagesTarget.scrollTop < HISTORY_THRESHOLD) this.loadHistory()
   }
 
   scrollToBottom() {
@@ -13,10 +188,287 @@ export default class extends Controller {
     }
   }
 
-  clearInput() {
+  jumpToBottom() {
+    this.scrollToBottom()
+    this.scrolled()
+  }
+
+  // Opens at the unread divider when there is one
+  showFirstUnread() {
+    if (!this.hasMessagesTarget) return
+    if (this.hasDividerTarget) {
+      this.messagesTarget.scrollTop = this.dividerTarget.offsetTop - this.messagesTarget.offsetTop - BOTTOM_SLACK
+    } else {
+      this.scrollToBottom()
+    }
+  }
+
+  // History
+
+  async loadHistory() {
+    if (this.loadingHistory || this.historyTarget.dataset.more !== "true") return
+    this.loadingHistory = true
+
+    // Keep the first visible message where it is while older ones go above it
+    this.anchor = this.messageTargets[0]
+    this.anchorTop = this.anchor?.getBoundingClientRect().top
+
+    const url = new URL(this.historyUrlValue, window.location.origin)
+    url.searchParams.set("before", this.historyTarget.dataset.before)
+
+    try {
+      const response = await fetch(url, { headers: { "Accept": "text/vnd.turbo-stream.html" } })
+      if (!response.ok) throw new Error(response.statusText)
+      Turbo.renderStreamMessage(await response.text())
+    } catch (error) {
+      console.debug("Chat history not loaded:", error.message)
+      this.loadingHistory = false
+    }
+  }
+
+  // The marker is replaced after the older page has been prepended
+  historyTargetConnected() {
+    if (!this.loadingHistory) return
+
+    if (this.anchor?.isConnected) {
+      this.messagesTarget.scrollTop += this.anchor.getBoundingClientRect().top - this.anchorTop
+    }
+    this.loadingHistory = false
+  }
+
+  // Read state and other channels
+
+  markRead() {
+    clearTimeout(this.readTimeout)
+    this.readTimeout = setTimeout(() => {
+      const last = this.messageTargets[this.messageTargets.length - 1]
+      if (!last) return
+
+      const body = new FormData()
+      body.append("channel", this.channelValue)
+      body.append("message_id", last.dataset.messageId)
+      fetch(this.readUrlValue, {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: { "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content },
+        body
+      }).catch(() => {})
+    }, READ_DELAY)
+  }
+
+  // Messages broadcast to a channel that isn't on screen
+  streamRender(event) {
+    const stream = event.target
+    const tab = this.tabCountTargets.find(count => count.dataset.list === stream.target)
+    if (!tab || stream.target === this.listValue) return
+
+    const author = stream.templateContent.querySelector("[data-author-id]")?.dataset.authorId
+    if (Number(author) === this.userIdValue) return
+
+    tab.dataset.count = Number(tab.dataset.count) + 1
+    tab.textContent = tab.dataset.count
+    tab.classList.remove("hidden")
+  }
+
+  // Composer
+
+  // submit: runs commands that expand in the input, and holds what to send
+  // for fillForm
+  compose(event) {
+    this.closeSuggestions()
+    let command
+    try {
+      command = parseChatInput(this.inputTarget.value, { names: this.playerNames })
+    } catch (error) {
+      if (!(error instanceof ChatCommandError)) throw error
+      event.preventDefault()
+      return this.showHint(error.message)
+    }
+
+    if (command.kind === "price" || command.kind === "loc") {
+      event.preventDefault()
+      return this.expand(command)
+    }
+    this.outgoing = { text: this.inputTarget.value.trim(), command }
+  }
+
+  // formdata: the parsed message replaces the raw input
+  fillForm(event) {
+    if (!this.outgoing) return
+    const { command } = this.outgoing
+    event.formData.set("message", command.body)
+    event.formData.set("kind", command.kind)
+    if (command.recipient) event.formData.set("recipient", command.recipient)
+  }
+
+  async expand(command) {
+    try {
+      const card = command.kind === "price" ? await this.priceCard(command.commodity) : this.locationCard()
+      this.setInput(`${card} `)
+    } catch (error) {
+      this.showHint(error.message)
+    }
+  }
+
+  async priceCard(query) {
+    const market = await currentMarket(this.userIdValue)
+    if (market.length === 0) throw new ChatCommandError("Open a market first: /price quotes the last market you viewed")
+
+    const [observation] = fuzzyFilter(market, query, entry => entry.commodity)
+    if (!observation) throw new ChatCommandError(`No ${query} on the ${market[0].systemName} market`)
+    return priceCard(observation)
+  }
+
+  locationCard() {
+    if (!this.locationValue.ship) throw new ChatCommandError("You have no ship to share a location from")
+    return locationCard(this.locationValue)
+  }
+
+  // input: keeps the draft and the name suggestions current
+  typed() {
+    this.recallIndex = null
+    this.hideHint()
+    const draft = this.inputTarget.value
+    if (draft.trim() === "") localStorage.removeItem(this.draftKey)
+    else localStorage.setItem(this.draftKey, draft)
+    this.suggest()
+  }
+
+  setInput(text) {
+    this.inputTarget.value = text
+    this.inputTarget.focus()
+    this.inputTarget.setSelectionRange(text.length, text.length)
+    this.typed()
+  }
+
+  showHint(text) {
+    this.hintTarget.textContent = text
+    this.hintTarget.classList.remove("hidden")
+  }
+
+  hideHint() {
+    if (this.hasHintTarget) this.hintTarget.classList.add("hidden")
+  }
+
+  get draftKey() {
+    return `chatDraft:${this.channelValue}`
+  }
+
+  // Names
+
+  // Players seen in the channel, most recent first
+  get playerNames() {
+    const names = this.messageTargets.map(message => message.dataset.authorName).reverse()
+    return [...new Set(names)].filter(name => name && name !== this.userNameValue)
+  }
+
+  suggest() {
+    const completion = completionAt(this.inputTarget.value, this.inputTarget.selectionStart)
+    const names = completion ? fuzzyFilter(this.playerNames, completion.query).slice(0, SUGGESTION_LIMIT) : []
+    if (names.length === 0 || (names.length === 1 && names[0] === completion.query)) return this.closeSuggestions()
+
+    this.completion = completion
+    this.suggestions = names
+    this.suggestionIndex = 0
+    this.renderSuggestions()
+  }
+
+  renderSuggestions() {
+    this.suggestionsTarget.replaceChildren(...this.suggestions.map((name, index) => {
+      const option = document.createElement("li")
+      option.textContent = name
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", index === this.suggestionIndex)
+      option.className = `px-3 py-1 cursor-pointer ${index === this.suggestionIndex ? "bg-blue-800 text-orange-400" : "text-gray-300"}`
+      option.dataset.action = "mousedown->chat#pick"
+      option.dataset.chatNameParam = name
+      return option
+    }))
+    this.suggestionsTarget.classList.remove("hidden")
+  }
+
+  moveSuggestion(step) {
+    this.suggestionIndex = (this.suggestionIndex + step + this.suggestions.length) % this.suggestions.length
+    this.renderSuggestions()
+  }
+
+  pick(event) {
+    event.preventDefault()
+    this.complete(event.params.name)
+  }
+
+  complete(name = this.suggestions[this.suggestionIndex]) {
+    const { start, prefix } = this.completion
+    const value = this.inputTarget.value
+    const caret = this.inputTarget.selectionStart
+    const before = `${value.slice(0, start - prefix.length)}${prefix}${name} `
+
+    this.inputTarget.value = before + value.slice(caret).trimStart()
+    this.inputTarget.setSelectionRange(before.length, before.length)
+    this.closeSuggestions()
+    this.typed()
+  }
+
+  closeSuggestions() {
+    this.suggestions = []
+    if (this.hasSuggestionsTarget) {
+      this.suggestionsTarget.classList.add("hidden")
+      this.suggestionsTarget.replaceChildren()
+    }
+  }
+
+  // Sent messages, newest first, shared by all channels
+
+  get sent() {
+    try {
+      return JSON.parse(localStorage.getItem(SENT_KEY)) || []
+    } catch {
+      return []
+    }
+  }
+
+  // Up starts from an empty input; Down past the newest empties it again.
+  // Anywhere else the arrows keep moving the caret.
+  recall(step) {
+    const sent = this.sent
+    const recalling = this.recallIndex !== null && this.inputTarget.value === sent[this.recallIndex]
+    if (!recalling && (step < 0 || this.inputTarget.value !== "")) return false
+
+    const index = (recalling ? this.recallIndex : -1) + step
+    if (index >= sent.length) return
+    if (index < 0) return this.setInput("")
+
+    this.setInput(sent[index])
+    this.recallIndex = index
+  }
+
+  remember(text) {
+    const sent = [text, ...this.sent.filter(entry => entry !== text)].slice(0, SENT_LIMIT)
+    localStorage.setItem(SENT_KEY, JSON.stringify(sent))
+  }
+
+  // Input
+
+  clearInput(event) {
+    const outgoing = this.outgoing
+    this.outgoing = null
+    if (event?.detail && !event.detail.success) return
+
+    if (outgoing) this.remember(outgoing.text)
+    localStorage.removeItem(this.draftKey)
     if (this.hasInputTarget) {
       this.inputTarget.value = ""
       this.inputTarget.focus()
     }
   }
+
+  switchChannel(step) {
+    const channels = this.channelTargets
+    if (channels.length < 2) return
+
+    const current = channels.findIndex(channel => channel.dataset.current === "true")
+    const next = channels[(current + step + channels.length) % channels.length]
+    sessionStorage.setItem("chatRefocus", "true")
+    next.click()
+  }
 }
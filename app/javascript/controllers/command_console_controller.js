@@ -0,0 +1,312 @@
+import { Controller } from "@hotwired/stimulus"
+import { parseCommand, resolveName, completionKind, CommandError, VERBS, EXPLORE_OPTIONS } from "lib/command_parser"
+
+// Typed command console (the PRD's "> warp to sector 4" CLI)
+// Opens from the "/" key (keyboard_navigation_controller#focusSearch dispatches
+// command-console:open), parses the line with lib/command_parser and sends
+// the matching request to the existing routes. Turbo Stream responses are
+// rendered as usual; HTML responses have their flash echoed into the console
+// and their content_panel frame swapped in place.
+//
+// Usage:
+//   <div data-controller="command-console"
+//        data-command-console-catalog-value="<%= command_console_catalog(current_user).to_json %>"
+//        data-action="command-console:open@window->command-console#open">
+export default class extends Controller {
+  static targets = ["panel", "input", "output", "hint"]
+  static values = {
+    catalog: { type: Object, default: {} },
+    historySize: { type: Number, default: 50 },
+    outputSize: { type: Number, default: 30 }
+  }
+
+  connect() {
+    this.history = this.loadHistory()
+    this.historyIndex = this.history.length
+    this.completions = null
+  }
+
+  open(event) {
+    event?.preventDefault()
+    this.panelTarget.classList.remove("hidden")
+    this.inputTarget.focus()
+  }
+
+  close() {
+    this.panelTarget.classList.add("hidden")
+    this.inputTarget.blur()
+  }
+
+  keydown(event) {
+    if (event.key !== "Tab") this.completions = null
+
+    switch (event.key) {
+      case "Enter":
+        event.preventDefault()
+        this.submit()
+        break
+      case "Escape":
+        event.preventDefault()
+        this.close()
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.recall(-1)
+        break
+      case "ArrowDown":
+        event.preventDefault()
+        this.recall(1)
+        break
+      case "Tab":
+        event.preventDefault()
+        this.complete()
+        break
+    }
+  }
+
+  async submit() {
+    const line = this.inputTarget.value.trim()
+    if (!line) return
+
+    this.remember(line)
+    this.inputTarget.value = ""
+    this.print(`> ${line}`, "text-white")
+
+    try {
+      await this.execute(parseCommand(line))
+    } catch (error) {
+      if (!(error instanceof CommandError)) console.debug(error)
+      this.print(error.message, "text-red-400")
+    }
+  }
+
+  async execute(command) {
+    switch (command.verb) {
+      case "help":
+        return this.printHelp()
+      case "clear":
+        this.outputTarget.replaceChildren()
+        return
+      case "warp": {
+        const system = resolveName(this.catalogValue.systems || [], command.system, "system")
+        return this.request("POST", "/navigation/warp", { destination_id: system.id, intent: "trade" })
+      }
+      case "buy":
+      case "sell": {
+        const commodity = resolveName(this.catalogValue.commodities || [], command.commodity, "commodity")
+        const systemId = this.tradingSystemId()
+        return this.request("POST", `/systems/${systemId}/market/${command.verb}`, {
+          commodity: commodity,
+          quantity: command.quantity
+        })
+      }
+      case "explore": {
+        const params = command.direction ? { direction: command.direction } : {}
+        return this.request("POST", `/exploration/${command.mode}`, params)
+      }
+      case "refuel": {
+        const ship = this.resolveShip(command.ship)
+        return this.request("POST", `/ships/${ship.short_id}/refuel`, { amount: command.amount })
+      }
+      case "repair": {
+        const ship = this.resolveShip(command.ship)
+        return this.request("POST", `/ships/${ship.short_id}/repair`)
+      }
+      case "route": {
+        const bookmark = resolveName(this.catalogValue.bookmarks || [], command.bookmark, "bookmark")
+        return this.request("GET", `/bookmarks/${bookmark.id}/warp_route`)
+      }
+      case "jump": {
+        const bookmark = resolveName(this.catalogValue.bookmarks || [], command.bookmark, "bookmark")
+        return this.request("POST", `/bookmarks/${bookmark.id}/warp_route`, { confirm: "true" })
+      }
+    }
+  }
+
+  // Trades happen at the market being viewed, otherwise where a ship is docked
+  tradingSystemId() {
+    const match = window.location.pathname.match(/^\/systems\/([^/]+)\/market/)
+    if (match) return match[1]
+
+    const docked = (this.catalogValue.ships || []).find(ship => ship.status === "docked" && ship.system_id)
+    if (!docked) throw new CommandError("No ship docked at a market")
+    return docked.system_id
+  }
+
+  resolveShip(query) {
+    const ships = this.catalogValue.ships || []
+    if (!query) {
+      if (ships.length === 0) throw new CommandError("No operational ship")
+      return ships[0]
+    }
+    return resolveName(ships, query, "ship")
+  }
+
+  async request(method, url, params = {}) {
+    const options = {
+      method,
+      credentials: "same-origin",
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html, text/html, application/xhtml+xml",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      }
+    }
+
+    if (method === "GET") {
+      const query = new URLSearchParams(params).toString()
+      if (query) url = `${url}?${query}`
+    } else {
+      const body = new FormData()
+      Object.entries(params).forEach(([key, value]) => body.append(key, value))
+      options.body = body
+    }
+
+    this.hintTarget.textContent = "transmitting..."
+    try {
+      const response = await fetch(url, options)
+      const html = await response.text()
+
+      if ((response.headers.get("Content-Type") || "").includes("turbo-stream")) {
+        this.renderStream(html)
+      } else {
+        this.renderPage(html, response.ok)
+      }
+    } catch (error) {
+      this.print(`Transmission failed: ${error.message}`, "text-red-400")
+    } finally {
+      this.hintTarget.textContent = ""
+    }
+  }
+
+  renderStream(html) {
+    const template = document.createElement("template")
+    template.innerHTML = html
+    template.content.querySelectorAll('turbo-stream[target="flash_messages"], turbo-stream[target="flash"]').forEach(stream => {
+      this.printMessages(stream.querySelector("template")?.content)
+    })
+
+    Turbo.renderStreamMessage(html)
+  }
+
+  // Redirects land here as the full page: echo its flash and swap in its
+  // content_panel through a stream so inline scripts still run
+  renderPage(html, ok) {
+    const page = new DOMParser().parseFromString(html, "text/html")
+    const printed = this.printMessages(page.getElementById("flash_messages"))
+    if (!printed && !ok) this.print("Command failed", "text-red-400")
+
+    const frame = page.querySelector("turbo-frame#content_panel")
+    if (frame) {
+      Turbo.renderStreamMessage(
+        `<turbo-stream action="update" target="content_panel"><template>${frame.innerHTML}</template></turbo-stream>`
+      )
+    }
+  }
+
+  printMessages(container) {
+    if (!container) return false
+
+    const messages = Array.from(container.children).filter(el => el.textContent.trim())
+    messages.forEach(el => {
+      const isAlert = el.className.includes("red")
+      this.print(el.textContent.trim(), isAlert ? "text-red-400" : "text-lime-400")
+    })
+    return messages.length > 0
+  }
+
+  print(text, colorClass = "text-gray-300") {
+    const line = document.createElement("div")
+    line.className = colorClass
+    line.textContent = text
+    this.outputTarget.append(line)
+
+    while (this.outputTarget.children.length > this.outputSizeValue) {
+      this.outputTarget.firstElementChild.remove()
+    }
+    this.outputTarget.scrollTop = this.outputTarget.scrollHeight
+  }
+
+  printHelp() {
+    [
+      "warp [to] <system>       travel or warp to a known system",
+      "buy|sell <qty> <item>    trade at the market you are docked at",
+      "scan / explore [+x..-z]  explore nearest unexplored space",
+      "orbit                    explore in an orbital pattern",
+      "refuel [ship] <amount>   buy fuel for a docked ship",
+      "repair [ship]            repair a ship's hull",
+      "route|jump <bookmark>    preview or take a warp route",
+      "clear                    clear this console"
+    ].forEach(line => this.print(line))
+  }
+
+  // Command history (Up/Down), persisted across page loads
+
+  loadHistory() {
+    try {
+      return JSON.parse(localStorage.getItem("commandHistory")) || []
+    } catch {
+      return []
+    }
+  }
+
+  remember(line) {
+    if (this.history[this.history.length - 1] !== line) this.history.push(line)
+    this.history = this.history.slice(-this.historySizeValue)
+    this.historyIndex = this.history.length
+    localStorage.setItem("commandHistory", JSON.stringify(this.history))
+  }
+
+  recall(step) {
+    if (this.history.length === 0) return
+
+    this.historyIndex = Math.max(0, Math.min(this.historyIndex + step, this.history.length))
+    this.inputTarget.value = this.history[this.historyIndex] || ""
+  }
+
+  // Tab completion: repeated Tab presses cycle through the matches
+
+  complete() {
+    if (!this.completions) {
+      this.completions = this.buildCompletions(this.inputTarget.value)
+      this.completionIndex = -1
+    }
+    const { head, matches } = this.completions
+    if (matches.length === 0) return
+
+    this.completionIndex = (this.completionIndex + 1) % matches.length
+    this.inputTarget.value = head + matches[this.completionIndex] + (matches.length === 1 ? " " : "")
+    this.hintTarget.textContent = matches.length > 1 ? matches.slice(0, 8).join("  ") : ""
+  }
+
+  buildCompletions(value) {
+    const words = value.trimStart().split(/\s+/)
+    const kind = completionKind(words)
+
+    // The fragment is everything after the words the grammar consumes, so
+    // multi-word names like "Alpha Centauri" complete as one unit
+    let consumed = 1
+    if (kind === "system" && words[1]?.toLowerCase() === "to" && words.length > 2) consumed = 2
+    if (kind === "commodity" && /^\d+$/.test(words[1] || "") && words.length > 2) consumed = 2
+    if (kind === "verb") consumed = 0
+
+    const head = consumed === 0 ? "" : words.slice(0, consumed).join(" ") + " "
+    const fragment = words.slice(consumed).join(" ").toLowerCase()
+    const matches = this.candidates(kind).filter(name => name.toLowerCase().startsWith(fragment))
+
+    return { head, matches }
+  }
+
+  candidates(kind) {
+    const names = list => (list || []).map(entry => (typeof entry === "string" ? entry : entry.name))
+
+    switch (kind) {
+      case "verb": return VERBS
+      case "system": return names(this.catalogValue.systems)
+      case "commodity": return names(this.catalogValue.commodities)
+      case "ship": return names(this.catalogValue.ships)
+      case "bookmark": return names(this.catalogValue.bookmarks)
+      case "direction": return EXPLORE_OPTIONS
+      default: return []
+    }
+  }
+}
@@ -0,0 +1,241 @@
+import { Controller } from "@hotwired/stimulus"
+import { activateElement } from "lib/turbo_navigation"
+import { fuzzyFilter } from "lib/fuzzy_match"
+import { register } from "lib/keymap"
+
+// Ctrl-K (Cmd-K on macOS) command palette
+// Indexes every menu link, every contentItem in the content panel and the
+// action buttons on the current page (repair, upgrade, refuel, ...), fuzzy
+// matches them against the query and activates the pick exactly like
+// keyboard_navigation#activateSelected. Recently used entries rank first.
+// The index is rebuilt on turbo:frame-load so it always reflects the page.
+export default class extends Controller {
+  static targets = ["overlay", "input", "results"]
+  static values = {
+    actions: { type: Array, default: ["repair", "upgrade", "refuel", "hire", "bid"] },
+    limit: { type: Number, default: 12 },
+    recentSize: { type: Number, default: 20 }
+  }
+
+  connect() {
+    this.entries = []
+    this.matches = []
+    this.selectedIndex = 0
+    this.recent = this.loadRecent()
+
+    this.unregisterKeys = register([
+      { id: "global.palette", keys: "Ctrl-k", description: "Command palette", allowInInput: true, handler: () => this.toggle() }
+    ], { scope: "global" })
+
+    this.boundRebuild = this.rebuildIndex.bind(this)
+    document.addEventListener("turbo:frame-load", this.boundRebuild)
+    document.addEventListener("turbo:render", this.boundRebuild)
+    this.rebuildIndex()
+  }
+
+  disconnect() {
+    this.unregisterKeys()
+    document.removeEventListener("turbo:frame-load", this.boundRebuild)
+    document.removeEventListener("turbo:render", this.boundRebuild)
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open()
+  }
+
+  get isOpen() {
+    return !this.overlayTarget.classList.contains("hidden")
+  }
+
+  open() {
+    this.rebuildIndex()
+    this.inputTarget.value = ""
+    this.overlayTarget.classList.remove("hidden")
+    this.inputTarget.focus()
+    this.search()
+  }
+
+  close() {
+    this.overlayTarget.classList.add("hidden")
+    this.inputTarget.blur()
+  }
+
+  // Keys inside the palette input
+  keydown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.move(1)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.move(-1)
+        break
+      case "Enter":
+        event.preventDefault()
+        this.run(this.matches[this.selectedIndex])
+        break
+      case "Escape":
+        event.preventDefault()
+        this.close()
+        break
+    }
+  }
+
+  // Clicking the dimmed backdrop (not the dialog) closes the palette
+  backdrop(event) {
+    if (event.target === this.overlayTarget) this.close()
+  }
+
+  choose(event) {
+    this.run(this.matches[parseInt(event.currentTarget.dataset.index, 10)])
+  }
+
+  search() {
+    const query = this.inputTarget.value.trim()
+    const byRecency = entry => this.recent.indexOf(entry.key)
+
+    if (query === "") {
+      // No query: recently used first (most recent on top), then page order
+      this.matches = [...this.entries].sort((a, b) => {
+        const ra = byRecency(a), rb = byRecency(b)
+        if (ra === -1 && rb === -1) return 0
+        if (ra === -1) return 1
+        if (rb === -1) return -1
+        return ra - rb
+      })
+    } else {
+      const ranked = fuzzyFilter(this.entries, query, entry => entry.label)
+      const recent = ranked.filter(entry => byRecency(entry) !== -1)
+      this.matches = [...recent, ...ranked.filter(entry => byRecency(entry) === -1)]
+    }
+
+    this.matches = this.matches.slice(0, this.limitValue)
+    this.selectedIndex = 0
+    this.render()
+  }
+
+  move(step) {
+    if (this.matches.length === 0) return
+    this.selectedIndex = (this.selectedIndex + step + this.matches.length) % this.matches.length
+    this.render()
+  }
+
+  run(entry) {
+    if (!entry) return
+
+    this.remember(entry.key)
+    this.close()
+    activateElement(entry.element)
+  }
+
+  render() {
+    this.resultsTarget.replaceChildren(...this.matches.map((entry, index) => {
+      const row = document.createElement("li")
+      row.dataset.index = index
+      row.dataset.action = "click->command-palette#choose"
+      row.className = "flex justify-between gap-4 px-3 py-2 cursor-pointer"
+      if (index === this.selectedIndex) row.classList.add("bg-blue-800", "text-orange-400")
+      if (this.recent.includes(entry.key)) row.classList.add("font-bold")
+
+      const label = document.createElement("span")
+      label.textContent = entry.label
+      const kind = document.createElement("span")
+      kind.className = "text-gray-500 text-xs"
+      kind.textContent = entry.kind
+
+      row.append(label, kind)
+      return row
+    }))
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "px-3 py-2 text-gray-500"
+      empty.textContent = "No matches"
+      this.resultsTarget.append(empty)
+    }
+  }
+
+  // Index building
+
+  rebuildIndex() {
+    this.entries = [
+      ...this.menuEntries(),
+      ...this.contentEntries(),
+      ...this.actionEntries()
+    ]
+    if (this.hasOverlayTarget && this.isOpen) this.search()
+  }
+
+  menuEntries() {
+    // Mobile and desktop render the same menu; index each link once
+    const seen = new Set()
+    return Array.from(document.querySelectorAll('[data-keyboard-navigation-target="menuItem"]'))
+      .filter(item => {
+        const href = item.querySelector("a")?.getAttribute("href")
+        if (!href || seen.has(href)) return false
+        seen.add(href)
+        return true
+      })
+      .map(item => this.entry("menu", this.textOf(item), item))
+  }
+
+  contentEntries() {
+    const panel = document.getElementById("content_panel")
+    if (!panel) return []
+
+    return Array.from(panel.querySelectorAll('[data-keyboard-navigation-target="contentItem"]'))
+      .map(item => this.entry("content", this.textOf(item), item))
+      .filter(entry => entry.label)
+  }
+
+  actionEntries() {
+    const panel = document.getElementById("content_panel")
+    if (!panel) return []
+
+    const pattern = new RegExp(`\\b(${this.actionsValue.join("|")})\\b`, "i")
+    return Array.from(panel.querySelectorAll("button, input[type='submit']"))
+      .filter(button => !button.disabled && pattern.test(this.textOf(button)))
+      .map(button => {
+        const context = this.contextFor(button)
+        const label = context ? `${this.textOf(button)} — ${context}` : this.textOf(button)
+        return this.entry("action", label, button)
+      })
+  }
+
+  entry(kind, label, element) {
+    return { kind, label, element, key: `${kind}:${label}` }
+  }
+
+  textOf(element) {
+    const text = element.matches("input") ? element.value : element.textContent
+    return (text || "").replace(/\s+/g, " ").trim()
+  }
+
+  // Several "Upgrade" buttons can share a page; name each by the nearest
+  // bold/medium heading in the row it sits in
+  contextFor(button) {
+    let ancestor = button.parentElement
+    for (let depth = 0; ancestor && depth < 5; depth++, ancestor = ancestor.parentElement) {
+      const heading = Array.from(ancestor.querySelectorAll(".font-medium, .font-bold, h1, h2, h3"))
+        .find(el => !el.contains(button) && !button.contains(el) && this.textOf(el))
+      if (heading) return this.textOf(heading)
+    }
+    return null
+  }
+
+  // Recently used entries, most recent first
+
+  loadRecent() {
+    try {
+      return JSON.parse(localStorage.getItem("commandPaletteRecent")) || []
+    } catch {
+      return []
+    }
+  }
+
+  remember(key) {
+    this.recent = [key, ...this.recent.filter(k => k !== key)].slice(0, this.recentSizeValue)
+    localStorage.setItem("commandPaletteRecent", JSON.stringify(this.recent))
+  }
+}
@@ -1,63 +1,115 @@
 import { Controller } from "@hotwired/stimulus"
+import { subscribe } from "lib/clock"
 
 /**
  * Countdown Controller
- * 
- * Displays a live countdown to a target timestamp.
- * When the countdown reaches zero, reloads the specified Turbo frame.
- * 
+ *
+ * Displays a live countdown to a target timestamp, ticking on the shared
+ * server-corrected clock (lib/clock) rather than a timer of its own.
+ * On arrival it dispatches a cancelable `countdown:arrived` event (detail:
+ * { arrival }) that bubbles up to window, then reloads the specified Turbo
+ * frame unless a listener called preventDefault().
+ *
  * Usage:
- *   <span data-controller="countdown" 
+ *   <span data-controller="countdown"
  *         data-countdown-arrival-value="2026-02-05T20:30:00Z"
  *         data-countdown-frame-value="content_panel">
  *     Loading...
  *   </span>
- * 
+ *
+ *   With a progress bar, the countdown text goes in the display target:
+ *   <div data-controller="countdown"
+ *        data-countdown-arrival-value="2026-02-05T20:30:00Z"
+ *        data-countdown-start-value="2026-02-05T18:30:00Z">
+ *     <span data-countdown-target="display"></span>
+ *     <div class="bg-gray-700 h-2"><div class="bg-lime-500 h-2" data-countdown-target="progress"></div></div>
+ *   </div>
+ *
  * Values:
  *   arrival: ISO 8601 timestamp of arrival
+ *   start: ISO 8601 timestamp the wait began, for the progress bar
+ *   mode: "relative" (2d 4h 10m) or "absolute" (arrival time of day); toggle() switches
  *   frame: ID of the Turbo frame to reload on arrival (defaults to "content_panel")
  *   refresh: Whether to refresh on arrival (default: true)
  */
 export default class extends Controller {
+  static targets = ["display", "progress"]
   static values = {
     arrival: String,     // ISO 8601 timestamp of arrival
+    start: String,       // ISO 8601 timestamp the countdown began (progress bar)
+    mode: { type: String, default: "relative" },
     frame: { type: String, default: "content_panel" },  // Turbo frame to reload
     refresh: { type: Boolean, default: true }  // Whether to refresh on arrival
   }
 
   connect() {
-    this.updateCountdown()
-    this.interval = setInterval(() => this.updateCountdown(), 1000)
+    this.arrived = false
+    this.unsubscribe = subscribe(now => this.updateCountdown(now))
+    // The first tick runs inside subscribe(), before unsubscribe is assigned
+    if (this.arrived) this.unsubscribe()
   }
 
   disconnect() {
-    if (this.interval) {
-      clearInterval(this.interval)
-    }
+    this.unsubscribe()
+    clearTimeout(this.reloadTimeout)
+  }
+
+  toggle() {
+    this.modeValue = this.modeValue === "absolute" ? "relative" : "absolute"
+  }
+
+  modeValueChanged() {
+    if (this.lastTime) this.updateCountdown(this.lastTime)
   }
 
-  updateCountdown() {
-    const arrivalTime = new Date(this.arrivalValue)
-    const now = new Date()
+  updateCountdown(now) {
+    this.lastTime = now
+    const arrivalTime = Date.parse(this.arrivalValue)
     const diff = arrivalTime - now
 
+    this.updateProgress(now, arrivalTime)
+
     if (diff <= 0) {
-      this.element.textContent = "Arrived!"
-      clearInterval(this.interval)
-      
-      if (this.refreshValue) {
-        // Brief delay before refresh to show "Arrived!" message
-        setTimeout(() => this.reloadFrame(), 1000)
-      }
+      if (!this.arrived) this.arrive()
       return
     }
 
-    this.element.textContent = this.formatDuration(diff)
+    this.display.textContent = this.modeValue === "absolute" ? this.formatTime(arrivalTime) : this.formatDuration(diff)
+  }
+
+  arrive() {
+    this.arrived = true
+    this.display.textContent = "Arrived!"
+    this.unsubscribe?.()
+
+    const event = this.dispatch("arrived", { detail: { arrival: this.arrivalValue }, cancelable: true })
+    if (this.refreshValue && !event.defaultPrevented) {
+      // Brief delay before refresh to show "Arrived!" message
+      this.reloadTimeout = setTimeout(() => this.reloadFrame(), 1000)
+    }
+  }
+
+  get display() {
+    return this.hasDisplayTarget ? this.displayTarget : this.element
+  }
+
+  updateProgress(now, arrivalTime) {
+    if (!this.hasProgressTarget || !this.hasStartValue) return
+
+    const start = Date.parse(this.startValue)
+    const total = arrivalTime - start
+    const percent = total > 0 ? Math.min(100, Math.max(0, ((now - start) / total) * 100)) : 100
+
+    this.progressTarget.style.width = `${percent.toFixed(1)}%`
+    this.progressTarget.setAttribute("role", "progressbar")
+    this.progressTarget.setAttribute("aria-valuenow", Math.round(percent))
+    this.progressTarget.setAttribute("aria-valuemin", 0)
+    this.progressTarget.setAttribute("aria-valuemax", 100)
   }
 
   reloadFrame() {
     const frame = document.getElementById(this.frameValue)
-    
+
     if (frame && frame.src) {
       // Reload the Turbo frame by reassigning its src
       frame.src = frame.src
@@ -72,11 +124,15 @@ export default class extends Controller {
 
   formatDuration(ms) {
     const totalSeconds = Math.floor(ms / 1000)
-    const hours = Math.floor(totalSeconds / 3600)
+    const days = Math.floor(totalSeconds / 86400)
+    const hours = Math.floor((totalSeconds % 86400) / 3600)
     const minutes = Math.floor((totalSeconds % 3600) / 60)
     const seconds = totalSeconds % 60
 
-    if (hours > 0) {
+    if (days > 0) {
+      // Seconds are noise at this range
+      return `${days}d ${hours}h ${minutes}m`
+    } else if (hours > 0) {
       return `${hours}h ${minutes}m ${seconds}s`
     } else if (minutes > 0) {
       return `${minutes}m ${seconds}s`
@@ -84,4 +140,12 @@ export default class extends Controller {
       return `${seconds}s`
     }
   }
+
+  // Arrival in local time; the date is added once it isn't today
+  formatTime(timestamp) {
+    const arrival = new Date(timestamp)
+    const time = arrival.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    if (arrival.toDateString() === new Date().toDateString()) return `at ${time}`
+    return `on ${arrival.toLocaleDateString([], { month: "short", day: "numeric" })} at ${time}`
+  }
 }
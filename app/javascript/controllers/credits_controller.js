@@ -0,0 +1,203 @@
+import { Controller } from "@hotwired/stimulus"
+import { entries, totals, clear } from "lib/credits_ledger"
+
+// Credits ticker in the header (shared/_credits_ticker), one in the mobile
+// top bar and one in the desktop menu
+//
+// Listens for credits:changed from credits_source_controller, which fires
+// whenever a Turbo Stream replaces the balance. The amount counts up or down
+// to the new balance, and the difference floats off it as +N or −N. Both
+// tickers hear the same event, so they never disagree.
+//
+// The button opens a popover with the session's ledger (lib/credits_ledger):
+// every change with its reason when the server gave one, the balance after
+// it, and the net change per category.
+//
+// Usage:
+//   <span data-controller="credits" data-credits-amount-value="1200" data-credits-user-id-value="7"
+//         data-action="credits:changed@window->credits#change click@document->credits#clickOutside keydown.esc->credits#close">
+//     <button data-credits-target="button" data-action="credits#toggle">Credits: <span data-credits-target="amount">1,200</span></button>
+//     <span data-credits-target="delta"></span>
+//     <div data-credits-target="popover" hidden><div data-credits-target="ledger"></div></div>
+//   </span>
+const COUNT_DURATION = 800
+// A change recorded this recently, before the ticker connected (a page
+// render after a form post), still counts up on connect
+const RECENT_CHANGE = 1500
+const CATEGORY_LABELS = {
+  trade: "Trade",
+  tax: "Taxes",
+  wages: "Wages",
+  repair: "Repairs",
+  fuel: "Fuel",
+  upgrade: "Upgrades",
+  purchase: "Purchases",
+  reward: "Rewards",
+  other: "Other"
+}
+
+export default class extends Controller {
+  static targets = ["button", "amount", "delta", "popover", "ledger"]
+  static values = { amount: Number, userId: Number }
+
+  connect() {
+    this.balance = this.amountValue
+    this.displayed = this.amountValue
+
+    const last = entries(this.userIdValue).at(-1)
+    if (last && last.balance === this.balance && Date.now() - last.at < RECENT_CHANGE) {
+      this.animate(last.balance - last.delta, last.balance)
+      this.float(last.delta)
+    }
+  }
+
+  disconnect() {
+    cancelAnimationFrame(this.frame)
+  }
+
+  change({ detail: { balance, entry } }) {
+    if (!Number.isFinite(balance) || balance === this.balance) return
+
+    this.balance = balance
+    this.animate(this.displayed, balance)
+    this.float(entry ? entry.delta : balance - this.displayed)
+    if (this.open) this.renderLedger()
+  }
+
+  // Counting
+
+  animate(from, to) {
+    cancelAnimationFrame(this.frame)
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) return this.show(to)
+
+    const start = performance.now()
+    const step = now => {
+      const progress = Math.min(1, (now - start) / COUNT_DURATION)
+      const eased = 1 - Math.pow(1 - progress, 3)
+      this.show(Math.round(from + (to - from) * eased))
+      if (progress < 1) this.frame = requestAnimationFrame(step)
+    }
+    this.frame = requestAnimationFrame(step)
+  }
+
+  show(value) {
+    this.displayed = value
+    this.amountTarget.textContent = formatNumber(value)
+  }
+
+  float(delta) {
+    if (!delta) return
+
+    const element = this.deltaTarget
+    element.textContent = signed(delta)
+    element.classList.toggle("text-lime-300", delta > 0)
+    element.classList.toggle("text-red-400", delta < 0)
+    // Restart the animation when changes come in quick succession
+    element.classList.remove("animate-credits-delta")
+    void element.offsetWidth
+    element.classList.add("animate-credits-delta")
+  }
+
+  // Ledger popover
+
+  get open() {
+    return !this.popoverTarget.hidden
+  }
+
+  toggle() {
+    this.open ? this.close() : this.openLedger()
+  }
+
+  openLedger() {
+    this.renderLedger()
+    this.popoverTarget.hidden = false
+    this.buttonTarget.setAttribute("aria-expanded", "true")
+  }
+
+  close() {
+    if (!this.open) return
+    this.popoverTarget.hidden = true
+    this.buttonTarget.setAttribute("aria-expanded", "false")
+  }
+
+  // Clear ledger re-renders the popover, so the button it clicked may already
+  // be detached by the time the click reaches the document
+  clickOutside(event) {
+    if (!event.composedPath().includes(this.element)) this.close()
+  }
+
+  clearLedger() {
+    clear(this.userIdValue)
+    this.renderLedger()
+  }
+
+  renderLedger() {
+    const list = entries(this.userIdValue)
+    if (list.length === 0) {
+      this.ledgerTarget.replaceChildren(line("No changes yet this session.", "text-gray-400"))
+      return
+    }
+
+    const net = list.reduce((sum, entry) => sum + entry.delta, 0)
+    const header = line("", "flex justify-between mb-2 text-gray-300")
+    header.append(text("This session"), text(signed(net), colourFor(net)))
+
+    const categories = element("div", "mb-2 pb-2 border-b border-blue-700 space-y-0.5")
+    totals(list).forEach(({ category, total, count }) => {
+      const row = line("", "flex justify-between")
+      row.append(
+        text(`${CATEGORY_LABELS[category] || category} (${count})`, "text-gray-400"),
+        text(signed(total), colourFor(total))
+      )
+      categories.append(row)
+    })
+
+    const history = element("ol", "space-y-1 max-h-60 overflow-y-auto")
+    list.slice().reverse().forEach(entry => {
+      const item = element("li", "flex justify-between gap-2")
+      const time = new Date(entry.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+      item.append(
+        text(`${time} ${entry.reason || "Unexplained change"}`, entry.reason ? "text-gray-200 truncate" : "text-gray-500 italic truncate"),
+        text(`${signed(entry.delta)} → ${formatNumber(entry.balance)}`, `${colourFor(entry.delta)} whitespace-nowrap`)
+      )
+      history.append(item)
+    })
+
+    const clearButton = element("button", "mt-2 text-gray-400 hover:text-orange-400 underline")
+    clearButton.type = "button"
+    clearButton.textContent = "Clear ledger"
+    clearButton.dataset.action = "credits#clearLedger"
+
+    this.ledgerTarget.replaceChildren(header, categories, history, clearButton)
+  }
+}
+
+function element(tag, className) {
+  const node = document.createElement(tag)
+  node.className = className
+  return node
+}
+
+function line(content, className) {
+  const node = element("div", className)
+  node.textContent = content
+  return node
+}
+
+function text(content, className = "") {
+  const node = element("span", className)
+  node.textContent = content
+  return node
+}
+
+function signed(value) {
+  return `${value > 0 ? "+" : value < 0 ? "−" : "±"}${formatNumber(Math.abs(value))}`
+}
+
+function colourFor(value) {
+  return value > 0 ? "text-lime-300" : value < 0 ? "text-red-400" : "text-gray-400"
+}
+
+function formatNumber(value) {
+  return Math.round(value).toLocaleString("en-US")
+}
@@ -0,0 +1,26 @@
+import { Controller } from "@hotwired/stimulus"
+import { record } from "lib/credits_ledger"
+
+// The player's balance as the server last sent it (shared/_credits, the
+// hidden #user_credits). Trades, refuels and the like replace it with a
+// Turbo Stream, optionally saying why; each replacement connects a fresh
+// controller, which records the balance in the session ledger
+// (lib/credits_ledger) and tells the header tickers with credits:changed on
+// window, so the mobile and desktop ones move together.
+//
+// Usage:
+//   <span id="user_credits" hidden data-controller="credits-source" data-credits-source-user-id-value="<%= user.id %>"
+//         data-credits="<%= user.credits.to_i %>" data-reason="Refueled 10 units" data-category="fuel">...</span>
+export default class extends Controller {
+  static values = { userId: Number }
+
+  connect() {
+    const balance = Number(this.element.dataset.credits)
+    const entry = record(this.userIdValue, {
+      balance,
+      reason: this.element.dataset.reason,
+      category: this.element.dataset.category
+    })
+    this.dispatch("changed", { target: window, prefix: "credits", detail: { balance, entry } })
+  }
+}
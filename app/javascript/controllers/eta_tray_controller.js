@@ -0,0 +1,117 @@
+import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+
+// Collapsible tray of every pending timer for the player (ships in transit,
+// constructions, recruit pool refresh), rendered by shared/_eta_tray outside
+// the content frame so it stays put while the player navigates.
+// Each row is a countdown (refresh off); when one arrives the row is
+// highlighted and eta-tray:completed is dispatched for the sound. The ships
+// and buildings streams replace the whole list when a timer starts or ends.
+//
+// Keys: T opens the tray and focuses the first row; inside it j/k (or the
+// arrows) move between rows, Enter follows the link and Escape closes.
+//
+// Usage:
+//   <div data-controller="eta-tray" data-action="countdown:arrived->eta-tray#complete">
+//     <div data-eta-tray-target="panel">
+//       <ul data-eta-tray-target="list">
+//         <li data-eta-tray-target="item" data-controller="countdown" ...><a data-eta-tray-target="link">...</a></li>
+//       </ul>
+//     </div>
+//     <button data-eta-tray-target="toggle" data-action="eta-tray#toggle">ETA <span data-eta-tray-target="count"></span></button>
+//   </div>
+
+const STORAGE_KEY = "etaTrayOpen"
+// Rows that arrive this soon after appearing were already due; don't chime for them
+const STALE_ARRIVAL_MS = 2000
+
+export default class extends Controller {
+  static targets = ["panel", "list", "item", "link", "toggle", "count"]
+
+  connect() {
+    this.connectedAt = performance.now()
+    this.setOpen(localStorage.getItem(STORAGE_KEY) === "true")
+
+    this.unregisterKeys = [
+      register([
+        { id: "global.eta_tray", keys: "T", description: "ETA tray", handler: () => this.toggleFromKeyboard() }
+      ], { scope: "global" }),
+      register([
+        { id: "eta_tray.next", keys: ["j", "ArrowDown"], description: "Next timer", handler: () => this.moveFocus(1) },
+        { id: "eta_tray.previous", keys: ["k", "ArrowUp"], description: "Previous timer", handler: () => this.moveFocus(-1) },
+        { id: "eta_tray.open", keys: "Enter", description: "Go to asset", handler: () => false },
+        { id: "eta_tray.tab", keys: ["Tab", "Shift-Tab"], hidden: true, handler: () => false },
+        { id: "eta_tray.close", keys: "Escape", description: "Close tray", handler: () => this.close() }
+      ], { scope: "modal", element: this.panelTarget, focusOnly: true, group: "ETA tray" })
+    ]
+  }
+
+  disconnect() {
+    this.unregisterKeys.forEach(unregister => unregister())
+  }
+
+  itemTargetConnected() {
+    this.updateCount()
+  }
+
+  itemTargetDisconnected() {
+    this.updateCount()
+  }
+
+  toggle() {
+    this.setOpen(!this.isOpen)
+  }
+
+  toggleFromKeyboard() {
+    if (this.isOpen && this.panelTarget.contains(document.activeElement)) {
+      this.close()
+    } else {
+      this.setOpen(true)
+      this.linkTargets[0]?.focus()
+    }
+  }
+
+  close() {
+    const hadFocus = this.panelTarget.contains(document.activeElement)
+    this.setOpen(false)
+    if (hadFocus) this.toggleTarget.focus()
+  }
+
+  get isOpen() {
+    return !this.panelTarget.classList.contains("hidden")
+  }
+
+  setOpen(open) {
+    this.panelTarget.classList.toggle("hidden", !open)
+    this.toggleTarget.setAttribute("aria-expanded", open)
+    localStorage.setItem(STORAGE_KEY, open)
+  }
+
+  moveFocus(step) {
+    const links = this.linkTargets
+    const index = links.indexOf(document.activeElement)
+    links[Math.max(0, Math.min(links.length - 1, index + step))]?.focus()
+  }
+
+  // countdown:arrived from one of the rows
+  complete(event) {
+    const item = event.target.closest("[data-eta-tray-target='item']")
+    if (!item) return
+
+    item.dataset.completed = "true"
+    item.classList.add("bg-lime-900", "border-lime-500")
+    item.querySelector("[data-countdown-target='display']")?.classList.replace("text-yellow-300", "text-lime-300")
+    this.updateCount()
+
+    if (performance.now() - this.connectedAt > STALE_ARRIVAL_MS) {
+      this.dispatch("completed", { detail: { id: item.id } })
+    }
+  }
+
+  updateCount() {
+    if (!this.hasCountTarget) return
+    const pending = this.itemTargets.filter(item => !item.dataset.completed).length
+    const done = this.itemTargets.length - pending
+    this.countTarget.textContent = done > 0 ? `(${pending} · ${done} done)` : `(${pending})`
+  }
+}
@@ -0,0 +1,188 @@
+import { Controller } from "@hotwired/stimulus"
+import { CharGrid, PLANES } from "lib/char_grid"
+
+// Exploration coverage radar
+//
+// Loads ExplorationController#radar (JSON) and draws the explored
+// coordinates around the ship as a density grid: each cell is a column of
+// the cube seen along the axis the plane leaves out (XY looks down Z), and
+// is shaded by how much of that column has been explored. Gaps, unexplored
+// coordinates mostly surrounded by explored ones, are marked with ??.
+//
+// Hovering or focusing one of the exploration mode forms previews where it
+// would send the ship, with the distance and fuel cost, before it is
+// submitted. Each coordinate takes two characters, so the grid stays square.
+//
+// Usage:
+//   <div data-controller="exploration-radar" data-exploration-radar-url-value="<%= radar_exploration_path %>">
+//     <pre data-exploration-radar-target="grid"></pre>
+//     <p data-exploration-radar-target="summary"></p>
+//     <p data-exploration-radar-target="preview"></p>
+//     <%= button_to "Explore", orbit_exploration_path, form: radar_preview_form("orbit", "Orbit") %>
+//   </div>
+const DENSITY = ["·", "░", "▒", "▓", "█"]
+const COLOURS = {
+  d0: "text-gray-700",
+  d1: "text-lime-900",
+  d2: "text-lime-700",
+  d3: "text-lime-500",
+  d4: "text-lime-300",
+  gap: "text-red-400",
+  path: "text-orange-300",
+  target: "text-orange-400 font-bold",
+  ship: "text-white font-bold"
+}
+const IDLE_PREVIEW = "Point at an exploration mode to preview its next move"
+
+export default class extends Controller {
+  static targets = ["grid", "summary", "preview", "mode", "plane"]
+  static values = { url: String, plane: { type: String, default: "XY" } }
+
+  connect() {
+    this.previewKey = null
+    // No ship, no radar; the mode forms are still wired up
+    if (this.hasGridTarget) this.load()
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.urlValue, {
+        credentials: "same-origin",
+        headers: { "Accept": "application/json" }
+      })
+      if (!response.ok) throw new Error(`server responded ${response.status}`)
+      this.radar = await response.json()
+      this.draw()
+    } catch (error) {
+      this.summaryTarget.textContent = `Radar offline (${error.message})`
+    }
+  }
+
+  planeValueChanged() {
+    this.draw()
+  }
+
+  selectPlane({ params: { plane } }) {
+    if (PLANES[plane]) this.planeValue = plane
+  }
+
+  preview({ currentTarget }) {
+    this.previewKey = currentTarget.dataset.preview
+    this.previewLabel = currentTarget.dataset.previewLabel
+    this.draw()
+  }
+
+  clearPreview({ currentTarget, relatedTarget }) {
+    // Moving between a form's own elements isn't leaving it
+    if (relatedTarget && currentTarget.contains(relatedTarget)) return
+
+    this.previewKey = null
+    this.draw()
+  }
+
+  get currentPreview() {
+    if (!this.previewKey) return undefined
+
+    const { previews } = this.radar
+    return this.previewKey in previews ? previews[this.previewKey] : previews.single_direction[this.previewKey]
+  }
+
+  // Drawing
+
+  draw() {
+    if (!this.radar) return
+
+    const { center, radius } = this.radar
+    const size = radius * 2 + 1
+    // Half a unit per column, so a coordinate is two characters wide and one row high
+    const grid = new CharGrid(size * 2 + 1, size, { plane: this.planeValue, center, scale: 0.5 })
+    const preview = this.currentPreview
+
+    this.mark(grid, center, "@@", "ship")
+    if (preview) {
+      this.mark(grid, preview.target, "[]", "target")
+      grid.line(grid.project(center), grid.project(preview.target), "path", "·")
+    }
+    this.radar.gaps.forEach(position => this.mark(grid, position, "??", "gap"))
+    this.columns().forEach(({ position, explored, length }) => {
+      const level = explored === 0 ? 0 : Math.min(DENSITY.length - 1, 1 + Math.floor(explored / length * (DENSITY.length - 1)))
+      this.mark(grid, position, DENSITY[level].repeat(2), `d${level}`)
+    })
+
+    grid.render(this.gridTarget, COLOURS)
+    this.planeTargets.forEach(button => {
+      button.setAttribute("aria-pressed", button.dataset.explorationRadarPlaneParam === this.planeValue)
+    })
+    this.renderSummary()
+    this.renderPreview(preview)
+  }
+
+  // Puts a two-character glyph on a coordinate's cells that are still empty
+  mark(grid, position, glyph, kind) {
+    const cell = grid.project(position)
+    glyph.split("").forEach((char, offset) => {
+      const at = { col: cell.col + offset, row: cell.row }
+      if (grid.at(at)?.char === " ") grid.put(at, char, kind)
+    })
+  }
+
+  // One entry per column of the cube seen along the depth axis, inside the galaxy bounds
+  columns() {
+    const { center, radius, bounds: [min, max] } = this.radar
+    const [h, v] = PLANES[this.planeValue]
+    const depth = [0, 1, 2].find(axis => axis !== h && axis !== v)
+    const span = axis => [Math.max(min, center[axis] - radius), Math.min(max, center[axis] + radius)]
+
+    const [depthFrom, depthTo] = span(depth)
+    const length = depthTo - depthFrom + 1
+    const counts = new Map()
+    this.radar.explored.forEach(position => {
+      if (position[depth] < depthFrom || position[depth] > depthTo) return
+      const key = `${position[h]},${position[v]}`
+      counts.set(key, (counts.get(key) || 0) + 1)
+    })
+
+    const columns = []
+    const [hFrom, hTo] = span(h)
+    const [vFrom, vTo] = span(v)
+    for (let a = hFrom; a <= hTo; a++) {
+      for (let b = vFrom; b <= vTo; b++) {
+        const position = [...center]
+        position[h] = a
+        position[v] = b
+        columns.push({ position, explored: counts.get(`${a},${b}`) || 0, length })
+      }
+    }
+    return columns
+  }
+
+  renderSummary() {
+    const { center, radius, bounds: [min, max], explored, gaps } = this.radar
+    const total = center.reduce((product, value) => product * (Math.min(max, value + radius) - Math.max(min, value - radius) + 1), 1)
+    const percentage = total > 0 ? Math.round(explored.length / total * 100) : 100
+    const found = explored.filter(position => position[3]).length
+
+    this.summaryTarget.textContent =
+      `${explored.length} of ${total} coordinates in range explored (${percentage}%) · ${found} with systems · ` +
+      `${gaps.length} ${gaps.length === 1 ? "gap" : "gaps"}`
+  }
+
+  renderPreview(preview) {
+    const text = this.previewTarget
+    text.classList.remove("text-red-400", "text-orange-300")
+
+    if (preview === undefined) {
+      text.textContent = IDLE_PREVIEW
+      return
+    }
+    if (preview === null) {
+      text.textContent = `${this.previewLabel}: nothing left to explore that way`
+      text.classList.add("text-red-400")
+      return
+    }
+
+    const fuel = preview.affordable ? `${preview.fuel_cost} fuel` : `${preview.fuel_cost} fuel — not enough`
+    text.textContent = `${this.previewLabel} → (${preview.target.join(", ")}) · ${preview.distance} units · ${fuel}`
+    text.classList.add(preview.affordable ? "text-orange-300" : "text-red-400")
+  }
+}
@@ -0,0 +1,140 @@
+import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+import { visitPath } from "lib/turbo_navigation"
+
+// Numbered actions on an inbox message (Message::ACTIONS, as described by
+// InboxHelper#inbox_actions). Each becomes a button numbered 1–9. On the
+// message page the digit keys press them; in the inbox list the rows share
+// the digits, so inbox_list_controller sends them to the message under the
+// cursor as an inbox-list:act event.
+//
+// Risky actions (spending credits, fuel or the assistant's cooldown) are
+// armed by the first press and only run on a second one within
+// CONFIRM_TIMEOUT. Commands post to InboxController#act, whose turbo_stream
+// replaces this element with the outcome in the status line; navigation
+// actions open their page in the content panel.
+//
+// Usage:
+//   <div id="<%= dom_id(message, :actions) %>" data-controller="inbox-actions"
+//        data-inbox-actions-actions-value="<%= inbox_actions(message).to_json %>"
+//        data-action="inbox-list:act->inbox-actions#act">
+//     <div data-inbox-actions-target="buttons"></div>
+//     <p data-inbox-actions-target="status"><%= message.action_status %></p>
+//   </div>
+const CONFIRM_TIMEOUT = 4000
+
+export default class extends Controller {
+  static targets = ["buttons", "status"]
+  static values = { actions: Array }
+
+  connect() {
+    this.armed = null
+    this.busy = false
+    this.render()
+
+    if (this.element.closest("[data-inbox-list-target~='item']")) return
+
+    this.unregisterKeys = register(this.actionsValue.slice(0, 9).map((action, index) => ({
+      id: `message.action_${index + 1}`,
+      keys: String(index + 1),
+      description: action.label,
+      handler: () => this.press(index)
+    })), { scope: "content", group: "Message actions" })
+  }
+
+  disconnect() {
+    this.unregisterKeys?.()
+    clearTimeout(this.confirmTimer)
+  }
+
+  // From inbox_list_controller's digit keys
+  act({ detail: { number } }) {
+    this.press(number - 1)
+  }
+
+  click({ params: { index } }) {
+    this.press(index)
+  }
+
+  press(index) {
+    const action = this.actionsValue[index]
+    if (!action || this.busy) return
+
+    if (action.risky && this.armed !== index) return this.arm(index)
+
+    this.disarm()
+    if (action.navigate) {
+      visitPath(action.url)
+    } else {
+      this.perform(action)
+    }
+  }
+
+  arm(index) {
+    this.armed = index
+    clearTimeout(this.confirmTimer)
+    this.confirmTimer = setTimeout(() => this.disarm(), CONFIRM_TIMEOUT)
+    this.render()
+  }
+
+  disarm() {
+    clearTimeout(this.confirmTimer)
+    if (this.armed === null) return
+
+    this.armed = null
+    this.render()
+  }
+
+  async perform(action) {
+    this.busy = true
+    this.render()
+
+    try {
+      const response = await fetch(action.url, {
+        method: "POST",
+        credentials: "same-origin",
+        headers: {
+          "Accept": "text/vnd.turbo-stream.html",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        }
+      })
+      // Refusals come back as a turbo_stream too, with the reason as the status
+      if (!response.headers.get("Content-Type")?.includes("turbo-stream")) {
+        throw new Error(`server responded ${response.status}`)
+      }
+      Turbo.renderStreamMessage(await response.text())
+    } catch (error) {
+      this.busy = false
+      this.render()
+      this.showStatus(`${action.label} failed (${error.message})`, true)
+    }
+  }
+
+  showStatus(text, failed = false) {
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle("text-red-400", failed)
+    this.statusTarget.classList.toggle("text-green-400", !failed)
+    this.statusTarget.classList.remove("hidden")
+  }
+
+  render() {
+    this.buttonsTarget.replaceChildren(...this.actionsValue.slice(0, 9).map((action, index) => {
+      const armed = index === this.armed
+      const button = document.createElement("button")
+      button.type = "button"
+      button.disabled = this.busy
+      button.className = `px-3 py-1 text-sm border transition-colors disabled:opacity-50 ${
+        armed ? "bg-red-900 border-red-500 text-white" : "bg-blue-800 border-blue-600 hover:border-orange-500"
+      }`
+      button.dataset.action = "inbox-actions#click"
+      button.dataset.inboxActionsIndexParam = index
+
+      const number = document.createElement("span")
+      number.className = "mr-1.5 text-orange-400"
+      number.textContent = index + 1
+
+      button.append(number, armed ? `Confirm ${action.label}? Press ${index + 1} again` : action.label)
+      return button
+    }))
+  }
+}
@@ -1,45 +1,571 @@
 import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+import { activateElement } from "lib/turbo_navigation"
+
+// Inbox message list: j/k move the selection over the messages, Enter opens
+// one. Content-scoped in lib/keymap, so the keys apply once Tab has moved
+// focus from the menu to the content panel; the selection uses the same
+// content-focused style keyboard_navigation gives other content items.
+//
+// Messages can also be checked for batch actions: x toggles the message
+// under the cursor, J/K extend a range from the last one toggled, * checks
+// them all (or none). r / u / d then mark the checked messages read, unread
+// or delete them, one request per message to the inbox member routes, whose
+// turbo_stream responses replace or remove the rows. With nothing checked
+// they act on the message under the cursor. Deletes hide the rows at once
+// and are only sent after UNDO_DELAY, so z (or the Undo button) can bring
+// them back. Messages the server refused are counted in the failure line.
+//
+// The filter bar narrows the list by text (every word must appear),
+// read/unread, category (InboxHelper::INBOX_CATEGORIES) and the ship or
+// building a message is about; / focuses it while the inbox is open. A set
+// of filters can be saved as a named view, kept in the profile
+// (user[inbox_views]) like keymap overrides. Keys and batch actions only see
+// the rows the filters leave.
+//
+// Messages can carry numbered actions (inbox_actions_controller); 1–9 run
+// them on the message under the cursor. The digits only bind while that
+// message has an action with the number, so elsewhere they still count.
+//
+// New messages are prepended live (Message#broadcast_to_inbox) and filtered
+// as they arrive; checks and the cursor follow message ids, not positions,
+// so they stay put. While a batch runs, the unread badge broadcasts it
+// causes are held and only the last one is rendered, BADGE_SETTLE after
+// the batch.
+//
+// Usage:
+//   <div data-controller="inbox-list" data-inbox-list-views-value="<%= current_user.inbox_views.to_json %>"
+//        data-inbox-list-views-url-value="<%= profile_path %>">
+//     <input data-inbox-list-target="query" data-action="input->inbox-list#filter">
+//     <div id="inbox_messages"><%= render partial: "inbox/message", collection: @messages %></div>
+//   </div>
+const UNDO_DELAY = 5000
+const BADGE_SETTLE = 1500
 
 export default class extends Controller {
-  static targets = ["item"]
+  static targets = [
+    "item", "checkbox", "toolbar", "selectionCount", "failure", "empty", "undo", "undoText",
+    "query", "status", "category", "asset", "matchCount", "views", "viewName", "viewStatus"
+  ]
+  static values = { views: Object, viewsUrl: String }
 
   connect() {
     this.selectedIndex = 0
+    this.checked ??= new Set()
+    this.deleting ??= new Set()
+    this.batches = 0
+
+    this.unregisterKeys = register([
+      { id: "inbox.next", keys: "j", description: "Next message", handler: () => this.move(1) },
+      { id: "inbox.previous", keys: "k", description: "Previous message", handler: () => this.move(-1) },
+      { id: "inbox.open", keys: "Enter", description: "Open message", handler: () => this.open() },
+      { id: "inbox.toggle", keys: "x", description: "Select message", handler: () => this.toggle() },
+      { id: "inbox.extend_down", keys: "J", description: "Extend selection down", handler: () => this.extend(1) },
+      { id: "inbox.extend_up", keys: "K", description: "Extend selection up", handler: () => this.extend(-1) },
+      { id: "inbox.select_all", keys: "Asterisk", description: "Select all messages", handler: () => this.selectAll() },
+      { id: "inbox.mark_read", keys: "r", description: "Mark selected read", handler: () => this.markRead() },
+      { id: "inbox.mark_unread", keys: "u", description: "Mark selected unread", handler: () => this.markUnread() },
+      { id: "inbox.delete", keys: "d", description: "Delete selected", handler: () => this.delete() },
+      { id: "inbox.undo", keys: "z", description: "Undo delete", when: () => Boolean(this.pendingDelete), handler: () => this.undo() },
+      { id: "inbox.clear_selection", keys: "Escape", description: "Clear selection", when: () => this.checkedItems.length > 0, handler: () => this.clearSelection() },
+      ...Array.from({ length: 9 }, (_, index) => ({
+        id: `inbox.action_${index + 1}`,
+        keys: String(index + 1),
+        description: index === 0 ? "Run message action 1–9" : null,
+        hidden: index > 0,
+        when: () => this.actionCount > index,
+        handler: () => this.act(index + 1)
+      }))
+    ], { scope: "content", element: this.element, group: "Inbox" })
+
+    // Registered after the command console's /, so it wins while the inbox
+    // has its filter; the `when` marks it as that deliberate override, which
+    // keeps it out of the keymap's conflict check
+    const unregisterFilterKey = register([
+      { id: "inbox.filter", keys: "/", description: "Filter messages", when: () => this.hasQueryTarget, handler: () => this.focusFilter() }
+    ], { scope: "global", group: "Inbox" })
+    const unregisterFilterInput = register([
+      { id: "inbox.filter_leave", keys: "Escape", description: "Clear filter text, then leave it", handler: () => this.leaveFilter() }
+    ], { scope: "editor", element: this.queryTarget, focusOnly: true, allowInInput: true, group: "Inbox" })
+    const unregisterList = this.unregisterKeys
+    this.unregisterKeys = () => { unregisterList(); unregisterFilterKey(); unregisterFilterInput() }
+
+    this.boundStreamRender = this.streamRender.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.boundStreamRender)
+    this.refresh()
+  }
+
+  disconnect() {
+    this.unregisterKeys()
+    document.removeEventListener("turbo:before-stream-render", this.boundStreamRender)
+    // Leaving the page keeps the delete rather than dropping it
+    this.commitDelete()
+    clearTimeout(this.badgeTimer)
+    this.releaseBadge()
+  }
+
+  // Rows on screen: left by the filters and not being deleted
+  get items() {
+    return this.itemTargets.filter(item => !item.hidden)
+  }
+
+  // The cursor follows a message id, so rows streamed in above it or
+  // replaced under it don't move it
+  get selectedIndex() {
+    const items = this.items
+    const index = items.findIndex(item => item.dataset.messageId === this.cursorId)
+    return index === -1 ? Math.max(0, Math.min(this.cursorFallback, items.length - 1)) : index
+  }
+
+  set selectedIndex(index) {
+    this.cursorFallback = index
+    this.cursorId = this.items[index]?.dataset.messageId
+  }
+
+  itemTargetConnected(item) {
+    this.checked ??= new Set()
+    this.deleting ??= new Set()
+    this.addAssetOption(item)
+    item.hidden = this.deleting.has(item.dataset.messageId) || !this.matches(item, this.filters)
+    this.renderChecked(item)
+    if (this.highlighting) item.classList.toggle("content-focused", item.dataset.messageId === this.cursorId)
+    if (this.hasMatchCountTarget) this.updateMatchCount()
+  }
+
+  itemTargetDisconnected() {
+    if (this.hasMatchCountTarget) this.updateMatchCount()
+  }
+
+  move(step) {
+    this.selectedIndex = Math.max(0, Math.min(this.selectedIndex + step, this.items.length - 1))
     this.highlightItem()
   }
 
-  navigate(event) {
-    // Only handle j/k/Enter keys
-    if (!['j', 'k', 'Enter'].includes(event.key)) return
+  open() {
+    activateElement(this.items[this.selectedIndex])
+  }
 
-    event.preventDefault()
+  // Keeps j/k continuing from wherever the mouse last pointed
+  hover(event) {
+    const index = this.items.indexOf(event.currentTarget)
+    if (index !== -1) this.selectedIndex = index
+  }
 
-    switch(event.key) {
-      case 'j':
-        // Move down
-        this.selectedIndex = Math.min(this.selectedIndex + 1, this.itemTargets.length - 1)
-        this.highlightItem()
-        break
-      case 'k':
-        // Move up
-        this.selectedIndex = Math.max(this.selectedIndex - 1, 0)
-        this.highlightItem()
-        break
-      case 'Enter':
-        // Select current item
-        this.itemTargets[this.selectedIndex].click()
-        break
-    }
+  get actionCount() {
+    return Number(this.items[this.selectedIndex]?.dataset.actionCount || 0)
+  }
+
+  // Hands the number to the row's inbox-actions controller
+  act(number) {
+    const actions = this.items[this.selectedIndex]?.querySelector("[data-controller~='inbox-actions']")
+    if (actions) this.dispatch("act", { target: actions, detail: { number } })
   }
 
   highlightItem() {
-    this.itemTargets.forEach((item, index) => {
-      if (index === this.selectedIndex) {
-        item.classList.add('ring-2', 'ring-orange-500')
+    this.highlighting = true
+    const selected = this.items[this.selectedIndex]
+    this.itemTargets.forEach(item => {
+      if (item === selected) {
+        item.classList.add('content-focused')
         item.scrollIntoView({ block: 'nearest' })
       } else {
-        item.classList.remove('ring-2', 'ring-orange-500')
+        item.classList.remove('content-focused')
+      }
+    })
+  }
+
+  // Filtering
+
+  get filters() {
+    const filters = {
+      query: this.queryTarget.value.trim(),
+      status: this.statusTarget.value,
+      category: this.categoryTarget.value,
+      asset: this.assetTarget.value
+    }
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ""))
+  }
+
+  matches(item, { query, status, category, asset }) {
+    if (status === "unread" && item.dataset.unread !== "true") return false
+    if (status === "read" && item.dataset.unread === "true") return false
+    if (category && item.dataset.category !== category) return false
+    if (asset && item.dataset.asset !== asset) return false
+
+    const text = item.textContent.toLowerCase()
+    return !query || query.toLowerCase().split(/\s+/).every(word => text.includes(word))
+  }
+
+  filter() {
+    this.activeView = null
+    this.renderViews()
+    this.refresh()
+  }
+
+  // Reapplies the filters and deletes to every row
+  refresh() {
+    const filters = this.filters
+    this.itemTargets.forEach(item => {
+      item.hidden = this.deleting.has(item.dataset.messageId) || !this.matches(item, filters)
+    })
+    this.updateMatchCount()
+    this.updateToolbar()
+    if (this.highlighting) this.highlightItem()
+  }
+
+  updateMatchCount() {
+    const remaining = this.itemTargets.filter(item => !this.deleting.has(item.dataset.messageId)).length
+    const shown = this.items.length
+    const filtered = Object.keys(this.filters).length > 0
+
+    this.emptyTarget.classList.toggle("hidden", remaining > 0)
+    this.matchCountTarget.textContent = filtered && remaining > 0
+      ? (shown === 0 ? "No messages match" : `${shown} of ${remaining}`)
+      : ""
+  }
+
+  // Messages streamed in can be about an asset the list didn't mention yet
+  addAssetOption(item) {
+    const key = item.dataset.asset
+    if (!key || !this.hasAssetTarget || [...this.assetTarget.options].some(option => option.value === key)) return
+    this.assetTarget.add(new Option(item.dataset.assetName, key))
+  }
+
+  focusFilter() {
+    this.queryTarget.focus()
+    this.queryTarget.select()
+  }
+
+  leaveFilter() {
+    if (this.queryTarget.value) {
+      this.queryTarget.value = ""
+      this.filter()
+    } else {
+      this.queryTarget.blur()
+    }
+  }
+
+  // Saved views
+
+  viewsValueChanged() {
+    this.renderViews()
+  }
+
+  renderViews() {
+    if (!this.hasViewsTarget) return
+
+    this.viewsTarget.replaceChildren(...Object.keys(this.viewsValue).sort().map(name => {
+      const chip = document.createElement("span")
+      chip.className = `inline-flex items-center border ${name === this.activeView ? "border-orange-500 text-orange-400" : "border-blue-700 text-gray-300"}`
+
+      const apply = document.createElement("button")
+      apply.type = "button"
+      apply.className = "px-2 py-0.5 hover:text-orange-400"
+      apply.textContent = name
+      apply.dataset.action = "inbox-list#applyView"
+      apply.dataset.inboxListNameParam = name
+
+      const remove = document.createElement("button")
+      remove.type = "button"
+      remove.className = "px-1.5 py-0.5 text-gray-500 hover:text-red-400"
+      remove.textContent = "×"
+      remove.setAttribute("aria-label", `Delete view ${name}`)
+      remove.dataset.action = "inbox-list#deleteView"
+      remove.dataset.inboxListNameParam = name
+
+      chip.append(apply, remove)
+      return chip
+    }))
+  }
+
+  applyView({ params: { name } }) {
+    const view = this.viewsValue[name]
+    if (!view) return
+
+    this.queryTarget.value = view.query || ""
+    this.statusTarget.value = view.status || ""
+    this.categoryTarget.value = view.category || ""
+    if (view.asset && ![...this.assetTarget.options].some(option => option.value === view.asset)) {
+      this.assetTarget.add(new Option("(no longer in the inbox)", view.asset))
+    }
+    this.assetTarget.value = view.asset || ""
+
+    this.refresh()
+    this.activeView = name
+    this.renderViews()
+  }
+
+  saveView() {
+    const name = this.viewNameTarget.value.trim()
+    if (!name) return this.viewNameTarget.focus()
+
+    this.viewsValue = { ...this.viewsValue, [name]: this.filters }
+    this.viewNameTarget.value = ""
+    this.activeView = name
+    this.renderViews()
+    this.syncViews()
+  }
+
+  deleteView({ params: { name } }) {
+    const views = { ...this.viewsValue }
+    delete views[name]
+    this.viewsValue = views
+    this.syncViews()
+  }
+
+  async syncViews() {
+    try {
+      const response = await fetch(this.viewsUrlValue, {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ user: { inbox_views: this.viewsValue } })
+      })
+      if (!response.ok) throw new Error(`server responded ${response.status}`)
+      this.viewStatusTarget.textContent = ""
+    } catch (error) {
+      this.viewStatusTarget.textContent = `Views not saved (${error.message})`
+    }
+  }
+
+  // Checking
+
+  get checkedItems() {
+    return this.items.filter(item => this.checked.has(item.dataset.messageId))
+  }
+
+  // What a batch action applies to: the checked messages, or the one under the cursor
+  get actionItems() {
+    const checked = this.checkedItems
+    if (checked.length > 0) return checked
+
+    const current = this.items[this.selectedIndex]
+    return current ? [current] : []
+  }
+
+  toggle() {
+    const item = this.items[this.selectedIndex]
+    if (!item) return
+
+    this.setChecked(item, !this.checked.has(item.dataset.messageId))
+    this.anchorId = item.dataset.messageId
+    this.updateToolbar()
+  }
+
+  // Clicks on a row's checkbox; shift-click checks the range from the last one
+  toggleClick(event) {
+    event.preventDefault()
+    const item = event.currentTarget.closest("[data-inbox-list-target='item']")
+    this.selectedIndex = this.items.indexOf(item)
+
+    if (event.shiftKey && this.anchorId) {
+      this.checkRange()
+    } else {
+      this.toggle()
+    }
+  }
+
+  extend(step) {
+    const current = this.items[this.selectedIndex]
+    if (!current) return
+
+    if (!this.anchorId || !this.items.some(item => item.dataset.messageId === this.anchorId)) {
+      this.anchorId = current.dataset.messageId
+    }
+    this.move(step)
+    this.checkRange()
+  }
+
+  // Checks everything between the anchor and the cursor
+  checkRange() {
+    const items = this.items
+    const anchor = items.findIndex(item => item.dataset.messageId === this.anchorId)
+    if (anchor === -1) return this.toggle()
+
+    const cursor = this.selectedIndex
+    items.slice(Math.min(anchor, cursor), Math.max(anchor, cursor) + 1).forEach(item => this.setChecked(item, true))
+    this.updateToolbar()
+  }
+
+  selectAll() {
+    const items = this.items
+    const all = items.length > 0 && items.every(item => this.checked.has(item.dataset.messageId))
+    items.forEach(item => this.setChecked(item, !all))
+    this.updateToolbar()
+  }
+
+  clearSelection() {
+    this.checked.clear()
+    this.itemTargets.forEach(item => this.renderChecked(item))
+    this.anchorId = null
+    this.updateToolbar()
+  }
+
+  setChecked(item, checked) {
+    if (checked) {
+      this.checked.add(item.dataset.messageId)
+    } else {
+      this.checked.delete(item.dataset.messageId)
+    }
+    this.renderChecked(item)
+  }
+
+  renderChecked(item) {
+    const checked = this.checked.has(item.dataset.messageId)
+    const checkbox = item.querySelector("[data-inbox-list-target='checkbox']")
+    if (checkbox) {
+      checkbox.setAttribute("aria-checked", checked)
+      checkbox.textContent = checked ? "✓" : ""
+    }
+    item.classList.toggle("bg-blue-800", checked)
+    item.classList.toggle("bg-blue-900", !checked)
+  }
+
+  updateToolbar() {
+    const count = this.checkedItems.length
+    this.toolbarTarget.classList.toggle("hidden", count === 0)
+    this.selectionCountTarget.textContent = `${count} selected`
+  }
+
+  // Batch actions
+
+  markRead() {
+    this.batch("markReadUrl", item => item.dataset.unread === "true")
+  }
+
+  markUnread() {
+    this.batch("markUnreadUrl", item => item.dataset.unread !== "true")
+  }
+
+  // Posts to each message's member route; rows already in that state are skipped
+  async batch(urlKey, needed) {
+    const items = this.actionItems.filter(needed)
+    if (items.length === 0) return
+
+    this.reportFailures(0)
+    this.holdBadge()
+    let failures = 0
+    try {
+      for (const item of items) {
+        await this.send(item.dataset[urlKey], "POST").catch(error => {
+          failures++
+          console.debug("Inbox update failed:", error.message)
+        })
+      }
+    } finally {
+      this.settleBadge()
+      this.reportFailures(failures, "updated")
+    }
+  }
+
+  reportFailures(count, verb) {
+    if (!this.hasFailureTarget) return
+
+    this.failureTarget.textContent = count > 0 ? `${count} ${count === 1 ? "message" : "messages"} could not be ${verb}` : ""
+    this.failureTarget.classList.toggle("hidden", count === 0)
+  }
+
+  delete() {
+    const items = this.actionItems
+    if (items.length === 0) return
+
+    // An earlier delete still waiting for its undo window goes through now
+    this.commitDelete()
+
+    items.forEach(item => {
+      this.checked.delete(item.dataset.messageId)
+      this.deleting.add(item.dataset.messageId)
+    })
+    this.pendingDelete = items
+    this.deleteTimer = setTimeout(() => this.commitDelete(), UNDO_DELAY)
+
+    this.undoTextTarget.textContent = `${items.length} ${items.length === 1 ? "message" : "messages"} deleted`
+    this.undoTarget.classList.remove("hidden")
+    this.refresh()
+  }
+
+  undo() {
+    if (!this.pendingDelete) return
+
+    clearTimeout(this.deleteTimer)
+    this.pendingDelete.forEach(item => this.deleting.delete(item.dataset.messageId))
+    this.pendingDelete = null
+    this.undoTarget.classList.add("hidden")
+    this.refresh()
+  }
+
+  async commitDelete() {
+    const items = this.pendingDelete
+    if (!items) return
+
+    this.pendingDelete = null
+    clearTimeout(this.deleteTimer)
+    if (this.hasUndoTarget) this.undoTarget.classList.add("hidden")
+
+    this.holdBadge()
+    const results = await Promise.allSettled(items.map(item => this.send(item.dataset.deleteUrl, "DELETE")))
+    this.settleBadge()
+
+    // Rows the server kept come back
+    const failed = items.filter((item, index) => results[index].status === "rejected")
+    failed.forEach(item => this.deleting.delete(item.dataset.messageId))
+    if (failed.length > 0 && this.element.isConnected) {
+      this.refresh()
+      this.reportFailures(failed.length, "deleted")
+    }
+  }
+
+  async send(url, method) {
+    const response = await fetch(url, {
+      method,
+      keepalive: true,
+      credentials: "same-origin",
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
       }
     })
+    if (!response.ok) throw new Error(response.statusText)
+    Turbo.renderStreamMessage(await response.text())
+  }
+
+  // Unread badge
+
+  holdBadge() {
+    this.batches++
+    this.holdingBadge = true
+    clearTimeout(this.badgeTimer)
+  }
+
+  settleBadge() {
+    this.batches--
+    if (this.batches > 0) return
+
+    clearTimeout(this.badgeTimer)
+    this.badgeTimer = setTimeout(() => this.releaseBadge(), BADGE_SETTLE)
+  }
+
+  releaseBadge() {
+    this.holdingBadge = false
+    const held = this.heldBadge
+    this.heldBadge = null
+    if (held) Turbo.renderStreamMessage(held)
+  }
+
+  // Badge updates broadcast during a batch wait; the newest one wins
+  streamRender(event) {
+    const stream = event.target
+    if (!this.holdingBadge || stream.target !== "inbox_unread_badge") return
+
+    event.preventDefault()
+    this.heldBadge = stream.outerHTML
+    if (this.batches === 0) {
+      clearTimeout(this.badgeTimer)
+      this.badgeTimer = setTimeout(() => this.releaseBadge(), BADGE_SETTLE)
+    }
   }
-}
\ No newline at end of file
+}
@@ -1,5 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Intents that take cargo aboard (priced by max_price) and that put it off
+// (priced by min_price); route_simulator_controller walks routes by the same split
+export const ACQUIRE_TYPES = ["buy", "load"]
+export const RELEASE_TYPES = ["sell", "unload"]
+
 // Connects to data-controller="intent-form"
 // Toggles price fields based on intent type selection
 // Buy/Load intents show max_price field
@@ -18,10 +23,10 @@ export default class extends Controller {
   updatePriceFields() {
     const type = this.typeTarget.value
 
-    if (["buy", "load"].includes(type)) {
+    if (ACQUIRE_TYPES.includes(type)) {
       this.showMaxPrice()
       this.hideMinPrice()
-    } else if (["sell", "unload"].includes(type)) {
+    } else if (RELEASE_TYPES.includes(type)) {
       this.hideMaxPrice()
       this.showMinPrice()
     } else {
@@ -1,14 +1,27 @@
 import { Controller } from "@hotwired/stimulus"
+import { activateElement, visitLink, visitPath } from "lib/turbo_navigation"
+import { register, setFocusZone, onPendingChange } from "lib/keymap"
 
 // VI-style keyboard navigation controller
 // Supports two focus zones: menu sidebar and content panel
 // Tab switches between zones, j/k navigates within current zone
 // Manages SELECTED state separately from ACTIVE state (URL-based)
+// Keys are registered with lib/keymap, which is told the focused zone so
+// menu and content bindings (and editors inside the content) take turns.
+//
+// Vim grammar on top: counts (5j), gg/G for first/last (or the Nth) item,
+// g-prefixed jumps to screens and m<letter>/'<letter> marks that remember a
+// content URL plus the selected item. Pending keys and mark feedback show in
+// the status target.
 export default class extends Controller {
-  static targets = ["menuItem", "contentItem", "contentPanel"]
+  static targets = ["menuItem", "contentItem", "contentPanel", "status"]
+  static values = {
+    marketPath: String,
+    statusDuration: { type: Number, default: 2000 }
+  }
 
   connect() {
-    this.focusZone = 'menu' // 'menu' or 'content'
+    this.focusZone = 'menu'
     this.menuIndex = -1 // Start with no selection until user navigates
     this.contentIndex = 0
     this.menuItems = this.menuItemTargets
@@ -18,7 +31,8 @@ export default class extends Controller {
   }
 
   disconnect() {
-    document.removeEventListener("keydown", this.handleKeyDown)
+    this.unregisterKeys.forEach(unregister => unregister())
+    clearTimeout(this.statusTimeout)
     document.removeEventListener("turbo:frame-load", this.boundSync)
     document.removeEventListener("turbo:frame-load", this.boundContentRefresh)
     document.removeEventListener("turbo:render", this.boundSync)
@@ -26,8 +40,49 @@ export default class extends Controller {
   }
 
   bindKeyboardEvents() {
-    this.handleKeyDown = this.onKeyDown.bind(this)
-    document.addEventListener("keydown", this.handleKeyDown)
+    this.unregisterKeys = [
+      register([
+        { id: "global.zone", keys: "Tab", description: "Switch menu/content", handler: () => this.toggleFocusZone() },
+        { id: "global.home", keys: "H", description: "Home (Inbox)", handler: () => this.goHome() },
+        { id: "global.console", keys: "/", description: "Command console", handler: () => this.focusSearch() },
+        { id: "global.help", keys: "?", description: "Show this help", handler: () => this.showHelp() },
+        { id: "global.go_inbox", keys: "g i", description: "Go to inbox", handler: () => this.jumpTo("/inbox") },
+        { id: "global.go_market", keys: "g m", description: "Go to market (current system)", handler: () => this.jumpTo(this.marketPathValue, "No ship docked at a market") },
+        { id: "global.go_ships", keys: "g s", description: "Go to ships", handler: () => this.jumpTo("/ships") },
+        { id: "global.go_routes", keys: "g r", description: "Go to routes", handler: () => this.jumpTo("/routes") },
+        { id: "global.go_navigation", keys: "g n", description: "Go to navigation", handler: () => this.jumpTo("/navigation") },
+        { id: "global.set_mark", keys: "m *", description: "Set mark", handler: (event, { key }) => this.setMark(key) },
+        { id: "global.jump_mark", keys: "' *", description: "Jump to mark", handler: (event, { key }) => this.jumpToMark(key) }
+      ], { scope: "global" }),
+      register([
+        { id: "menu.next", keys: "j", description: "Next menu item", handler: (event, { count }) => this.selectNext(count || 1) },
+        { id: "menu.previous", keys: "k", description: "Previous menu item", handler: (event, { count }) => this.selectPrevious(count || 1) },
+        { id: "menu.first", keys: "g g", description: "First (or Nth) menu item", handler: (event, { count }) => this.selectAt(count ? count - 1 : 0) },
+        { id: "menu.last", keys: "G", description: "Last (or Nth) menu item", handler: (event, { count }) => this.selectAt(count ? count - 1 : Infinity) },
+        { id: "menu.open", keys: "Enter", description: "Open menu item", handler: () => this.activateSelected() },
+        { id: "menu.back", keys: ["Escape", "q"], description: "Go back", handler: () => this.goBack() }
+      ], { scope: "menu" }),
+      register([
+        { id: "content.next", keys: "j", description: "Next item", handler: (event, { count }) => this.selectNext(count || 1) },
+        { id: "content.previous", keys: "k", description: "Previous item", handler: (event, { count }) => this.selectPrevious(count || 1) },
+        { id: "content.first", keys: "g g", description: "First (or Nth) item", handler: (event, { count }) => this.selectAt(count ? count - 1 : 0) },
+        { id: "content.last", keys: "G", description: "Last (or Nth) item", handler: (event, { count }) => this.selectAt(count ? count - 1 : Infinity) },
+        { id: "content.open", keys: "Enter", description: "Select", handler: () => this.activateSelected() },
+        { id: "content.back", keys: ["Escape", "q"], description: "Back to menu", handler: () => this.goBack() }
+      ], { scope: "content" })
+    ]
+
+    this.unregisterKeys.push(onPendingChange(text => this.showStatus(text, { sticky: true })))
+  }
+
+  get focusZone() {
+    return this.currentZone
+  }
+
+  // 'menu' or 'content'; mirrored into the keymap so scoped bindings follow it
+  set focusZone(zone) {
+    this.currentZone = zone
+    setFocusZone(zone)
   }
 
   bindTurboEvents() {
@@ -47,52 +102,14 @@ export default class extends Controller {
   refreshContentItems() {
     // Reset content index when content changes
     this.contentIndex = 0
-    if (this.focusZone === 'content') {
+    if (this.pendingMarkIndex !== undefined) {
+      this.focusContentAt(this.pendingMarkIndex)
+      delete this.pendingMarkIndex
+    } else if (this.focusZone === 'content') {
       this.updateContentSelection()
     }
   }
 
-  onKeyDown(event) {
-    // Ignore if user is typing in an input field
-    if (event.target.matches('input, textarea, select')) return
-
-    switch(event.key) {
-      case 'Tab':
-        event.preventDefault()
-        this.toggleFocusZone()
-        break
-      case 'j':
-        event.preventDefault()
-        this.selectNext()
-        break
-      case 'k':
-        event.preventDefault()
-        this.selectPrevious()
-        break
-      case 'Enter':
-        event.preventDefault()
-        this.activateSelected()
-        break
-      case 'Escape':
-      case 'q':
-        event.preventDefault()
-        this.goBack()
-        break
-      case 'H':
-        event.preventDefault()
-        this.goHome()
-        break
-      case '?':
-        event.preventDefault()
-        this.showHelp()
-        break
-      case '/':
-        event.preventDefault()
-        this.focusSearch()
-        break
-    }
-  }
-
   toggleFocusZone() {
     const contentItems = this.contentItems
     if (this.focusZone === 'menu' && contentItems.length > 0) {
@@ -110,31 +127,42 @@ export default class extends Controller {
     }
   }
 
-  selectNext() {
+  selectNext(count = 1) {
     if (this.focusZone === 'menu') {
       if (this.menuIndex === -1) {
         // First navigation - start from active item or first item
         this.menuIndex = this.findActiveIndex()
       }
-      this.menuIndex = Math.min(this.menuIndex + 1, this.menuItems.length - 1)
+      this.menuIndex = Math.min(this.menuIndex + count, this.menuItems.length - 1)
       this.updateMenuSelection()
     } else {
       const items = this.contentItems
-      this.contentIndex = Math.min(this.contentIndex + 1, items.length - 1)
+      this.contentIndex = Math.min(this.contentIndex + count, items.length - 1)
       this.updateContentSelection()
     }
   }
 
-  selectPrevious() {
+  selectPrevious(count = 1) {
     if (this.focusZone === 'menu') {
       if (this.menuIndex === -1) {
         // First navigation - start from active item or first item
         this.menuIndex = this.findActiveIndex()
       }
-      this.menuIndex = Math.max(this.menuIndex - 1, 0)
+      this.menuIndex = Math.max(this.menuIndex - count, 0)
+      this.updateMenuSelection()
+    } else {
+      this.contentIndex = Math.max(this.contentIndex - count, 0)
+      this.updateContentSelection()
+    }
+  }
+
+  // gg / G: jump to an item by position in the focused zone (clamped)
+  selectAt(index) {
+    if (this.focusZone === 'menu') {
+      this.menuIndex = Math.max(0, Math.min(index, this.menuItems.length - 1))
       this.updateMenuSelection()
     } else {
-      this.contentIndex = Math.max(this.contentIndex - 1, 0)
+      this.contentIndex = Math.max(0, Math.min(index, this.contentItems.length - 1))
       this.updateContentSelection()
     }
   }
@@ -197,22 +225,7 @@ export default class extends Controller {
       selectedItem = this.contentItems[this.contentIndex]
     }
 
-    if (selectedItem) {
-      const link = selectedItem.matches('a') ? selectedItem : selectedItem.querySelector('a')
-      if (link && link.href) {
-        const frameId = link.dataset.turboFrame
-        if (frameId) {
-          Turbo.visit(link.href, { 
-            frame: frameId,
-            action: "advance"
-          })
-        } else {
-          Turbo.visit(link.href, { action: "advance" })
-        }
-      } else if (selectedItem.matches('button')) {
-        selectedItem.click()
-      }
-    }
+    activateElement(selectedItem)
   }
 
   goBack() {
@@ -232,41 +245,88 @@ export default class extends Controller {
 
   goHome() {
     const homeLink = document.querySelector('a[href="/inbox"]')
-    if (homeLink) {
-      const frameId = homeLink.dataset.turboFrame
-      if (frameId) {
-        Turbo.visit(homeLink.href, { 
-          frame: frameId,
-          action: "advance"
-        })
-      } else {
-        Turbo.visit(homeLink.href, { action: "advance" })
-      }
-    }
+    if (homeLink) visitLink(homeLink)
   }
 
+  // Opens #keyboard-help (keymap_help_controller listens on window)
   showHelp() {
-    const helpModal = document.getElementById('keyboard-help')
-    if (helpModal) {
-      helpModal.classList.remove('hidden')
-
-      const closeHelp = (e) => {
-        e.preventDefault()
-        helpModal.classList.add('hidden')
-        document.removeEventListener('keydown', closeHelp)
-      }
+    this.dispatch("open", { target: window, prefix: "keymap-help" })
+  }
 
-      setTimeout(() => {
-        document.addEventListener('keydown', closeHelp)
-      }, 100)
+  // g-prefixed jumps to named screens
+  jumpTo(path, unavailable = "Nowhere to go") {
+    if (!path) {
+      this.showStatus(unavailable)
+      return
     }
+    visitPath(path)
   }
 
-  focusSearch() {
-    const searchInput = document.querySelector('input[type="search"], input[type="text"]')
-    if (searchInput) {
-      searchInput.focus()
+  // Marks: m<letter> remembers this screen and the selected content item,
+  // '<letter> comes back to it. Kept in localStorage like vim's file marks.
+
+  setMark(letter) {
+    if (!/^[a-zA-Z]$/.test(letter)) return false
+
+    const marks = this.loadMarks()
+    marks[letter] = {
+      url: window.location.pathname + window.location.search,
+      index: this.focusZone === 'content' ? this.contentIndex : 0
     }
+    localStorage.setItem("keyboardMarks", JSON.stringify(marks))
+    this.showStatus(`Mark ${letter} set`)
+  }
+
+  jumpToMark(letter) {
+    if (!/^[a-zA-Z]$/.test(letter)) return false
+
+    const mark = this.loadMarks()[letter]
+    if (!mark) {
+      this.showStatus(`Mark ${letter} not set`)
+      return
+    }
+
+    if (mark.url === window.location.pathname + window.location.search) {
+      this.focusContentAt(mark.index)
+    } else {
+      // Applied by refreshContentItems once the frame has loaded
+      this.pendingMarkIndex = mark.index
+      visitPath(mark.url)
+    }
+  }
+
+  focusContentAt(index) {
+    if (this.contentItems.length === 0) return
+
+    this.focusZone = 'content'
+    this.clearMenuSelection()
+    this.contentIndex = Math.min(index, this.contentItems.length - 1)
+    this.updateContentSelection()
+  }
+
+  loadMarks() {
+    try {
+      return JSON.parse(localStorage.getItem("keyboardMarks")) || {}
+    } catch {
+      return {}
+    }
+  }
+
+  // Status line: pending count/sequence (sticky until cleared) or a short message
+  showStatus(text, { sticky = false } = {}) {
+    if (!this.hasStatusTarget) return
+
+    clearTimeout(this.statusTimeout)
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle("hidden", !text)
+    if (text && !sticky) {
+      this.statusTimeout = setTimeout(() => this.showStatus(""), this.statusDurationValue)
+    }
+  }
+
+  // Opens the command console (command_console_controller listens on window)
+  focusSearch() {
+    this.dispatch("open", { target: window, prefix: "command-console" })
   }
 
   syncSelectionToActive() {
@@ -0,0 +1,186 @@
+import { Controller } from "@hotwired/stimulus"
+import { register, bindings, remap, resetKey, resetAll, keyFromEvent, describeKey, onOverridesChange, SCOPES } from "lib/keymap"
+
+// #keyboard-help modal, generated from the lib/keymap registry
+// Lists every binding registered on the current page, grouped by scope.
+// Clicking a key rebinds it: the next key pressed becomes the new binding
+// unless it clashes with another one. Remappings are saved by lib/keymap to
+// localStorage and synced here to the profile (PATCH /profile, user[keymap]).
+//
+// Usage:
+//   <div id="keyboard-help" data-controller="keymap-help"
+//        data-keymap-help-url-value="<%= profile_path %>"
+//        data-action="keymap-help:open@window->keymap-help#open">
+export default class extends Controller {
+  static targets = ["list", "status"]
+  static values = { url: String }
+
+  connect() {
+    this.capturing = null
+    this.handleCapture = this.onCapture.bind(this)
+
+    this.unregisterKeys = register([
+      // Any key closes the help, as it always has
+      { id: "help.close", keys: "*", hidden: true, allowInInput: true, handler: () => this.close() }
+    ], { scope: "modal", when: () => this.isOpen && !this.capturing })
+    this.unsubscribe = onOverridesChange(overrides => this.sync(overrides))
+  }
+
+  disconnect() {
+    this.unregisterKeys()
+    this.unsubscribe()
+    this.stopCapture()
+  }
+
+  get isOpen() {
+    return !this.element.classList.contains("hidden")
+  }
+
+  open() {
+    this.render()
+    this.report("")
+    this.element.classList.remove("hidden")
+  }
+
+  close() {
+    this.stopCapture()
+    this.element.classList.add("hidden")
+  }
+
+  // Clicks on the dimmed backdrop close; clicks inside the dialog don't
+  backdrop(event) {
+    if (event.target === this.element) this.close()
+  }
+
+  render() {
+    const groups = new Map()
+    bindings()
+      .sort((a, b) => SCOPES.indexOf(b.scope) - SCOPES.indexOf(a.scope))
+      .forEach(binding => {
+        if (!groups.has(binding.group)) groups.set(binding.group, [])
+        groups.get(binding.group).push(binding)
+      })
+
+    this.listTarget.replaceChildren(...Array.from(groups, ([group, entries]) => {
+      const section = document.createElement("section")
+      const heading = document.createElement("h3")
+      heading.className = "text-orange-400 text-xs uppercase mb-1"
+      heading.textContent = group
+
+      const list = document.createElement("dl")
+      list.className = "space-y-2"
+      list.append(...entries.map(entry => this.row(entry)))
+
+      section.append(heading, list)
+      return section
+    }))
+  }
+
+  row(entry) {
+    const row = document.createElement("div")
+    row.className = "flex items-baseline"
+
+    const term = document.createElement("dt")
+    term.className = "w-20 shrink-0"
+    const key = document.createElement("button")
+    key.type = "button"
+    key.className = "text-lime-400 hover:underline"
+    key.title = "Click to remap"
+    key.dataset.id = entry.id
+    key.dataset.action = "keymap-help#capture"
+    key.textContent = this.capturing === entry.id ? "..." : entry.keys.map(describeKey).join("/")
+    term.append(key)
+
+    const description = document.createElement("dd")
+    description.className = "flex-1"
+    description.textContent = entry.description
+
+    row.append(term, description)
+
+    if (entry.remapped) {
+      const reset = document.createElement("button")
+      reset.type = "button"
+      reset.className = "text-xs text-gray-400 hover:text-orange-400 ml-2"
+      reset.dataset.id = entry.id
+      reset.dataset.action = "keymap-help#reset"
+      reset.textContent = `reset (${entry.defaultKeys.map(describeKey).join("/")})`
+      row.append(reset)
+    }
+    return row
+  }
+
+  // Remapping
+
+  capture(event) {
+    this.capturing = event.currentTarget.dataset.id
+    document.addEventListener("keydown", this.handleCapture, true)
+    this.report("Press the new key, or Esc to cancel")
+    this.render()
+  }
+
+  stopCapture() {
+    document.removeEventListener("keydown", this.handleCapture, true)
+    this.capturing = null
+  }
+
+  // Runs in the capture phase so the keymap never sees the key being assigned
+  onCapture(event) {
+    const key = keyFromEvent(event)
+    if (!key) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    const id = this.capturing
+    this.stopCapture()
+
+    if (key === "Escape") {
+      this.report("")
+    } else {
+      const clashes = remap(id, key)
+      if (clashes.length > 0) {
+        this.report(`${describeKey(key)} is already bound to "${clashes[0].description || clashes[0].id}"`, true)
+      } else {
+        this.report(`Bound to ${describeKey(key)}`)
+      }
+    }
+    this.render()
+  }
+
+  reset(event) {
+    resetKey(event.currentTarget.dataset.id)
+    this.render()
+  }
+
+  resetAll() {
+    resetAll()
+    this.report("All keys reset")
+    this.render()
+  }
+
+  report(text, isError = false) {
+    if (!this.hasStatusTarget) return
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle("text-red-400", isError)
+  }
+
+  async sync(overrides) {
+    if (!this.hasUrlValue) return
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "PATCH",
+        credentials: "same-origin",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ user: { keymap: overrides } })
+      })
+      if (!response.ok) throw new Error(`server responded ${response.status}`)
+    } catch (error) {
+      this.report(`Saved on this device only (${error.message})`, true)
+    }
+  }
+}
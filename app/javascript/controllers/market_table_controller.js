@@ -0,0 +1,327 @@
+import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+
+// Market commodity table: sorting, filtering, keyboard rows and a trade calculator
+// Rows (desktop grid rows and mobile cards alike) carry their prices in data
+// attributes (MarketHelper#market_row_data); sorting and filtering apply to
+// both layouts, and keys move over whichever one is showing. Keys are
+// content-scoped in lib/keymap, like the inbox list.
+//
+// The calculator follows the selected row and its quantity: subtotal,
+// marketplace fee, the owner's tax (10% of the spread, paid to the system
+// owner out of the spread rather than added on top), credits afterwards and
+// hold space against the docked ship. Buy/sell submissions that would
+// overdraw credits or overfill the hold ask for confirmation first. Without a
+// ship docked the prices are REMEMBERED ones and every figure says so.
+export default class extends Controller {
+  static targets = ["row", "filter", "sortKey", "sortDirection", "count", "calculator"]
+  static values = {
+    credits: Number,
+    feeRate: Number,
+    ownerTax: Boolean,
+    cargoCapacity: Number,
+    cargoUsed: Number,
+    cargo: Object,
+    priceSource: { type: String, default: "live" },
+    pricesAsOf: String
+  }
+
+  connect() {
+    this.selectedRow = null
+    this.ascending = true
+
+    this.unregisterKeys = register([
+      { id: "market.next", keys: "j", description: "Next commodity", handler: (event, { count }) => this.move(count || 1) },
+      { id: "market.previous", keys: "k", description: "Previous commodity", handler: (event, { count }) => this.move(-(count || 1)) },
+      { id: "market.details", keys: "Enter", description: "Show price breakdown", handler: () => this.toggleDetails() },
+      { id: "market.quantity", keys: "i", description: "Edit quantity", handler: () => this.focusQuantity() },
+      { id: "market.buy", keys: "b", description: "Buy selected commodity", handler: () => this.trade("buy") },
+      { id: "market.sell", keys: "s", description: "Sell selected commodity", handler: () => this.trade("sell") },
+      { id: "market.filter", keys: "f", description: "Filter commodities", handler: () => this.filterTarget.focus() }
+    ], { scope: "content", element: this.element, group: "Market" })
+
+    this.updateCount()
+  }
+
+  disconnect() {
+    this.unregisterKeys()
+  }
+
+  // Rows of the layout on screen (desktop or mobile) that the filter keeps
+  get visibleRows() {
+    return this.rowTargets.filter(row => !row.hidden && row.getClientRects().length > 0)
+  }
+
+  // Filtering
+
+  filter() {
+    const query = this.filterTarget.value.trim().toLowerCase()
+
+    this.rowTargets.forEach(row => {
+      const haystack = `${row.dataset.commodity} ${row.dataset.category || ""}`.toLowerCase()
+      row.hidden = query !== "" && !haystack.includes(query)
+    })
+
+    if (this.selectedRow?.hidden) this.select(this.visibleRows[0] || null)
+    this.updateCount()
+  }
+
+  clearFilter() {
+    this.filterTarget.value = ""
+    this.filter()
+    this.filterTarget.blur()
+  }
+
+  updateCount() {
+    if (!this.hasCountTarget) return
+
+    // Each commodity has a desktop row and a mobile card
+    const total = new Set(this.rowTargets.map(row => row.dataset.commodity)).size
+    const shown = new Set(this.rowTargets.filter(row => !row.hidden).map(row => row.dataset.commodity)).size
+    this.countTarget.textContent = shown === total ? "" : `${shown} of ${total} shown`
+  }
+
+  // Sorting
+
+  sortBy({ params: { key } }) {
+    this.ascending = this.sortKeyTarget.value === key ? !this.ascending : true
+    this.sortKeyTarget.value = key
+    this.applySort()
+  }
+
+  sort() {
+    this.applySort()
+  }
+
+  toggleDirection() {
+    this.ascending = !this.ascending
+    this.applySort()
+  }
+
+  applySort() {
+    const key = this.sortKeyTarget.value
+    this.sortDirectionTarget.textContent = this.ascending ? "↑ Ascending" : "↓ Descending"
+    if (!key) return
+
+    const value = row => {
+      switch (key) {
+        case "name": return row.dataset.commodity.toLowerCase()
+        case "buy": return Number(row.dataset.buyPrice)
+        case "sell": return Number(row.dataset.sellPrice)
+        case "stock": return Number(row.dataset.stock)
+        case "spread": return Number(row.dataset.spread)
+      }
+    }
+    const compare = (a, b) => {
+      const [x, y] = [value(a), value(b)]
+      const order = typeof x === "string" ? x.localeCompare(y) : x - y
+      return this.ascending ? order : -order
+    }
+
+    // Desktop rows and mobile cards live in separate containers; sort each in place
+    const containers = new Map()
+    this.rowTargets.forEach(row => {
+      if (!containers.has(row.parentElement)) containers.set(row.parentElement, [])
+      containers.get(row.parentElement).push(row)
+    })
+    containers.forEach((rows, container) => container.append(...rows.sort(compare)))
+
+    this.selectedRow?.scrollIntoView({ block: "nearest" })
+  }
+
+  // Selection
+
+  move(step) {
+    const rows = this.visibleRows
+    if (rows.length === 0) return
+
+    const index = rows.indexOf(this.selectedRow)
+    const next = index === -1 ? (step > 0 ? 0 : rows.length - 1) : index + step
+    this.select(rows[Math.max(0, Math.min(next, rows.length - 1))])
+  }
+
+  activate(event) {
+    if (this.selectedRow !== event.currentTarget) this.select(event.currentTarget)
+  }
+
+  select(row) {
+    this.selectedRow = row
+    this.rowTargets.forEach(other => other.classList.toggle("content-focused", other === row))
+    row?.scrollIntoView({ block: "nearest" })
+    this.renderCalculator()
+  }
+
+  toggleDetails() {
+    if (this.selectedRow) this.selectedRow.open = !this.selectedRow.open
+  }
+
+  focusQuantity() {
+    const input = this.quantityInput(this.selectedRow)
+    input?.focus()
+    input?.select()
+  }
+
+  // Esc in a field hands the keys back to the table
+  leaveField(event) {
+    event.target.blur()
+  }
+
+  // Calculator
+
+  quantityChanged(event) {
+    const row = event.target.closest("[data-market-table-target~='row']")
+    if (!row) return
+
+    // The buy and sell forms post the quantity from their hidden fields
+    row.querySelectorAll("input[type='hidden'][name='quantity']").forEach(hidden => { hidden.value = event.target.value })
+    this.selectedRow === row ? this.renderCalculator() : this.select(row)
+  }
+
+  quantityInput(row) {
+    return row?.querySelector("input[type='number']")
+  }
+
+  quantityFor(row) {
+    return Math.max(0, parseInt(this.quantityInput(row)?.value, 10) || 0)
+  }
+
+  // #user_credits is replaced by every trade's Turbo Stream, so it stays current
+  get credits() {
+    const live = parseInt(document.getElementById("user_credits")?.dataset.credits, 10)
+    return Number.isNaN(live) ? this.creditsValue : live
+  }
+
+  quote(row, trade) {
+    const commodity = row.dataset.commodity
+    const quantity = this.quantityFor(row)
+    const unitPrice = Number(trade === "buy" ? row.dataset.buyPrice : row.dataset.sellPrice)
+    const subtotal = unitPrice * quantity
+    const fee = Math.round(subtotal * this.feeRateValue)
+    const tax = this.ownerTaxValue ? ownerTaxPerUnit(Number(row.dataset.basePrice)) * quantity : 0
+    const credits = this.credits
+    const docked = this.hasCargoCapacityValue
+    const held = this.cargoValue[commodity] || 0
+    const quote = { trade, commodity, quantity, unitPrice, subtotal, fee, tax, problems: [] }
+
+    if (trade === "buy") {
+      quote.total = subtotal + fee
+      quote.creditsAfter = credits - quote.total
+      quote.cargoAfter = docked ? this.cargoUsedValue + quantity : null
+
+      if (quote.creditsAfter < 0) quote.problems.push(`Costs ${formatCredits(quote.total)}, you have ${formatCredits(credits)}`)
+      if (docked && quote.cargoAfter > this.cargoCapacityValue) {
+        quote.problems.push(`Hold would be ${quote.cargoAfter}/${this.cargoCapacityValue}`)
+      }
+      if (quantity > Number(row.dataset.stock)) quote.problems.push(`Only ${row.dataset.stock} in stock`)
+    } else {
+      quote.total = subtotal - fee
+      quote.creditsAfter = credits + quote.total
+      quote.cargoAfter = docked ? this.cargoUsedValue - Math.min(quantity, held) : null
+
+      if (docked && quantity > held) {
+        quote.problems.push(held === 0 ? `No ${commodity} in the hold` : `Only ${held} ${commodity} in the hold`)
+      }
+    }
+    return quote
+  }
+
+  renderCalculator() {
+    if (!this.hasCalculatorTarget || !this.selectedRow) return
+
+    const buy = this.quote(this.selectedRow, "buy")
+    const sell = this.quote(this.selectedRow, "sell")
+    const remembered = this.priceSourceValue === "remembered"
+
+    const heading = document.createElement("p")
+    heading.className = "mb-2"
+    heading.textContent = `${buy.quantity} × ${buy.commodity}`
+    const marker = document.createElement("span")
+    marker.className = remembered ? "ml-2 text-yellow-400" : "ml-2 text-lime-400"
+    marker.textContent = remembered
+      ? `REMEMBERED prices${this.pricesAsOfValue ? ` (${this.pricesAsOfValue})` : ""}: estimate only`
+      : "LIVE prices"
+    heading.append(marker)
+
+    const feePercent = Math.round(this.feeRateValue * 100)
+    const lines = [
+      ["", "Buy", "Sell"],
+      ["Unit price", formatCredits(buy.unitPrice), formatCredits(sell.unitPrice)],
+      ["Subtotal", formatCredits(buy.subtotal), formatCredits(sell.subtotal)],
+      [`Marketplace fee (${feePercent}%)`, `+${formatCredits(buy.fee)}`, `−${formatCredits(sell.fee)}`],
+      ["Owner tax (from the spread)", formatCredits(buy.tax), formatCredits(sell.tax)],
+      ["Credits after", formatCredits(buy.creditsAfter), formatCredits(sell.creditsAfter)]
+    ]
+    if (this.hasCargoCapacityValue) {
+      lines.push(["Hold after", `${buy.cargoAfter}/${this.cargoCapacityValue}`, `${sell.cargoAfter}/${this.cargoCapacityValue}`])
+    } else {
+      lines.push(["Hold after", "no ship docked", "no ship docked"])
+    }
+
+    const table = document.createElement("div")
+    table.className = "grid grid-cols-3 gap-x-4 gap-y-1 max-w-lg"
+    lines.forEach(([label, buyText, sellText], index) => {
+      [label, buyText, sellText].forEach((text, column) => {
+        const cell = document.createElement("div")
+        cell.textContent = text
+        cell.className = column === 0 ? "text-gray-400" : "text-right font-mono"
+        if (index === 0) cell.className += " text-gray-500 text-xs"
+        if (column === 1 && buy.problems.length > 0 && index > 0) cell.classList.add("text-red-400")
+        if (column === 2 && sell.problems.length > 0 && index > 0) cell.classList.add("text-red-400")
+        table.append(cell)
+      })
+    })
+
+    const warnings = [...buy.problems.map(text => `Buy: ${text}`), ...sell.problems.map(text => `Sell: ${text}`)].map(text => {
+      const warning = document.createElement("p")
+      warning.className = "text-red-400 mt-1"
+      warning.textContent = `⚠ ${text}`
+      return warning
+    })
+
+    this.calculatorTarget.replaceChildren(heading, table, ...warnings)
+  }
+
+  // Trading
+
+  trade(type) {
+    this.selectedRow?.querySelector(`form[data-trade='${type}']`)?.requestSubmit()
+  }
+
+  confirmTrade(event) {
+    const row = event.target.closest("[data-market-table-target~='row']")
+    if (!row) return
+    if (this.selectedRow !== row) this.select(row)
+
+    const quote = this.quote(row, event.target.dataset.trade)
+    if (quote.problems.length === 0) return
+
+    const verb = quote.trade === "buy" ? "Buy" : "Sell"
+    if (!confirm(`${quote.problems.join("\n")}\n\n${verb} ${quote.quantity} ${quote.commodity} anyway?`)) {
+      event.preventDefault()
+    }
+  }
+
+  // Keeps the hold figures current after a trade that didn't reload the page
+  tradeFinished(event) {
+    const form = event.target
+    if (!event.detail.success || !form.dataset?.trade || !this.hasCargoCapacityValue) return
+
+    const commodity = form.querySelector("input[name='commodity']")?.value
+    const quantity = parseInt(form.querySelector("input[name='quantity']")?.value, 10) || 0
+    const held = this.cargoValue[commodity] || 0
+    const change = form.dataset.trade === "buy" ? quantity : -Math.min(quantity, held)
+
+    this.cargoValue = { ...this.cargoValue, [commodity]: held + change }
+    this.cargoUsedValue += change
+    this.renderCalculator()
+  }
+}
+
+// MarketController#pay_owner_tax: 10% of the spread, which is 10% of the price
+function ownerTaxPerUnit(basePrice) {
+  return Math.round(Math.round(basePrice * 0.10) * 0.10)
+}
+
+function formatCredits(amount) {
+  return `${amount.toLocaleString()} cr`
+}
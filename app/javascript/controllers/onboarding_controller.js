@@ -1,14 +1,47 @@
 import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+import { parseSteps, waitForTarget, placeCallout, completes } from "lib/tour"
+
+// Onboarding tour
+//
+// The sidebar describes the player's onboarding step (User#onboarding_step).
+// Within it, a tour of smaller steps (OnboardingHelper#onboarding_tour, JSON;
+// see lib/tour for the format) points at the parts of the UI it talks about.
+// Steps without a tour just spotlight the sidebar's highlight selector.
+//
+// Each tour step waits for its target, which may sit in a turbo frame that
+// is still loading, then dims the page around it and anchors a callout to
+// it that follows resizes and scrolling. A target that doesn't turn up
+// within the step's timeout leaves the callout in the middle of the screen,
+// still watching for it. Steps advance on Enter or Next, or on what the step
+// asks the player to do: clicking the target, or an event such as a
+// successful buy or warp (Next then skips the step).
+//
+// The position is kept in localStorage, so a reload resumes at the same
+// step. Finishing the last one submits the sidebar's Continue, which moves
+// the player on to the next onboarding step. Mobile-only steps advance by
+// themselves on wider screens.
+//
+// Usage:
+//   <div data-controller="onboarding" data-onboarding-step-value="ships_tour"
+//        data-onboarding-tour-value="<%= onboarding_tour(user.onboarding_step).to_json %>"
+//        data-onboarding-highlight-value="[data-menu-item='ships']" data-onboarding-user-id-value="<%= user.id %>">
+//     <div data-onboarding-target="spotlight"></div>
+//     <div data-onboarding-target="callout">...</div>
+//   </div>
+const STORAGE_KEY = "onboardingTour"
 
-// Onboarding sidebar controller
-// Handles keyboard navigation, menu item highlighting, and sidebar interactions
-// Works with non-blocking sidebar layout that lets users see the actual UI
 export default class extends Controller {
-  static targets = ["content", "continueButton"]
+  static targets = [
+    "content", "continueButton", "spotlight", "callout",
+    "calloutCount", "calloutTitle", "calloutBody", "calloutHint", "calloutNext"
+  ]
   static values = {
     step: String,
     highlight: String,
-    mobileOnly: Boolean
+    mobileOnly: Boolean,
+    tour: Array,
+    userId: Number
   }
 
   connect() {
@@ -19,40 +52,93 @@ export default class extends Controller {
     }
 
     this.bindKeyboardEvents()
-    this.highlightMenuItem()
-    
-    // Small delay to ensure DOM is ready, then scroll highlighted item into view
-    setTimeout(() => this.ensureHighlightVisible(), 100)
+
+    this.boundPosition = () => this.schedulePosition()
+    this.boundAction = event => this.actionTaken(event)
+    window.addEventListener("resize", this.boundPosition)
+    // Capture, so scrolling inside the content panel counts too
+    document.addEventListener("scroll", this.boundPosition, true)
+
+    this.steps = this.loadSteps()
+    this.show(this.savedIndex())
   }
 
   disconnect() {
-    document.removeEventListener("keydown", this.handleKeyDown)
-    this.removeHighlight()
+    this.unregisterKeys?.()
+    this.waiting?.abort()
+    window.removeEventListener("resize", this.boundPosition)
+    document.removeEventListener("scroll", this.boundPosition, true)
+    this.removeActionListener()
+    cancelAnimationFrame(this.frame)
   }
 
+  // Modal scope: while the sidebar is up, Enter/Escape belong to the tutorial
   bindKeyboardEvents() {
-    this.handleKeyDown = this.onKeyDown.bind(this)
-    document.addEventListener("keydown", this.handleKeyDown)
+    this.unregisterKeys = register([
+      { id: "onboarding.continue", keys: "Enter", description: "Continue tutorial", when: () => this.current?.advance === "next", handler: () => this.next() },
+      { id: "onboarding.skip", keys: "Escape", description: "Skip tutorial", handler: () => this.skip() }
+    ], { scope: "modal", group: "Tutorial" })
   }
 
-  onKeyDown(event) {
-    // Only handle if not typing in an input
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
-      return
+  loadSteps() {
+    try {
+      if (this.tourValue.length > 0) return parseSteps(this.tourValue)
+    } catch (error) {
+      console.debug("Onboarding tour ignored:", error.message)
+    }
+    return parseSteps([{ id: this.stepValue, target: this.highlightValue || null }])
+  }
+
+  get current() {
+    return this.steps?.[this.index]
+  }
+
+  // Steps
+
+  async show(index) {
+    this.waiting?.abort()
+    this.removeActionListener()
+    this.index = index
+    this.target = null
+    this.located = false
+    this.saveIndex()
+
+    const step = this.current
+    this.renderCallout(step)
+    this.addActionListener(step)
+
+    const waiting = this.waiting = new AbortController()
+    let target = await waitForTarget(step, { signal: waiting.signal })
+    if (waiting.signal.aborted && !target) return
+
+    if (!target) {
+      // Timed out: show the step anyway and keep watching for the target
+      this.located = true
+      this.position()
+      target = await waitForTarget(step, { timeout: Infinity, signal: waiting.signal })
+      if (!target) return
     }
 
-    switch(event.key) {
-      case 'Enter':
-        event.preventDefault()
-        this.advance()
-        break
-      case 'Escape':
-        event.preventDefault()
-        this.skip()
-        break
+    this.target = target
+    this.located = true
+    target.scrollIntoView({ behavior: "smooth", block: "center", inline: "nearest" })
+    this.position()
+  }
+
+  next() {
+    if (this.index + 1 < this.steps.length) {
+      this.show(this.index + 1)
+    } else {
+      this.finish()
     }
   }
 
+  finish() {
+    this.waiting?.abort()
+    localStorage.removeItem(this.storageKey)
+    this.advance()
+  }
+
   advance() {
     if (this.hasContinueButtonTarget) {
       this.continueButtonTarget.click()
@@ -60,6 +146,7 @@ export default class extends Controller {
   }
 
   skip() {
+    localStorage.removeItem(this.storageKey)
     // Trigger skip by navigating to skip path
     const form = this.element.querySelector('form[action*="skip"]')
     if (form) {
@@ -67,65 +154,110 @@ export default class extends Controller {
     }
   }
 
-  highlightMenuItem() {
-    if (!this.highlightValue) return
-
-    // Find the menu item to highlight
-    const menuItem = document.querySelector(this.highlightValue)
-    if (menuItem) {
-      // Add highlight classes - uses CSS animation defined in application.css
-      menuItem.classList.add(
-        "ring-2",
-        "ring-orange-500",
-        "ring-offset-2",
-        "ring-offset-blue-950",
-        "bg-orange-500/20",
-        "rounded",
-        "onboarding-highlight"
-      )
-
-      // Store reference for cleanup
-      this.highlightedElement = menuItem
-    }
+  // Steps completed by doing something
+
+  addActionListener(step) {
+    if (step.advance === "next") return
+
+    this.actionEvent = step.advance === "click" ? "click" : step.advance.event
+    document.addEventListener(this.actionEvent, this.boundAction, true)
   }
 
-  ensureHighlightVisible() {
-    if (this.highlightedElement) {
-      // Scroll into view with some breathing room
-      this.highlightedElement.scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'center',
-        inline: 'nearest'
-      })
+  removeActionListener() {
+    if (!this.actionEvent) return
+
+    document.removeEventListener(this.actionEvent, this.boundAction, true)
+    this.actionEvent = null
+  }
+
+  actionTaken(event) {
+    const step = this.current
+    if (!step || !completes(step, event)) return
+
+    // The action may navigate away; the next step is saved before it does
+    this.removeActionListener()
+    this.next()
+  }
+
+  // Progress, per player and onboarding step
+
+  get storageKey() {
+    return `${STORAGE_KEY}:${this.userIdValue}`
+  }
+
+  savedIndex() {
+    let saved
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey))
+    } catch {
+      return 0
     }
+    if (saved?.step !== this.stepValue) return 0
+
+    const index = this.steps.findIndex(step => step.id === saved.id)
+    return index === -1 ? 0 : index
   }
 
-  removeHighlight() {
-    const highlightClasses = [
-      "ring-2",
-      "ring-orange-500",
-      "ring-offset-2",
-      "ring-offset-blue-950",
-      "bg-orange-500/20",
-      "rounded",
-      "onboarding-highlight"
-    ]
-
-    if (this.highlightedElement) {
-      this.highlightedElement.classList.remove(...highlightClasses)
-      this.highlightedElement = null
+  saveIndex() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ step: this.stepValue, id: this.current.id }))
+  }
+
+  // Spotlight and callout
+
+  renderCallout(step) {
+    const last = this.index === this.steps.length - 1
+    const actionStep = step.advance !== "next"
+
+    this.calloutCountTarget.textContent = this.steps.length > 1 ? `${this.index + 1} of ${this.steps.length}` : ""
+    this.calloutTitleTarget.textContent = step.title || ""
+    this.calloutTitleTarget.hidden = !step.title
+    this.calloutBodyTarget.textContent = step.body || ""
+    this.calloutBodyTarget.hidden = !step.body
+    this.calloutHintTarget.hidden = !actionStep
+    this.calloutHintTarget.textContent = step.advance === "click" ? "Click the highlighted item to continue" : "Continues once you've done it"
+    this.calloutNextTarget.textContent = actionStep ? "Skip this step" : (last ? "Done" : "Next")
+    // Shown by position(), once the target is found or given up on
+    this.calloutTarget.classList.add("hidden")
+    this.spotlightTarget.classList.add("hidden")
+  }
+
+  schedulePosition() {
+    cancelAnimationFrame(this.frame)
+    this.frame = requestAnimationFrame(() => this.position())
+  }
+
+  position() {
+    if (!this.current || !this.located) return
+
+    // A target replaced by a frame visit is waited for again
+    if (this.target && !this.target.isConnected) return this.show(this.index)
+
+    this.calloutTarget.classList.remove("hidden")
+    const callout = this.calloutTarget.getBoundingClientRect()
+
+    if (!this.target) {
+      this.spotlightTarget.classList.add("hidden")
+      this.placeAt((window.innerHeight - callout.height) / 2, (window.innerWidth - callout.width) / 2)
+      return
     }
 
-    // Also remove any leftover highlights (defensive cleanup)
-    document.querySelectorAll('.onboarding-highlight').forEach(el => {
-      el.classList.remove(...highlightClasses)
+    const rect = this.target.getBoundingClientRect()
+    const padding = 6
+    Object.assign(this.spotlightTarget.style, {
+      top: `${rect.top - padding}px`,
+      left: `${rect.left - padding}px`,
+      width: `${rect.width + padding * 2}px`,
+      height: `${rect.height + padding * 2}px`
     })
+    this.spotlightTarget.classList.remove("hidden")
+
+    const { top, left, placement } = placeCallout(rect, callout)
+    this.calloutTarget.dataset.placement = placement
+    this.placeAt(top, left)
   }
 
-  stepValueChanged() {
-    // When step changes, update the highlight
-    this.removeHighlight()
-    this.highlightMenuItem()
-    this.ensureHighlightVisible()
+  placeAt(top, left) {
+    this.calloutTarget.style.top = `${Math.max(0, top)}px`
+    this.calloutTarget.style.left = `${Math.max(0, left)}px`
   }
 }
@@ -0,0 +1,192 @@
+import { Controller } from "@hotwired/stimulus"
+import { supported, record, rememberMarket, observations, purge, exportJournal, importJournal } from "lib/price_journal"
+
+// Price journal panel on the market page (lib/price_journal)
+// Records the prices on this page, then lists for each commodity here the
+// cheapest buy and best sell the player has seen in other systems, with how
+// long ago and how far away, and the margin against this market's prices.
+// Also exports the journal to JSON, imports such an export and purges
+// observations older than a chosen age.
+//
+// Usage:
+//   <div data-controller="price-journal"
+//        data-price-journal-player-value="<%= current_user.id %>"
+//        data-price-journal-system-value="<%= { id:, name:, x:, y:, z: }.to_json %>"
+//        data-price-journal-prices-value="<%= [{ commodity:, buyPrice:, sellPrice:, stock: }].to_json %>"
+//        data-price-journal-observed-at-value="<%= time.iso8601 %>"
+//        data-price-journal-source-value="live">
+export default class extends Controller {
+  static targets = ["list", "status", "purgeAge", "importFile"]
+  static values = {
+    player: Number,
+    system: Object,
+    prices: Array,
+    observedAt: String,
+    source: { type: String, default: "live" }
+  }
+
+  async connect() {
+    if (!supported()) {
+      this.report("Your browser can't keep a price journal", true)
+      return
+    }
+
+    try {
+      await record(this.playerValue, this.observationsHere())
+      rememberMarket(this.playerValue, this.systemValue.id)
+      await this.render()
+    } catch (error) {
+      this.report(`Price journal unavailable: ${error.message}`, true)
+    }
+  }
+
+  observationsHere() {
+    const { id, name, x, y, z } = this.systemValue
+    const observedAt = Date.parse(this.observedAtValue) || Date.now()
+
+    return this.pricesValue.map(item => ({
+      systemId: id,
+      systemName: name,
+      x, y, z,
+      commodity: item.commodity,
+      buyPrice: item.buyPrice,
+      sellPrice: item.sellPrice,
+      stock: item.stock,
+      observedAt,
+      source: this.sourceValue
+    }))
+  }
+
+  async render() {
+    const seen = await observations(this.playerValue)
+    const elsewhere = seen.filter(entry => entry.systemId !== this.systemValue.id)
+    const systems = new Set(seen.map(entry => entry.systemId))
+
+    this.listTarget.replaceChildren(...this.pricesValue.map(item => {
+      const others = elsewhere.filter(entry => entry.commodity === item.commodity)
+      const inStock = others.filter(entry => entry.stock > 0)
+      const bestBuy = lowest(inStock.length > 0 ? inStock : others, "buyPrice")
+      const bestSell = highest(others, "sellPrice")
+      return this.row(item, bestBuy, bestSell)
+    }))
+
+    this.report(`${seen.length} prices from ${systems.size} ${systems.size === 1 ? "system" : "systems"} in your journal`)
+  }
+
+  row(item, bestBuy, bestSell) {
+    const row = document.createElement("tr")
+    row.className = "border-t border-blue-800"
+
+    const name = document.createElement("td")
+    name.className = "py-1 pr-4 text-white"
+    name.textContent = item.commodity
+
+    // Buy elsewhere and sell here, or buy here and sell elsewhere
+    const buyCell = this.cell(bestBuy, "buyPrice", bestBuy && item.sellPrice - bestBuy.buyPrice, "sell here")
+    const sellCell = this.cell(bestSell, "sellPrice", bestSell && bestSell.sellPrice - item.buyPrice, "buy here")
+
+    row.append(name, buyCell, sellCell)
+    return row
+  }
+
+  cell(entry, field, margin, marginLabel) {
+    const cell = document.createElement("td")
+    cell.className = "py-1 pr-4"
+
+    if (!entry) {
+      cell.className += " text-gray-600"
+      cell.textContent = "not seen elsewhere"
+      return cell
+    }
+
+    const price = document.createElement("span")
+    price.className = "font-mono text-white"
+    price.textContent = `${entry[field]} cr`
+
+    const where = document.createElement("span")
+    where.className = "text-gray-400"
+    where.textContent = ` at ${entry.systemName} · ${this.distanceTo(entry).toFixed(1)} LY · ${timeAgo(entry.observedAt)}`
+    if (entry.source === "remembered") where.textContent += " (remembered)"
+
+    cell.append(price, where)
+
+    if (margin > 0) {
+      const gain = document.createElement("span")
+      gain.className = "text-lime-400 ml-2"
+      gain.textContent = `+${margin} cr/unit if you ${marginLabel}`
+      cell.append(gain)
+    }
+    return cell
+  }
+
+  distanceTo(entry) {
+    const { x, y, z } = this.systemValue
+    return Math.hypot(entry.x - x, entry.y - y, entry.z - z)
+  }
+
+  // Export / import / purge
+
+  async export() {
+    const data = await exportJournal(this.playerValue)
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `price-journal-${data.exportedAt.slice(0, 10)}.json`
+    link.click()
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href))
+    this.report(`Exported ${data.observations.length} prices`)
+  }
+
+  chooseImport() {
+    this.importFileTarget.click()
+  }
+
+  async import() {
+    const file = this.importFileTarget.files[0]
+    if (!file) return
+
+    try {
+      const count = await importJournal(this.playerValue, JSON.parse(await file.text()))
+      await this.render()
+      this.report(`Imported ${count} prices (newer ones you already had were kept)`)
+    } catch (error) {
+      this.report(`Could not import: ${error.message}`, true)
+    } finally {
+      this.importFileTarget.value = ""
+    }
+  }
+
+  async purge() {
+    const days = this.purgeAgeTarget.value
+    const cutoff = days === "all" ? null : Date.now() - Number(days) * 24 * 60 * 60 * 1000
+    const label = days === "all" ? "every price in your journal" : `prices older than ${this.purgeAgeTarget.selectedOptions[0].textContent}`
+    if (!confirm(`Delete ${label}?`)) return
+
+    const deleted = await purge(this.playerValue, cutoff)
+    await this.render()
+    this.report(`Deleted ${deleted} ${deleted === 1 ? "price" : "prices"}`)
+  }
+
+  report(text, isError = false) {
+    if (!this.hasStatusTarget) return
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle("text-red-400", isError)
+  }
+}
+
+function lowest(entries, field) {
+  return entries.reduce((best, entry) => (!best || entry[field] < best[field] ? entry : best), null)
+}
+
+function highest(entries, field) {
+  return entries.reduce((best, entry) => (!best || entry[field] > best[field] ? entry : best), null)
+}
+
+function timeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000)
+  if (minutes < 1) return "just now"
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`
+  return `${Math.floor(minutes / (60 * 24))}d ago`
+}
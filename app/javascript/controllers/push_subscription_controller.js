@@ -0,0 +1,116 @@
+import { Controller } from "@hotwired/stimulus"
+import { serviceWorkerUrl } from "lib/service_worker"
+
+// Opt-in Web Push notifications for this browser (settings page)
+// Registers the service worker (lib/service_worker), subscribes with the server's VAPID key and
+// sends the subscription to PushSubscriptionsController. Turning it off
+// unsubscribes, deletes the server record and remembers the opt-out in
+// localStorage so the toggle stays off on this device.
+//
+// Usage:
+//   <div data-controller="push-subscription"
+//        data-push-subscription-public-key-value="<%= WebPushSender.public_key %>">
+//     <input type="checkbox" data-push-subscription-target="toggle" data-action="change->push-subscription#toggle">
+//     <span data-push-subscription-target="status"></span>
+//   </div>
+export default class extends Controller {
+  static targets = ["toggle", "status"]
+  static values = {
+    publicKey: String,
+    url: { type: String, default: "/push_subscription" }
+  }
+
+  async connect() {
+    if (!this.supported) {
+      this.toggleTarget.disabled = true
+      this.report("Not supported by this browser")
+      return
+    }
+
+    const subscription = await this.currentSubscription()
+    this.toggleTarget.checked = !!subscription && Notification.permission === "granted"
+    this.report(this.describe())
+  }
+
+  get supported() {
+    return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window
+  }
+
+  async toggle() {
+    this.toggleTarget.disabled = true
+    try {
+      this.toggleTarget.checked ? await this.subscribe() : await this.unsubscribe()
+    } catch (error) {
+      console.debug(error)
+      this.toggleTarget.checked = false
+      this.report(`Could not update notifications: ${error.message}`)
+    } finally {
+      this.toggleTarget.disabled = false
+    }
+  }
+
+  async subscribe() {
+    const permission = await Notification.requestPermission()
+    if (permission !== "granted") {
+      this.toggleTarget.checked = false
+      this.report(this.describe())
+      return
+    }
+
+    const registration = await navigator.serviceWorker.register(serviceWorkerUrl())
+    const subscription = (await registration.pushManager.getSubscription()) ||
+      (await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.decodeKey(this.publicKeyValue)
+      }))
+
+    await this.send("POST", { subscription: subscription.toJSON() })
+    localStorage.removeItem("pushOptOut")
+    this.report(this.describe())
+  }
+
+  async unsubscribe() {
+    const subscription = await this.currentSubscription()
+    if (subscription) {
+      await this.send("DELETE", { subscription: { endpoint: subscription.endpoint } })
+      await subscription.unsubscribe()
+    }
+    localStorage.setItem("pushOptOut", "true")
+    this.report(this.describe())
+  }
+
+  async currentSubscription() {
+    const registration = await navigator.serviceWorker.getRegistration(serviceWorkerUrl())
+    return registration ? registration.pushManager.getSubscription() : null
+  }
+
+  async send(method, body) {
+    const response = await fetch(this.urlValue, {
+      method,
+      credentials: "same-origin",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      },
+      body: JSON.stringify(body)
+    })
+    if (!response.ok) throw new Error(`server responded ${response.status}`)
+  }
+
+  describe() {
+    if (Notification.permission === "denied") return "Blocked in browser settings"
+    if (this.toggleTarget.checked) return "On for this device"
+    return localStorage.getItem("pushOptOut") ? "Off (turned off on this device)" : "Off"
+  }
+
+  report(text) {
+    if (this.hasStatusTarget) this.statusTarget.textContent = text
+  }
+
+  // VAPID keys are base64url; PushManager wants the raw bytes
+  decodeKey(key) {
+    const padded = (key + "=".repeat((4 - key.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/")
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0))
+  }
+}
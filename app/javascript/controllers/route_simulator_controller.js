@@ -0,0 +1,216 @@
+import { Controller } from "@hotwired/stimulus"
+import { ACQUIRE_TYPES, RELEASE_TYPES } from "controllers/intent_form_controller"
+
+// Connects to data-controller="route-simulator"
+// Dry-runs one loop of the route being edited, straight from the stops list.
+// Cargo is tracked per commodity stop by stop, and intents that can't work
+// as written are flagged next to the intent:
+//   - selling/unloading a commodity nothing earlier in the loop took aboard
+//   - taking aboard more than the ship's cargo capacity
+//   - a min_price below the max_price paid upstream, so the trade can lose money
+// Worst-case profit prices every buy/load at its max_price and every
+// sell/unload at its min_price. The run repeats whenever intents are added,
+// removed, moved or edited (quantities and prices are read from the inline
+// fields, so unsaved edits count too).
+//
+// Usage:
+//   <div data-controller="route-simulator" data-route-simulator-capacity-value="200"
+//        data-action="input->route-simulator#refresh">
+//     <div data-route-simulator-target="stop" data-stop-system="Cradle">
+//       <div data-route-simulator-target="intent" data-intent-type="buy" data-intent-commodity="ore">
+//         <input name="intent[quantity]"> <input name="intent[max_price]">
+//         <span data-simulator-flag></span>
+//       </div>
+//     </div>
+//     <p data-route-simulator-target="summary"></p>
+//     <ol data-route-simulator-target="trace"></ol>
+//   </div>
+export default class extends Controller {
+  static targets = ["stop", "intent", "summary", "trace"]
+  static values = { capacity: Number }
+
+  connect() {
+    this.scheduleRefresh()
+  }
+
+  // A re-rendered list connects every row at once; simulate once for all of them
+  stopTargetConnected() { this.scheduleRefresh() }
+  stopTargetDisconnected() { this.scheduleRefresh() }
+  intentTargetConnected() { this.scheduleRefresh() }
+  intentTargetDisconnected() { this.scheduleRefresh() }
+
+  scheduleRefresh() {
+    if (this.refreshQueued) return
+    this.refreshQueued = true
+    requestAnimationFrame(() => {
+      this.refreshQueued = false
+      this.refresh()
+    })
+  }
+
+  refresh() {
+    const capacity = this.hasCapacityValue ? this.capacityValue : null
+    const result = simulate(this.readStops(), capacity)
+
+    this.intentTargets.forEach(intent => this.showFlags(intent, result.flags.get(intent) || []))
+    this.renderSummary(result, capacity)
+    this.renderTrace(result, capacity)
+  }
+
+  readStops() {
+    return this.stopTargets.map(stop => ({
+      name: stop.querySelector("select[name='stop[system_id]'] option:checked")?.textContent || stop.dataset.stopSystem,
+      intents: this.intentTargets.filter(intent => stop.contains(intent)).map(intent => ({
+        element: intent,
+        type: intent.dataset.intentType,
+        commodity: intent.dataset.intentCommodity,
+        quantity: this.readNumber(intent, "quantity"),
+        maxPrice: this.readNumber(intent, "max_price"),
+        minPrice: this.readNumber(intent, "min_price")
+      }))
+    }))
+  }
+
+  readNumber(intent, field) {
+    const value = parseInt(intent.querySelector(`[name='intent[${field}]']`)?.value, 10)
+    return Number.isNaN(value) ? null : value
+  }
+
+  showFlags(intent, notes) {
+    const flag = intent.querySelector("[data-simulator-flag]")
+    if (!flag) return
+
+    const isError = notes.some(note => note.level === "error")
+    flag.textContent = notes.map(note => `⚠ ${note.text}`).join(" ")
+    flag.classList.toggle("text-red-400", isError)
+    flag.classList.toggle("text-yellow-400", notes.length > 0 && !isError)
+  }
+
+  renderSummary(result, capacity) {
+    if (!this.hasSummaryTarget) return
+
+    if (result.intents === 0) {
+      this.summaryTarget.textContent = "Add buy/load and sell/unload intents to simulate a loop."
+      return
+    }
+
+    const parts = [
+      `Worst-case profit per loop: ${formatCredits(result.revenue - result.cost, true)}`,
+      `(pay at most ${formatCredits(result.cost)}, sell for at least ${formatCredits(result.revenue)})`
+    ]
+    if (result.problems > 0) parts.push(`· ${result.problems} ${result.problems === 1 ? "problem" : "problems"}`)
+    if (result.unpriced > 0) parts.push(`· ${result.unpriced} without a price limit`)
+    if (capacity === null) parts.push("· no ship assigned, capacity not checked")
+
+    this.summaryTarget.textContent = parts.join(" ")
+    this.summaryTarget.classList.toggle("text-red-400", result.problems > 0)
+    this.summaryTarget.classList.toggle("text-lime-400", result.problems === 0 && result.revenue >= result.cost)
+  }
+
+  renderTrace(result, capacity) {
+    if (!this.hasTraceTarget) return
+
+    const lines = result.trace.map((stop, index) => {
+      const aboard = describeCargo(stop.cargo) || "empty"
+      const load = capacity === null ? "" : ` · ${stop.load}/${capacity}`
+      return `${index + 1}. ${stop.name}: ${aboard}${load}`
+    })
+
+    const leftover = describeCargo(result.trace[result.trace.length - 1]?.cargo)
+    if (leftover) lines.push(`Still aboard after the loop: ${leftover}`)
+
+    this.traceTarget.replaceChildren(...lines.map(text => {
+      const item = document.createElement("li")
+      item.textContent = text
+      return item
+    }))
+  }
+}
+
+// One pass over the stops, starting with an empty hold. Returns the notes
+// for each intent element, the hold after each stop and the loop's totals.
+function simulate(stops, capacity) {
+  const cargo = new Map()
+  const paid = new Map()
+  const flags = new Map()
+  const trace = []
+  const result = { flags, trace, cost: 0, revenue: 0, intents: 0, problems: 0, unpriced: 0 }
+
+  const note = (intent, level, text) => {
+    if (!flags.has(intent.element)) flags.set(intent.element, [])
+    flags.get(intent.element).push({ level, text })
+    if (level === "error") result.problems++
+  }
+
+  stops.forEach((stop, stopIndex) => {
+    stop.intents.forEach(intent => {
+      const { commodity, quantity } = intent
+      if (!commodity || !quantity) return
+      result.intents++
+
+      const held = cargo.get(commodity) || 0
+
+      if (ACQUIRE_TYPES.includes(intent.type)) {
+        let units = quantity
+        if (capacity !== null) {
+          const load = totalCargo(cargo)
+          const free = Math.max(0, capacity - load)
+          if (quantity > free) {
+            note(intent, "error", `Over capacity: ${load + quantity}/${capacity}, only ${free} fit`)
+            units = free
+          }
+        }
+        cargo.set(commodity, held + units)
+
+        if (intent.maxPrice === null) {
+          result.unpriced++
+        } else {
+          result.cost += units * intent.maxPrice
+          if (!paid.has(commodity) || paid.get(commodity).price < intent.maxPrice) {
+            paid.set(commodity, { price: intent.maxPrice, stop: stopIndex })
+          }
+        }
+      } else if (RELEASE_TYPES.includes(intent.type)) {
+        if (held === 0) {
+          note(intent, "error", `No ${commodity} aboard: nothing earlier in the loop buys or loads it`)
+          return
+        }
+
+        const units = Math.min(quantity, held)
+        if (units < quantity) note(intent, "warning", `Only ${held} ${commodity} aboard`)
+        cargo.set(commodity, held - units)
+
+        const bought = paid.get(commodity)
+        if (intent.minPrice === null) {
+          result.unpriced++
+        } else {
+          result.revenue += units * intent.minPrice
+          if (bought && intent.minPrice < bought.price) {
+            note(intent, "warning", `Min ${intent.minPrice} cr is below the ${bought.price} cr max paid at stop ${bought.stop + 1}`)
+          }
+        }
+      }
+    })
+
+    trace.push({ name: stop.name, cargo: new Map(cargo), load: totalCargo(cargo) })
+  })
+
+  return result
+}
+
+function totalCargo(cargo) {
+  return Array.from(cargo.values()).reduce((sum, units) => sum + units, 0)
+}
+
+function describeCargo(cargo) {
+  if (!cargo) return ""
+  return Array.from(cargo)
+    .filter(([, units]) => units > 0)
+    .map(([commodity, units]) => `${commodity} ${units}`)
+    .join(", ")
+}
+
+function formatCredits(amount, signed = false) {
+  const sign = signed && amount > 0 ? "+" : ""
+  return `${sign}${amount.toLocaleString()} cr`
+}
@@ -1,50 +1,56 @@
 import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+
+const SAVE_RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000]
 
 // Connects to data-controller="route-stops-edit"
-// Provides keyboard navigation and auto-save for route stops editing
+// Provides keyboard navigation, reordering and auto-save for route stops editing
+// Keys are editor-scoped in lib/keymap: they apply while focus is inside the
+// editor, or while the content zone is focused and nothing else is.
+//
+// Reordering (drag a stop's handle, or Shift+J/K) moves the stop in place
+// at once, dimmed as a placeholder, and queues PATCH
+// /routes/:id/stops/:index/reorder. Requests go one at a time; the Turbo
+// Stream of the last one replaces stops_list so ids and numbering match the
+// server again. A rejected move renders the server's order (and its flash);
+// a request that fails outright reloads the list from the server, since
+// moves before it may already have been saved.
+//
+// Edited intent and stop forms save themselves; see autoSave below.
 export default class extends Controller {
-  static targets = ["stop", "intent"]
+  static targets = ["stop", "intent", "list", "status", "autosave"]
   static values = {
     routeId: Number,
+    stopsUrl: String,
+    listUrl: String,
     saveDelay: { type: Number, default: 500 }
   }
 
   connect() {
     this.selectedStopIndex = 0
     this.selectedIntentIndex = -1
+    this.moves = []
+    this.saves = []
+    this.saveTimers = new Map()
+    this.failedSaves = new Set()
     this.updateSelection()
+
+    this.unregisterKeys = register([
+      { id: "stops.next", keys: ["j", "ArrowDown"], description: "Next stop/intent", handler: () => this.moveDown() },
+      { id: "stops.previous", keys: ["k", "ArrowUp"], description: "Previous stop/intent", handler: () => this.moveUp() },
+      { id: "stops.edit", keys: "Enter", description: "Enter stop's intents", handler: () => this.editSelected() },
+      { id: "stops.delete", keys: ["x", "Delete"], description: "Delete stop/intent", handler: () => this.deleteSelected() },
+      { id: "stops.add_intent", keys: "a", description: "Add intent", handler: () => this.addIntent() },
+      { id: "stops.move_down", keys: "J", description: "Move stop down", handler: () => this.shiftSelected(1) },
+      { id: "stops.move_up", keys: "K", description: "Move stop up", handler: () => this.shiftSelected(-1) },
+      { id: "stops.clear", keys: "Escape", description: "Clear selection", handler: () => this.clearSelection() }
+    ], { scope: "editor", element: this.element, group: "Route stops" })
   }
 
-  // Keyboard navigation
-  keydown(event) {
-    switch (event.key) {
-      case "j":
-      case "ArrowDown":
-        event.preventDefault()
-        this.moveDown()
-        break
-      case "k":
-      case "ArrowUp":
-        event.preventDefault()
-        this.moveUp()
-        break
-      case "Enter":
-        event.preventDefault()
-        this.editSelected()
-        break
-      case "x":
-      case "Delete":
-        event.preventDefault()
-        this.deleteSelected()
-        break
-      case "a":
-        event.preventDefault()
-        this.addIntent()
-        break
-      case "Escape":
-        this.clearSelection()
-        break
-    }
+  disconnect() {
+    this.unregisterKeys()
+    // Edits still waiting for their delay go out now rather than being lost
+    if (this.saveTimers.size > 0) this.saveAllNow()
   }
 
   moveDown() {
@@ -153,16 +159,342 @@ export default class extends Controller {
     if (typeSelect) typeSelect.focus()
   }
 
-  // Auto-save on input change (debounced)
+  // Reordering
+
+  shiftSelected(step) {
+    if (this.selectedIntentIndex >= 0) return
+
+    const from = this.selectedStopIndex
+    const to = from + step
+    const stops = this.stopTargets
+    if (to < 0 || to >= stops.length) return
+
+    const stop = stops[from]
+    step > 0 ? stops[to].after(stop) : stops[to].before(stop)
+    this.queueMove(stop, from, to)
+  }
+
+  dragStart(event) {
+    this.dragged = event.target.closest("[data-route-stops-edit-target='stop']")
+    if (!this.dragged) return
+
+    this.dragFrom = this.stopTargets.indexOf(this.dragged)
+    this.dropped = false
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", String(this.dragFrom))
+    event.dataTransfer.setDragImage(this.dragged, 20, 20)
+    this.dragged.classList.add("opacity-50", "border-dashed")
+  }
+
+  // The dragged stop follows the pointer, so the list always shows the drop result
+  dragOver(event) {
+    if (!this.dragged) return
+    event.preventDefault()
+
+    const target = event.currentTarget
+    if (target === this.dragged) return
+
+    const { top, height } = target.getBoundingClientRect()
+    event.clientY < top + height / 2 ? target.before(this.dragged) : target.after(this.dragged)
+  }
+
+  drop(event) {
+    if (!this.dragged) return
+    event.preventDefault()
+
+    this.dropped = true
+    const to = this.stopTargets.indexOf(this.dragged)
+    if (to !== this.dragFrom) this.queueMove(this.dragged, this.dragFrom, to)
+  }
+
+  dragEnd() {
+    if (!this.dragged) return
+
+    if (!this.dropped) {
+      // Cancelled: put the stop back where it started
+      const stops = this.stopTargets.filter(stop => stop !== this.dragged)
+      const anchor = stops[this.dragFrom]
+      anchor ? anchor.before(this.dragged) : stops[stops.length - 1]?.after(this.dragged)
+    }
+    if (!this.dropped || this.stopTargets.indexOf(this.dragged) === this.dragFrom) {
+      this.dragged.classList.remove("opacity-50", "border-dashed")
+    }
+    this.dragged = null
+  }
+
+  queueMove(stop, from, to) {
+    // Pending edits are read now, while their forms still point at the old indexes
+    this.saveAllNow()
+
+    stop.classList.add("opacity-50", "border-dashed")
+    // Buttons and forms carry the old indexes until the list is re-rendered
+    this.listTarget.querySelectorAll("button, input, select").forEach(field => { field.disabled = true })
+
+    this.selectedStopIndex = to
+    this.selectedIntentIndex = -1
+    this.updateSelection()
+
+    this.moves.push({ from, to })
+    this.flushMoves()
+  }
+
+  async flushMoves() {
+    if (this.reordering) return
+    this.reordering = true
+    this.report("Saving order...")
+    await this.flushSaves()
+
+    while (this.moves.length > 0) {
+      const { from, to } = this.moves.shift()
+
+      try {
+        const response = await this.sendReorder(from, to)
+        const html = await response.text()
+
+        if (!response.ok) {
+          // Server kept its order: show it, with the selection on the stop that didn't move
+          this.moves = []
+          this.selectedStopIndex = from
+          Turbo.renderStreamMessage(html)
+          this.report("Could not move stop", true)
+          break
+        }
+
+        // Intermediate responses are already overtaken by later optimistic moves
+        if (this.moves.length === 0) {
+          Turbo.renderStreamMessage(html)
+          this.report("")
+        }
+      } catch (error) {
+        this.moves = []
+        const reloaded = await this.reloadList()
+        this.report(`Could not move stop: ${error.message}${reloaded ? "" : " (reload to see the saved order)"}`, true)
+        break
+      }
+    }
+
+    this.reordering = false
+  }
+
+  // Replaces the list with the server's, keeping the selection in range
+  async reloadList() {
+    try {
+      const response = await fetch(this.listUrlValue, { credentials: "same-origin", headers: { "Accept": "text/html" } })
+      if (!response.ok) return false
+
+      const page = new DOMParser().parseFromString(await response.text(), "text/html")
+      const list = page.getElementById(this.listTarget.id)
+      if (!list) return false
+
+      this.listTarget.replaceWith(list)
+      this.selectedStopIndex = Math.min(this.selectedStopIndex, this.stopTargets.length - 1)
+      this.selectedIntentIndex = -1
+      this.updateSelection()
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  sendReorder(from, to) {
+    const body = new FormData()
+    body.append("to", to)
+
+    return fetch(`${this.stopsUrlValue}/${from}/reorder`, {
+      method: "PATCH",
+      credentials: "same-origin",
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      },
+      body
+    })
+  }
+
+  report(text, isError = false) {
+    if (!this.hasStatusTarget) return
+    this.statusTarget.textContent = text
+    this.statusTarget.classList.toggle("text-red-400", isError)
+  }
+
+  // Auto-save
+  //
+  // An edited intent (quantity, price) or stop (system) form is saved
+  // saveDelay ms after the last keystroke. Saves go one at a time through
+  // this.saves, so a slow response can never land after a newer edit; editing
+  // a form that is still waiting in the queue just replaces its data. Network
+  // errors and 5xx responses retry with backoff; other rejections show the
+  // server's flash. Successful saves don't re-render the list, which would
+  // throw away focus and any edit still being typed.
+
   autoSave(event) {
     const form = event.target.closest("form")
     if (!form) return
 
-    clearTimeout(this.saveTimeout)
-    this.saveTimeout = setTimeout(() => {
-      // Don't auto-submit for now - requires more infrastructure
-      // form.requestSubmit()
-    }, this.saveDelayValue)
+    clearTimeout(this.saveTimers.get(form))
+    this.saveTimers.set(form, setTimeout(() => this.enqueueSave(form), this.saveDelayValue))
+    this.failedSaves.delete(form)
+    this.leaveConfirmed = false
+    this.showSaveState(form, "unsaved")
+  }
+
+  // Enter in an auto-save field saves at once instead of submitting through Turbo
+  saveNow(event) {
+    event.preventDefault()
+    this.enqueueSave(event.target)
+  }
+
+  enqueueSave(form) {
+    clearTimeout(this.saveTimers.get(form))
+    this.saveTimers.delete(form)
+
+    const queued = this.saves.find(save => save.form === form && !save.sending)
+    if (queued) {
+      queued.body = new FormData(form)
+    } else if (this.formChanged(form) || this.saves.some(save => save.form === form)) {
+      this.saves.push({ form, url: form.action, body: new FormData(form), attempt: 0 })
+    } else {
+      // Typed back to what the server already has
+      this.showSaveState(form, "")
+      return
+    }
+
+    this.showSaveState(form, "saving")
+    this.flushSaves()
+  }
+
+  // Sends every debounced edit now; resolves once the queue is empty
+  saveAllNow() {
+    Array.from(this.saveTimers.keys()).forEach(form => this.enqueueSave(form))
+    return this.flushSaves()
+  }
+
+  flushSaves() {
+    this.saving ||= this.processSaves().finally(() => { this.saving = null })
+    return this.saving
+  }
+
+  async processSaves() {
+    while (this.saves.length > 0) {
+      const save = this.saves[0]
+      save.sending = true
+      this.showSaveState(save.form, "saving")
+
+      let response = null
+      try {
+        response = await this.sendSave(save)
+      } catch (error) {
+        console.debug(error)
+      }
+
+      if (response?.ok) {
+        this.saves.shift()
+        this.markSaved(save)
+      } else if (response && response.status < 500) {
+        this.saves.shift()
+        this.failedSaves.add(save.form)
+        this.showSaveState(save.form, "error")
+        Turbo.renderStreamMessage(await response.text())
+      } else if (save.attempt < SAVE_RETRY_DELAYS.length) {
+        // Edits made while waiting are picked up by the retry
+        const delay = SAVE_RETRY_DELAYS[save.attempt++]
+        save.sending = false
+        this.showSaveState(save.form, "retrying", delay)
+        await new Promise(resolve => setTimeout(resolve, delay))
+      } else {
+        this.saves.shift()
+        this.failedSaves.add(save.form)
+        this.showSaveState(save.form, "error")
+      }
+    }
+  }
+
+  sendSave(save) {
+    return fetch(save.url, {
+      method: "PATCH",
+      credentials: "same-origin",
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      },
+      body: save.body
+    })
+  }
+
+  // The saved values become the form's defaults: formChanged compares against
+  // them, and a list restored from innerHTML shows them
+  markSaved(save) {
+    for (const [name, value] of save.body) {
+      const field = save.form.elements.namedItem(name)
+      if (field instanceof HTMLSelectElement) {
+        Array.from(field.options).forEach(option => { option.defaultSelected = option.value === value })
+      } else if (field instanceof HTMLInputElement) {
+        field.defaultValue = value
+      }
+    }
+
+    const pending = this.saveTimers.has(save.form) || this.saves.some(other => other.form === save.form)
+    if (!pending) this.showSaveState(save.form, "saved")
+  }
+
+  formChanged(form) {
+    return Array.from(form.elements).some(field => {
+      if (field instanceof HTMLSelectElement) {
+        return Array.from(field.options).some(option => option.selected !== option.defaultSelected)
+      }
+      return field instanceof HTMLInputElement && field.type !== "hidden" && field.value !== field.defaultValue
+    })
+  }
+
+  showSaveState(form, state, delay = 0) {
+    const indicator = form.querySelector("[data-autosave-status]")
+    if (!indicator) return
+
+    const labels = {
+      unsaved: "Unsaved",
+      saving: "Saving...",
+      saved: "Saved",
+      retrying: `Retrying in ${Math.round(delay / 1000)}s`,
+      error: "Not saved"
+    }
+    indicator.textContent = labels[state] || ""
+    indicator.dataset.autosaveStatus = state
+    indicator.classList.toggle("text-lime-400", state === "saved")
+    indicator.classList.toggle("text-yellow-400", state === "retrying")
+    indicator.classList.toggle("text-red-400", state === "error")
+  }
+
+  // Turbo submissions in the editor (add, remove) wait for queued saves, which
+  // still point at the stop and intent indexes those submissions would shift
+  holdForSaves(event) {
+    if (this.saveTimers.size === 0 && this.saves.length === 0) return
+
+    event.preventDefault()
+    this.saveAllNow().then(() => event.detail.resume())
+  }
+
+  get hasUnsavedChanges() {
+    return this.saveTimers.size > 0 ||
+      this.saves.length > 0 ||
+      Array.from(this.failedSaves).some(form => form.isConnected)
+  }
+
+  warnBeforeUnload(event) {
+    if (!this.hasUnsavedChanges) return
+    event.preventDefault()
+    event.returnValue = ""
+  }
+
+  // turbo:click covers menu links into the content panel, turbo:before-visit
+  // everything else Turbo Drive visits; a Drive link fires both
+  confirmLeave(event) {
+    if (!this.hasUnsavedChanges || this.leaveConfirmed) return
+
+    if (confirm("Some route changes are not saved yet. Leave anyway?")) {
+      this.leaveConfirmed = true
+    } else {
+      event.preventDefault()
+    }
   }
 
   // Called when stops list is updated via Turbo Stream
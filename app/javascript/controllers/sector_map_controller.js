@@ -0,0 +1,332 @@
+import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+import { visitPath } from "lib/turbo_navigation"
+import { CharGrid, PLANES } from "lib/char_grid"
+
+// ASCII sector map on the navigation screen
+//
+// Draws what SectorMapService found around the ship (systems, active warp
+// gates, bookmarks and the player's ships in transit) onto a monospace
+// character grid, projected on the XY, XZ or YZ plane. Ships in transit are
+// placed along their route by the time elapsed, so the map redraws every few
+// seconds while any are flying; the ships stream replaces the ships target
+// whenever one departs or arrives (Ship#broadcast_sector_map).
+//
+// Keys, while the map has focus (M focuses it): h/j/k/l pan, the arrows move
+// the cursor to the next system that way, n/N step through systems by
+// distance, +/- zoom, p cycles the plane, c recentres and Enter opens the
+// system in the navigation panel, with its warp or travel button.
+// Plane and zoom are kept in localStorage.
+//
+// Usage:
+//   <div data-controller="sector-map" data-sector-map-map-value="<%= @sector_map.to_json %>"
+//        data-sector-map-navigate-url-value="<%= navigation_index_path %>">
+//     <button data-sector-map-target="plane" data-action="sector-map#selectPlane" data-sector-map-plane-param="XY">XY</button>
+//     <pre tabindex="0" data-sector-map-target="grid"></pre>
+//     <p data-sector-map-target="detail"></p>
+//     <div data-sector-map-target="ships" data-ships="[...]"></div>
+//   </div>
+const COLS = 61
+const ROWS = 21
+// Light years per column, from closest to widest
+const ZOOMS = [0.5, 1, 2, 4, 8]
+const DEFAULT_ZOOM = 2
+// Columns moved by one pan key press
+const PAN_STEP = 10
+const TRANSIT_REFRESH = 5000
+const STORAGE_KEY = "sectorMap"
+
+const COLOURS = {
+  gate: "text-purple-400",
+  route: "text-cyan-700",
+  transit: "text-cyan-300",
+  charted: "text-gray-400",
+  visited: "text-lime-400",
+  bookmarked: "text-yellow-300",
+  owned: "text-orange-400",
+  ship: "text-white font-bold"
+}
+const CURSOR_CLASS = "bg-lime-400 text-black"
+const DIRECTIONS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }
+
+export default class extends Controller {
+  static targets = ["grid", "detail", "ships", "plane", "scale"]
+  static values = { map: Object, navigateUrl: String }
+
+  connect() {
+    const saved = loadSettings()
+    this.plane = PLANES[saved.plane] ? saved.plane : "XY"
+    this.zoom = ZOOMS[saved.zoom] ? saved.zoom : DEFAULT_ZOOM
+    this.pan = [0, 0, 0]
+    this.ships ??= this.mapValue.ships || []
+    this.cursorId = this.mapValue.current_system_id ?? this.systems[0]?.id
+    this.connected = true
+
+    this.bindKeyboardEvents()
+    this.timer = setInterval(() => { if (this.ships.length > 0) this.draw() }, TRANSIT_REFRESH)
+    this.draw()
+  }
+
+  disconnect() {
+    this.connected = false
+    this.unregisterKeys.forEach(unregister => unregister())
+    clearInterval(this.timer)
+  }
+
+  bindKeyboardEvents() {
+    this.unregisterKeys = [
+      register([
+        { id: "sector_map.focus", keys: "M", description: "Focus sector map", handler: () => this.gridTarget.focus() }
+      ], { scope: "content", group: "Sector map" }),
+      register([
+        { id: "sector_map.pan_left", keys: "h", description: "Pan left", handler: (event, { count }) => this.move(-1, 0, count) },
+        { id: "sector_map.pan_down", keys: "j", description: "Pan down", handler: (event, { count }) => this.move(0, -1, count) },
+        { id: "sector_map.pan_up", keys: "k", description: "Pan up", handler: (event, { count }) => this.move(0, 1, count) },
+        { id: "sector_map.pan_right", keys: "l", description: "Pan right", handler: (event, { count }) => this.move(1, 0, count) },
+        { id: "sector_map.cursor_left", keys: "ArrowLeft", description: "Nearest system to the left", handler: () => this.snap("left") },
+        { id: "sector_map.cursor_down", keys: "ArrowDown", description: "Nearest system below", handler: () => this.snap("down") },
+        { id: "sector_map.cursor_up", keys: "ArrowUp", description: "Nearest system above", handler: () => this.snap("up") },
+        { id: "sector_map.cursor_right", keys: "ArrowRight", description: "Nearest system to the right", handler: () => this.snap("right") },
+        { id: "sector_map.next", keys: "n", description: "Next system by distance", handler: () => this.step(1) },
+        { id: "sector_map.previous", keys: "N", description: "Previous system by distance", handler: () => this.step(-1) },
+        { id: "sector_map.zoom_in", keys: ["+", "="], description: "Zoom in", handler: () => this.setZoom(this.zoom - 1) },
+        { id: "sector_map.zoom_out", keys: "-", description: "Zoom out", handler: () => this.setZoom(this.zoom + 1) },
+        { id: "sector_map.plane", keys: "p", description: "Next projection plane", handler: () => this.cyclePlane() },
+        { id: "sector_map.recenter", keys: "c", description: "Recentre on the ship", handler: () => this.recenter() },
+        { id: "sector_map.navigate", keys: "Enter", description: "Navigate to system", handler: () => this.navigate() },
+        { id: "sector_map.blur", keys: "Escape", description: "Leave the map", handler: () => this.gridTarget.blur() }
+      ], { scope: "editor", element: this.gridTarget, focusOnly: true, group: "Sector map" })
+    ]
+  }
+
+  // Streamed in by Ship#broadcast_sector_map; may arrive before connect()
+  shipsTargetConnected(element) {
+    this.ships = JSON.parse(element.dataset.ships || "[]")
+    if (this.connected) this.draw()
+  }
+
+  get systems() {
+    return this.mapValue.systems || []
+  }
+
+  get center() {
+    return this.mapValue.center.map((value, axis) => value + this.pan[axis])
+  }
+
+  get scale() {
+    return ZOOMS[this.zoom]
+  }
+
+  get cursor() {
+    return this.systems.find(system => system.id === this.cursorId)
+  }
+
+  // Buttons
+
+  selectPlane({ params: { plane } }) {
+    this.setPlane(plane)
+  }
+
+  zoomIn() {
+    this.setZoom(this.zoom - 1)
+  }
+
+  zoomOut() {
+    this.setZoom(this.zoom + 1)
+  }
+
+  // View
+
+  setPlane(plane) {
+    if (!PLANES[plane]) return
+    this.plane = plane
+    this.save()
+    this.draw()
+  }
+
+  cyclePlane() {
+    const planes = Object.keys(PLANES)
+    this.setPlane(planes[(planes.indexOf(this.plane) + 1) % planes.length])
+  }
+
+  setZoom(zoom) {
+    if (!ZOOMS[zoom]) return
+    this.zoom = zoom
+    this.save()
+    this.draw()
+  }
+
+  // Pans along the projected plane's axes; the cursor stays on screen
+  move(horizontal, vertical, count) {
+    const [h, v] = PLANES[this.plane]
+    const distance = PAN_STEP * this.scale * (count || 1)
+    this.pan[h] += horizontal * distance
+    this.pan[v] += vertical * distance
+
+    const grid = this.buildGrid()
+    if (!this.cursor || !grid.inside(grid.project(this.cursor.position))) {
+      this.cursorId = this.nearest(grid, grid.project(this.center))?.id ?? this.cursorId
+    }
+    this.draw()
+  }
+
+  recenter() {
+    this.pan = [0, 0, 0]
+    this.cursorId = this.mapValue.current_system_id ?? this.cursorId
+    this.draw()
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ plane: this.plane, zoom: this.zoom }))
+  }
+
+  // Cursor
+
+  // The closest system on screen in a direction, favouring ones in line with the cursor
+  snap(direction) {
+    const grid = this.buildGrid()
+    const from = this.cursor ? grid.project(this.cursor.position) : grid.project(this.center)
+    const [dx, dy] = DIRECTIONS[direction]
+
+    let best = null
+    let bestScore = Infinity
+    this.visibleSystems(grid).forEach(({ system, cell }) => {
+      const along = (cell.col - from.col) * dx + (cell.row - from.row) * dy * 2
+      const across = Math.abs((cell.col - from.col) * dy) + Math.abs((cell.row - from.row) * dx * 2)
+      if (along <= 0 || system.id === this.cursorId) return
+
+      const score = along + across * 2
+      if (score < bestScore) {
+        best = system
+        bestScore = score
+      }
+    })
+    if (!best) return
+
+    this.cursorId = best.id
+    this.draw()
+  }
+
+  // Systems come sorted by distance from the ship
+  step(offset) {
+    if (this.systems.length === 0) return
+
+    const index = this.systems.findIndex(system => system.id === this.cursorId)
+    const next = this.systems[(index + offset + this.systems.length) % this.systems.length]
+    this.cursorId = next.id
+    this.panTo(next)
+    this.draw()
+  }
+
+  // Keeps a system picked off screen (by n/N) in view
+  panTo(system) {
+    const grid = this.buildGrid()
+    if (grid.inside(grid.project(system.position))) return
+
+    const [h, v] = PLANES[this.plane]
+    this.pan[h] = system.position[h] - this.mapValue.center[h]
+    this.pan[v] = system.position[v] - this.mapValue.center[v]
+  }
+
+  nearest(grid, cell) {
+    let best = null
+    let bestDistance = Infinity
+    this.visibleSystems(grid).forEach(({ system, cell: at }) => {
+      const distance = Math.hypot(at.col - cell.col, (at.row - cell.row) * 2)
+      if (distance < bestDistance) {
+        best = system
+        bestDistance = distance
+      }
+    })
+    return best
+  }
+
+  visibleSystems(grid) {
+    return this.systems
+      .map(system => ({ system, cell: grid.project(system.position) }))
+      .filter(({ cell }) => grid.inside(cell))
+  }
+
+  navigate() {
+    const system = this.cursor
+    if (!system) return
+    if (system.current) return this.showDetail(`${system.name} — you are here`)
+
+    visitPath(`${this.navigateUrlValue}?destination_id=${system.id}`)
+  }
+
+  // Drawing
+
+  buildGrid() {
+    return new CharGrid(COLS, ROWS, { plane: this.plane, center: this.center, scale: this.scale })
+  }
+
+  draw() {
+    const grid = this.buildGrid()
+    const positions = new Map(this.systems.map(system => [system.id, system.position]))
+
+    this.mapValue.gates?.forEach(([a, b]) => {
+      if (positions.has(a) && positions.has(b)) grid.line(grid.project(positions.get(a)), grid.project(positions.get(b)), "gate")
+    })
+
+    const transits = this.ships.map(ship => ({ ship, at: this.transitPosition(ship) }))
+    transits.forEach(({ ship, at }) => grid.line(grid.project(at), grid.project(ship.to), "route", "."))
+
+    // Farthest first, so the closer of two systems sharing a cell shows
+    this.systems.slice().reverse().forEach(system => {
+      grid.put(grid.project(system.position), ...glyphFor(system))
+    })
+    transits.forEach(({ at }) => grid.put(grid.project(at), ">", "transit"))
+    grid.put(grid.project(this.mapValue.center), "@", "ship")
+
+    const cursor = this.cursor && grid.project(this.cursor.position)
+    grid.render(this.gridTarget, COLOURS, { highlight: cursor, highlightClass: CURSOR_CLASS })
+
+    this.planeTargets.forEach(button => {
+      button.setAttribute("aria-pressed", button.dataset.sectorMapPlaneParam === this.plane)
+    })
+    if (this.hasScaleTarget) this.scaleTarget.textContent = `1 col = ${this.scale} LY · ${this.plane}`
+    this.showDetail(this.describe(this.cursor))
+  }
+
+  transitPosition(ship) {
+    const departs = Date.parse(ship.departs_at)
+    const arrives = Date.parse(ship.arrives_at)
+    const progress = arrives > departs ? Math.min(1, Math.max(0, (Date.now() - departs) / (arrives - departs))) : 1
+    return ship.from.map((value, axis) => value + (ship.to[axis] - value) * progress)
+  }
+
+  describe(system) {
+    if (!system) return this.systems.length === 0 ? "No charted systems in range" : ""
+
+    const distance = Math.hypot(...system.position.map((value, axis) => value - this.mapValue.center[axis]))
+    const tags = [
+      system.current && "you are here",
+      system.owned && "owned",
+      system.bookmarked && "bookmarked",
+      system.visited ? "visited" : "unvisited"
+    ].filter(Boolean)
+    return `${system.name} (${system.position.join(", ")}) · ${distance.toFixed(1)} LY · ${tags.join(", ")}`
+  }
+
+  showDetail(text) {
+    this.detailTarget.textContent = text
+  }
+}
+
+// Plane and zoom from the last visit; an unreadable value starts from the defaults
+function loadSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function glyphFor(system) {
+  if (system.current) return ["@", "ship"]
+  if (system.owned) return ["O", "owned"]
+  if (system.bookmarked) return ["B", "bookmarked"]
+  if (system.visited) return ["*", "visited"]
+  return ["+", "charted"]
+}
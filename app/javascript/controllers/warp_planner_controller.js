@@ -0,0 +1,263 @@
+import { Controller } from "@hotwired/stimulus"
+import { register } from "lib/keymap"
+
+// Multi-hop warp route planner (bookmarks/planner)
+//
+// Waypoints are picked from the player's bookmarks and visited systems and
+// kept in order here. Each change asks BookmarksController#plan (JSON) for
+// the gate path through them, which chains WarpRouteService routes and
+// tracks fuel hop by hop against the ship's tank: a hop that costs more than
+// is left is flagged as needing a refuel. The same response lists better
+// orderings of the waypoints, any of which can be taken with one click.
+//
+// The plan can then be saved as a trade route (routes#create, the ship's
+// system first and the waypoints as stops) or started with the usual
+// navigation warp to the first hop.
+//
+// Usage:
+//   <div data-controller="warp-planner" data-warp-planner-plan-url-value="<%= plan_bookmarks_path %>"
+//        data-warp-planner-origin-id-value="..." data-warp-planner-fuel-value="..." data-warp-planner-fuel-capacity-value="...">
+//     <button data-action="warp-planner#add" data-warp-planner-id-param="1" data-warp-planner-name-param="Mira">Mira</button>
+//     <ol data-warp-planner-target="waypoints"></ol>
+//     <div data-warp-planner-target="hops"></div>
+//   </div>
+export default class extends Controller {
+  static targets = [
+    "waypoints", "systemSelect", "summary", "hops", "alternatives", "alternativesPanel",
+    "firstHop", "warpButton", "stopIds", "saveButton"
+  ]
+  static values = { planUrl: String, originId: Number, fuel: Number, fuelCapacity: Number }
+
+  connect() {
+    this.waypoints = []
+    this.selected = -1
+    this.plan = null
+
+    this.unregisterKeys = register([
+      { id: "planner.next", keys: "j", description: "Next waypoint", handler: () => this.select(this.selected + 1) },
+      { id: "planner.previous", keys: "k", description: "Previous waypoint", handler: () => this.select(this.selected - 1) },
+      { id: "planner.move_down", keys: "J", description: "Move waypoint down", handler: () => this.shift(this.selected, 1) },
+      { id: "planner.move_up", keys: "K", description: "Move waypoint up", handler: () => this.shift(this.selected, -1) },
+      { id: "planner.remove", keys: ["x", "Delete"], description: "Remove waypoint", handler: () => this.removeAt(this.selected) }
+    ], { scope: "editor", element: this.element, group: "Route planner" })
+    this.render()
+  }
+
+  disconnect() {
+    this.unregisterKeys()
+    this.request?.abort()
+  }
+
+  // Waypoints
+
+  add({ params: { id, name } }) {
+    this.waypoints.push({ id, name })
+    this.selected = this.waypoints.length - 1
+    this.changed()
+  }
+
+  addSelected() {
+    const option = this.systemSelectTarget.selectedOptions[0]
+    if (option) this.add({ params: { id: Number(option.value), name: option.textContent } })
+  }
+
+  remove({ params: { index } }) {
+    this.removeAt(index)
+  }
+
+  removeAt(index) {
+    if (!this.waypoints[index]) return
+
+    this.waypoints.splice(index, 1)
+    this.selected = Math.min(this.selected, this.waypoints.length - 1)
+    this.changed()
+  }
+
+  moveUp({ params: { index } }) {
+    this.shift(index, -1)
+  }
+
+  moveDown({ params: { index } }) {
+    this.shift(index, 1)
+  }
+
+  shift(index, offset) {
+    const to = index + offset
+    if (!this.waypoints[index] || !this.waypoints[to]) return
+
+    const [waypoint] = this.waypoints.splice(index, 1)
+    this.waypoints.splice(to, 0, waypoint)
+    this.selected = to
+    this.changed()
+  }
+
+  select(index) {
+    if (!this.waypoints[index]) return
+    this.selected = index
+    this.renderWaypoints()
+  }
+
+  // Takes one of the alternatives' orderings
+  useOrder({ params: { order } }) {
+    const byId = new Map(this.waypoints.map(waypoint => [waypoint.id, waypoint]))
+    this.waypoints = order.map(id => byId.get(id)).filter(Boolean)
+    this.changed()
+  }
+
+  changed() {
+    this.render()
+    this.fetchPlan()
+  }
+
+  // Plan
+
+  async fetchPlan() {
+    this.request?.abort()
+    this.plan = null
+    this.alternatives = []
+    if (this.waypoints.length === 0) return this.render()
+
+    const request = this.request = new AbortController()
+    const url = new URL(this.planUrlValue, window.location.origin)
+    this.waypoints.forEach(waypoint => url.searchParams.append("system_ids[]", waypoint.id))
+    this.summaryTarget.textContent = "Plotting…"
+
+    try {
+      const response = await fetch(url, {
+        credentials: "same-origin",
+        headers: { "Accept": "application/json" },
+        signal: request.signal
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || `server responded ${response.status}`)
+
+      this.plan = data.plan
+      this.alternatives = data.alternatives
+      this.render()
+    } catch (error) {
+      if (request.signal.aborted) return
+      this.summaryTarget.textContent = `Route not plotted (${error.message})`
+      this.summaryTarget.className = "text-sm mb-2 text-red-400"
+    }
+  }
+
+  // Alternatives in the current order are left out of the list
+  get currentOrder() {
+    return this.waypoints.map(waypoint => waypoint.id).join(",")
+  }
+
+  // Drawing
+
+  render() {
+    this.renderWaypoints()
+    this.renderPlan()
+    this.renderAlternatives()
+    this.renderActions()
+  }
+
+  renderWaypoints() {
+    this.waypointsTarget.replaceChildren(...this.waypoints.map((waypoint, index) => {
+      const item = document.createElement("li")
+      item.className = `flex items-center gap-2 px-2 py-1 rounded ${index === this.selected ? "bg-blue-700" : "bg-blue-800"}`
+
+      const name = document.createElement("span")
+      name.className = "flex-1 text-white"
+      name.textContent = `${index + 1}. ${waypoint.name}`
+      item.append(name)
+
+      const controls = [["↑", "moveUp", "Move up"], ["↓", "moveDown", "Move down"], ["✕", "remove", "Remove"]]
+      controls.forEach(([label, action, title]) => {
+        const button = document.createElement("button")
+        button.type = "button"
+        button.className = "px-1 text-gray-400 hover:text-orange-400"
+        button.title = title
+        button.textContent = label
+        button.dataset.action = `warp-planner#${action}`
+        button.dataset.warpPlannerIndexParam = index
+        item.append(button)
+      })
+      return item
+    }))
+  }
+
+  renderPlan() {
+    const plan = this.plan
+    this.hopsTarget.replaceChildren()
+    if (!plan) {
+      if (this.waypoints.length === 0) {
+        this.summaryTarget.textContent = "Add waypoints to plan a route."
+        this.summaryTarget.className = "text-sm mb-2 text-gray-400"
+      }
+      return
+    }
+
+    const hopRows = plan.hops.map(hop => {
+      const row = document.createElement("div")
+      row.className = `flex flex-wrap gap-x-3 px-2 py-1 rounded ${hop.refuel ? "bg-red-950 border border-red-700" : "bg-blue-800"}`
+      row.append(
+        span(`${hop.from.name} → ${hop.to.name}`, "flex-1 text-white"),
+        span(`-${hop.fuel_cost} fuel`, "text-purple-400"),
+        span(`${hop.fuel_before} → ${hop.fuel_after} / ${this.fuelCapacityValue}`, hop.refuel ? "text-red-300" : "text-gray-400")
+      )
+      if (hop.refuel) row.append(span("REFUEL FIRST", "text-red-400 font-bold"))
+      return row
+    })
+    if (plan.unreachable) {
+      hopRows.push(span(`No warp route on to ${plan.unreachable.name}`, "block px-2 py-1 text-red-400"))
+    }
+    this.hopsTarget.replaceChildren(...hopRows)
+
+    const refuels = plan.refuels === 0 ? "no refuels" : `${plan.refuels} refuel${plan.refuels === 1 ? "" : "s"} needed`
+    this.summaryTarget.textContent =
+      `${plan.total_hops} hop${plan.total_hops === 1 ? "" : "s"} · ${plan.fuel_cost} fuel of ${this.fuelValue} in the tank · ${refuels}`
+    this.summaryTarget.className = `text-sm mb-2 ${plan.unreachable || plan.refuels > 0 ? "text-red-400" : "text-lime-400"}`
+  }
+
+  renderAlternatives() {
+    const others = (this.alternatives || []).filter(alternative => alternative.order.join(",") !== this.currentOrder)
+    this.alternativesPanelTarget.hidden = others.length === 0
+    const names = new Map(this.waypoints.map(waypoint => [waypoint.id, waypoint.name]))
+
+    this.alternativesTarget.replaceChildren(...others.map(alternative => {
+      const row = document.createElement("div")
+      row.className = "flex flex-wrap items-center gap-3 px-2 py-1 bg-blue-800 rounded"
+      row.append(
+        span(alternative.order.map(id => names.get(id)).join(" → "), "flex-1 font-mono text-white"),
+        span(`${alternative.total_hops} hops · ${alternative.fuel_cost} fuel · ${alternative.refuels} refuels`, "text-gray-400")
+      )
+
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "px-2 py-1 bg-blue-700 hover:bg-blue-600 text-white text-xs rounded"
+      button.textContent = "Use this order"
+      button.dataset.action = "warp-planner#useOrder"
+      button.dataset.warpPlannerOrderParam = JSON.stringify(alternative.order)
+      row.append(button)
+      return row
+    }))
+  }
+
+  renderActions() {
+    const plan = this.plan
+    const firstHop = plan?.hops[0]
+    this.firstHopTarget.value = firstHop ? firstHop.to.id : ""
+    this.warpButtonTarget.disabled = !firstHop || firstHop.refuel
+    this.warpButtonTarget.value = firstHop ? `⚡ Warp to ${firstHop.to.name}` : "⚡ Warp to First Hop"
+
+    this.stopIdsTarget.replaceChildren(...[this.originIdValue, ...this.waypoints.map(waypoint => waypoint.id)].map(id => {
+      const input = document.createElement("input")
+      input.type = "hidden"
+      input.name = "route[stop_ids][]"
+      input.value = id
+      return input
+    }))
+    this.saveButtonTarget.disabled = !plan || Boolean(plan.unreachable)
+  }
+}
+
+function span(text, className) {
+  const element = document.createElement("span")
+  element.className = className
+  element.textContent = text
+  return element
+}
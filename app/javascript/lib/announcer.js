@@ -0,0 +1,89 @@
+// Screen-reader announcements
+//
+// Writes short summaries into the layout's ARIA live regions (attached by
+// announcer_controller). Announcements arriving close together are spoken as
+// one: they are collected for DEBOUNCE ms (but never held longer than
+// MAX_WAIT), then each region gets everything pending at once. An
+// announcement with a key replaces a pending one with the same key, so a
+// burst of credit updates is spoken once with the final figure.
+//
+// Verbosity comes from the profile: "all", "important" (assertive only) or
+// "off".
+//
+// Usage:
+//   import { announce } from "lib/announcer"
+//
+//   announce("Route saved")
+//   announce("Hull breach on Nomad", { assertive: true })
+//   announce(`Credits now ${credits}`, { key: "credits" })
+
+export const VERBOSITY_LEVELS = ["all", "important", "off"]
+
+const DEBOUNCE = 600
+const MAX_WAIT = 2000
+
+const pending = new Map()
+let regions = null
+let verbosity = "all"
+let timer = null
+let firstPendingAt = null
+let sequence = 0
+
+// announcer_controller hands over its live regions; returns a detach function
+export function attach({ polite, assertive, level = "all" }) {
+  regions = { polite, assertive }
+  verbosity = VERBOSITY_LEVELS.includes(level) ? level : "all"
+
+  return () => {
+    regions = null
+    clearTimeout(timer)
+    pending.clear()
+    firstPendingAt = null
+  }
+}
+
+export function announce(text, { assertive = false, key = null } = {}) {
+  if (!text || verbosity === "off" || (verbosity === "important" && !assertive)) return
+
+  // Re-inserting moves a replaced announcement to the end
+  const id = key || `announcement-${sequence++}`
+  pending.delete(id)
+  pending.set(id, { text, assertive })
+
+  firstPendingAt ??= Date.now()
+  clearTimeout(timer)
+  timer = setTimeout(flush, Math.max(0, Math.min(DEBOUNCE, firstPendingAt + MAX_WAIT - Date.now())))
+}
+
+export function isPending(key) {
+  return pending.has(key)
+}
+
+export function cancel(key) {
+  pending.delete(key)
+}
+
+function flush() {
+  const entries = [...pending.values()]
+  pending.clear()
+  firstPendingAt = null
+  if (!regions) return
+
+  speak(regions.assertive, entries.filter(entry => entry.assertive))
+  speak(regions.polite, entries.filter(entry => !entry.assertive))
+}
+
+function speak(region, entries) {
+  if (entries.length === 0) return
+
+  // Emptying first makes screen readers repeat an identical message
+  region.textContent = ""
+  setTimeout(() => {
+    region.textContent = entries.map(entry => sentence(entry.text)).join(" ")
+  }, 50)
+}
+
+function sentence(text) {
+  const trimmed = text.trim()
+  return /[.!?]$/.test(trimmed) ? trimmed : `${trimmed}.`
+}
@@ -0,0 +1,115 @@
+// Character grid for monospace maps
+//
+// Projects galactic [x, y, z] positions onto a plane (XY, XZ or YZ) and a
+// grid of characters around a centre, draws glyphs and lines into it, and
+// renders it into a <pre> as one span per run of cells of the same kind, so
+// the kinds can be coloured. Terminal cells are about twice as tall as they
+// are wide, so a row covers ROW_ASPECT times the distance of a column.
+//
+// Usage:
+//   import { CharGrid } from "lib/char_grid"
+//
+//   const grid = new CharGrid(61, 21, { plane: "XY", center: [500, 500, 500], scale: 2 })
+//   grid.line(grid.project(a), grid.project(b), "gate")
+//   grid.put(grid.project(system.position), "*", "system")
+//   grid.render(this.gridTarget, { system: "text-lime-400", gate: "text-purple-400" })
+
+export const PLANES = { XY: [0, 1], XZ: [0, 2], YZ: [1, 2] }
+export const ROW_ASPECT = 2
+
+export class CharGrid {
+  constructor(cols, rows, { plane = "XY", center = [0, 0, 0], scale = 1 } = {}) {
+    this.cols = cols
+    this.rows = rows
+    this.plane = plane
+    this.center = center
+    this.scale = scale
+    this.cells = Array.from({ length: rows }, () => Array.from({ length: cols }, () => ({ char: " ", kind: null })))
+  }
+
+  // The cell a position falls in; it may lie off the grid
+  project(position) {
+    const [h, v] = PLANES[this.plane]
+    return {
+      col: Math.floor(this.cols / 2) + Math.round((position[h] - this.center[h]) / this.scale),
+      row: Math.floor(this.rows / 2) - Math.round((position[v] - this.center[v]) / (this.scale * ROW_ASPECT))
+    }
+  }
+
+  // The position at the middle of a cell, on the plane through the centre
+  unproject({ col, row }) {
+    const [h, v] = PLANES[this.plane]
+    const position = [...this.center]
+    position[h] = this.center[h] + (col - Math.floor(this.cols / 2)) * this.scale
+    position[v] = this.center[v] - (row - Math.floor(this.rows / 2)) * this.scale * ROW_ASPECT
+    return position
+  }
+
+  inside({ col, row }) {
+    return col >= 0 && col < this.cols && row >= 0 && row < this.rows
+  }
+
+  put(cell, char, kind = null) {
+    if (!this.inside(cell)) return false
+    this.cells[cell.row][cell.col] = { char, kind }
+    return true
+  }
+
+  at(cell) {
+    return this.inside(cell) ? this.cells[cell.row][cell.col] : null
+  }
+
+  // A straight line between two cells (Bresenham), leaving both ends and
+  // anything already drawn alone. Without a char it picks - | / \ by slope.
+  line(from, to, kind = null, char = null) {
+    const dx = Math.abs(to.col - from.col)
+    const dy = -Math.abs(to.row - from.row)
+    const stepX = from.col < to.col ? 1 : -1
+    const stepY = from.row < to.row ? 1 : -1
+    const glyph = char || slopeGlyph(to.col - from.col, to.row - from.row)
+
+    let { col, row } = from
+    let error = dx + dy
+    for (let steps = 0; steps <= dx - dy; steps++) {
+      if (col === to.col && row === to.row) break
+      if ((col !== from.col || row !== from.row) && this.at({ col, row })?.char === " ") {
+        this.put({ col, row }, glyph, kind)
+      }
+      const double = 2 * error
+      if (double >= dy) { error += dy; col += stepX }
+      if (double <= dx) { error += dx; row += stepY }
+    }
+  }
+
+  render(element, classes = {}, { highlight = null, highlightClass = "" } = {}) {
+    const lines = this.cells.map((cells, row) => {
+      const line = document.createElement("span")
+      line.className = "block"
+
+      let run = null
+      cells.forEach((cell, col) => {
+        const highlighted = highlight && highlight.col === col && highlight.row === row
+        const className = highlighted ? highlightClass : (classes[cell.kind] || "")
+        if (!run || run.className !== className || highlighted || run.highlighted) {
+          run = document.createElement("span")
+          run.className = className
+          run.highlighted = highlighted
+          line.append(run)
+        }
+        run.textContent += cell.char
+      })
+      return line
+    })
+    element.replaceChildren(...lines)
+  }
+}
+
+function slopeGlyph(dx, dy) {
+  if (dy === 0) return "-"
+  if (dx === 0) return "|"
+
+  const ratio = Math.abs(dy * ROW_ASPECT / dx)
+  if (ratio < 0.5) return "-"
+  if (ratio > 2) return "|"
+  return (dx > 0) === (dy > 0) ? "\\" : "/"
+}
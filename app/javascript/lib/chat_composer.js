@@ -0,0 +1,108 @@
+// Chat composer grammar
+//
+// Turns what the player typed into the chat input into what to send:
+//   <text>               -> { kind: "message", body }
+//   /me <action>         -> { kind: "emote", body }
+//   /w <player> <text>   -> { kind: "whisper", recipient, body }
+//   /price <commodity>   -> { kind: "price", commodity }  (chat_controller expands it into a card)
+//   /loc                 -> { kind: "loc" }               (likewise, the player's location)
+//   //text               -> a message starting with "/"
+//
+// Player names can contain spaces, so /w takes the longest known name the
+// text starts with, then a "quoted name", then the first word.
+//
+// Game references travel in the body as [[type:id]] tokens, which
+// ChatHelper#chat_message_body renders as links.
+
+export const CHAT_COMMANDS = {
+  w: "/w <player> <message>",
+  me: "/me <action>",
+  price: "/price <commodity>",
+  loc: "/loc"
+}
+
+export class ChatCommandError extends Error {}
+
+export function parseChatInput(input, { names = [] } = {}) {
+  const text = input.trim()
+  if (text.startsWith("//")) return { kind: "message", body: text.slice(1) }
+  if (!text.startsWith("/")) return { kind: "message", body: text }
+
+  const [, command, rest] = text.match(/^\/(\S*)\s*([\s\S]*)$/)
+  switch (command.toLowerCase()) {
+    case "me":
+      if (!rest) throw usage("me")
+      return { kind: "emote", body: rest }
+    case "w":
+    case "whisper":
+      return parseWhisper(rest, names)
+    case "price":
+      if (!rest) throw usage("price")
+      return { kind: "price", commodity: rest }
+    case "loc":
+      return { kind: "loc" }
+    default:
+      throw new ChatCommandError(`Unknown command /${command}. Try ${Object.values(CHAT_COMMANDS).join(", ")}`)
+  }
+}
+
+// The name being typed at the caret, for autocomplete: after "@" anywhere,
+// or right after "/w ". Returns { start, query, prefix } or null.
+export function completionAt(text, caret) {
+  const before = text.slice(0, caret)
+
+  const whisper = before.match(/^\/w(?:hisper)?\s+@?([^\s"][^@\n]*)?$/i)
+  if (whisper) return { start: caret - (whisper[1] || "").length, query: whisper[1] || "", prefix: "" }
+
+  const mention = before.match(/(?:^|\s)@([^@\n]*)$/)
+  if (mention) return { start: caret - mention[1].length - 1, query: mention[1], prefix: "@" }
+
+  return null
+}
+
+export function reference(type, id) {
+  return `[[${type}:${id}]]`
+}
+
+// A price-journal observation as a message
+export function priceCard(observation) {
+  const seen = new Date(observation.observedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })
+  const commodity = reference("commodity", `${observation.commodity}@${observation.systemId}`)
+
+  return `${commodity} buy ${observation.buyPrice} · sell ${observation.sellPrice} · stock ${observation.stock} ` +
+    `at ${reference("system", observation.systemId)} (${observation.source}, ${seen})`
+}
+
+// ChatHelper#chat_location as a message
+export function locationCard({ ship, system, coordinates = [] }) {
+  const place = system ? reference("system", system) : "deep space"
+  const position = coordinates.length === 3 ? ` (${coordinates.join(", ")})` : ""
+  return `${reference("ship", ship)} at ${place}${position}`
+}
+
+function parseWhisper(rest, names) {
+  const text = rest.replace(/^@/, "")
+  const lower = text.toLowerCase()
+  const known = [...names]
+    .sort((a, b) => b.length - a.length)
+    .find(name => lower.startsWith(name.toLowerCase()) && /^(\s|$)/.test(text.slice(name.length)))
+
+  let recipient
+  let body
+  const quoted = text.match(/^"([^"]+)"\s*([\s\S]*)$/)
+  if (known) {
+    recipient = known
+    body = text.slice(known.length).trim()
+  } else if (quoted) {
+    [, recipient, body] = quoted
+  } else {
+    [, recipient, body] = text.match(/^(\S*)\s*([\s\S]*)$/)
+  }
+
+  if (!recipient || !body) throw usage("w")
+  return { kind: "whisper", recipient, body }
+}
+
+function usage(command) {
+  return new ChatCommandError(`Usage: ${CHAT_COMMANDS[command]}`)
+}
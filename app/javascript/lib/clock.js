@@ -0,0 +1,103 @@
+// Shared game clock for countdowns
+//
+// One timer ticks once a second for every subscriber, in step with the
+// second boundary, instead of each countdown running its own interval. Time
+// is the server's: the layout stamps <meta name="server-time"> when it
+// renders and the difference from this browser's clock (measured against the
+// moment the response arrived) is applied to every tick, so a browser clock
+// that is minutes off still counts down to the server's arrival times.
+//
+// While the tab is hidden the timer stops; when it comes back every
+// subscriber gets an immediate tick, so anything that finished meanwhile
+// is caught up at once.
+//
+// Usage:
+//   import { subscribe, now } from "lib/clock"
+//
+//   this.unsubscribe = subscribe(time => this.render(time))
+//   disconnect() { this.unsubscribe() }
+
+const subscribers = new Set()
+let timer = null
+let skew = null
+let stamp = null
+let latest = -Infinity
+let listening = false
+
+// Server time in ms
+export function now() {
+  return Date.now() + currentSkew()
+}
+
+// The callback gets the server time in ms, once now and then every second
+export function subscribe(callback) {
+  listen()
+  subscribers.add(callback)
+  callback(now())
+  schedule()
+
+  return () => {
+    subscribers.delete(callback)
+    if (subscribers.size === 0) stop()
+  }
+}
+
+function currentSkew() {
+  const meta = document.querySelector('meta[name="server-time"]')
+  // Turbo Drive visits bring a fresh stamp in the new <head>
+  if (meta && meta.content !== stamp) {
+    stamp = meta.content
+    // Restoration visits and cache previews put back an earlier visit's
+    // <head>; only a stamp newer than the last one measured is fresh
+    const serverTime = Date.parse(stamp)
+    if (serverTime > latest) {
+      latest = serverTime
+      skew = measureSkew(serverTime)
+    }
+  }
+  return skew || 0
+}
+
+function measureSkew(serverTime) {
+  // A page served from the offline cache carries the time it was cached
+  if (document.querySelector("[data-offline-snapshot]")) return 0
+
+  // The server stamped the page just before its first byte left; on the
+  // initial load the navigation timing says when that byte arrived here
+  const navigation = performance.getEntriesByType?.("navigation")[0]
+  const arrived = skew === null && navigation?.responseStart
+    ? performance.timeOrigin + navigation.responseStart
+    : Date.now()
+  return serverTime - arrived
+}
+
+function tick() {
+  timer = null
+  const time = now()
+  subscribers.forEach(callback => callback(time))
+  schedule()
+}
+
+function schedule() {
+  if (timer || subscribers.size === 0 || document.hidden) return
+  timer = setTimeout(tick, 1000 - (now() % 1000))
+}
+
+function stop() {
+  clearTimeout(timer)
+  timer = null
+}
+
+function listen() {
+  if (listening) return
+  listening = true
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      stop()
+    } else {
+      stop()
+      tick()
+    }
+  })
+}
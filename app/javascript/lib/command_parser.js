@@ -0,0 +1,134 @@
+// Command grammar for the command console
+//
+// Turns a typed line into a command object the console can execute:
+//   warp [to] <system>           -> { verb: "warp", system }
+//   buy <qty> <commodity>        -> { verb: "buy", quantity, commodity }
+//   sell <qty> <commodity>       -> { verb: "sell", quantity, commodity }
+//   scan                         -> { verb: "explore", mode: "growing_arcs" }
+//   explore [+x|-x|+y|-y|+z|-z]  -> { verb: "explore", mode, direction }
+//   orbit                        -> { verb: "explore", mode: "orbit" }
+//   refuel [ship] <amount>       -> { verb: "refuel", ship, amount }
+//   repair [ship]                -> { verb: "repair", ship }
+//   route <bookmark>             -> { verb: "route", bookmark }  (preview)
+//   jump <bookmark>              -> { verb: "jump", bookmark }   (confirmed warp route)
+//   help / clear
+//
+// Names are returned as typed; resolving them against known systems,
+// ships and commodities is left to resolveName.
+
+export const VERBS = ["warp", "buy", "sell", "scan", "explore", "orbit", "refuel", "repair", "route", "jump", "help", "clear"]
+
+const DIRECTIONS = ["+x", "-x", "+y", "-y", "+z", "-z"]
+
+export class CommandError extends Error {}
+
+export function parseCommand(input) {
+  const line = input.trim().replace(/^>\s*/, "")
+  if (line === "") throw new CommandError("Type a command, or 'help' for a list")
+
+  const [verb, ...words] = line.split(/\s+/)
+  const rest = words.join(" ")
+
+  switch (verb.toLowerCase()) {
+    case "warp":
+    case "move": {
+      const system = rest.replace(/^to\s+/i, "")
+      if (!system) throw new CommandError("Usage: warp [to] <system>")
+      return { verb: "warp", system }
+    }
+    case "buy":
+    case "sell":
+      return parseTrade(verb.toLowerCase(), words)
+    case "scan":
+      return { verb: "explore", mode: "growing_arcs" }
+    case "explore": {
+      if (!rest || rest === "arcs") return { verb: "explore", mode: "growing_arcs" }
+      if (rest === "orbit") return { verb: "explore", mode: "orbit" }
+      const direction = rest.toLowerCase()
+      if (!DIRECTIONS.includes(direction)) {
+        throw new CommandError(`Usage: explore [${DIRECTIONS.join("|")}|arcs|orbit]`)
+      }
+      return { verb: "explore", mode: "single_direction", direction }
+    }
+    case "orbit":
+      return { verb: "explore", mode: "orbit" }
+    case "refuel": {
+      if (!/^\d+(\.\d+)?$/.test(words[words.length - 1] || "")) {
+        throw new CommandError("Usage: refuel [ship] <amount>")
+      }
+      const amount = parseFloat(words.pop())
+      return { verb: "refuel", ship: words.join(" "), amount }
+    }
+    case "repair":
+      return { verb: "repair", ship: rest }
+    case "route":
+    case "jump":
+      if (!rest) throw new CommandError(`Usage: ${verb.toLowerCase()} <bookmark>`)
+      return { verb: verb.toLowerCase(), bookmark: rest }
+    case "help":
+    case "clear":
+      return { verb: verb.toLowerCase() }
+    default:
+      throw new CommandError(`Unknown command: ${verb}`)
+  }
+}
+
+// Accepts both "buy 500 iron" and "buy iron 500"
+function parseTrade(verb, words) {
+  let quantity = 1
+  if (/^\d+$/.test(words[0] || "")) {
+    quantity = parseInt(words.shift(), 10)
+  } else if (/^\d+$/.test(words[words.length - 1] || "")) {
+    quantity = parseInt(words.pop(), 10)
+  }
+
+  const commodity = words.join(" ")
+  if (!commodity) throw new CommandError(`Usage: ${verb} <quantity> <commodity>`)
+  if (quantity < 1) throw new CommandError("Quantity must be at least 1")
+
+  return { verb, quantity, commodity }
+}
+
+// Finds the entry whose name matches the query: an exact (case-insensitive)
+// match wins, otherwise a unique prefix. Ambiguous prefixes are an error so
+// the player never warps somewhere they didn't mean.
+export function resolveName(entries, query, kind) {
+  const needle = query.trim().toLowerCase()
+  const nameOf = entry => (typeof entry === "string" ? entry : entry.name)
+
+  const exact = entries.find(entry => nameOf(entry).toLowerCase() === needle)
+  if (exact) return exact
+
+  const matches = entries.filter(entry => nameOf(entry).toLowerCase().startsWith(needle))
+  if (matches.length === 1) return matches[0]
+  if (matches.length > 1) {
+    throw new CommandError(`Ambiguous ${kind} '${query}': ${matches.slice(0, 5).map(nameOf).join(", ")}`)
+  }
+  throw new CommandError(`Unknown ${kind}: ${query}`)
+}
+
+// What kind of name the word under the cursor is, given the words before it
+export function completionKind(words) {
+  if (words.length <= 1) return "verb"
+
+  switch (words[0].toLowerCase()) {
+    case "warp":
+    case "move":
+      return "system"
+    case "buy":
+    case "sell":
+      return "commodity"
+    case "refuel":
+    case "repair":
+      return "ship"
+    case "route":
+    case "jump":
+      return "bookmark"
+    case "explore":
+      return "direction"
+    default:
+      return null
+  }
+}
+
+export const EXPLORE_OPTIONS = [...DIRECTIONS, "arcs", "orbit"]
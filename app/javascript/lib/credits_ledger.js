@@ -0,0 +1,77 @@
+// Session ledger of credit changes, kept in sessionStorage
+//
+// The layout's #user_credits (shared/_credits) is replaced by Turbo Streams
+// whenever the balance changes; credits_source_controller records each new
+// balance here. A balance that differs from the last one becomes an entry
+// with the delta, the new balance and, when the stream gave them, a reason
+// ("Sold 10 Iron at Mira Station") and a category ("trade", "tax", ...).
+// The first balance seen in a session is the baseline and makes no entry.
+//
+// Entries are kept per player and per browser tab session, newest last, up
+// to MAX_ENTRIES.
+//
+// Usage:
+//   import { record, entries, totals } from "lib/credits_ledger"
+//
+//   const entry = record(playerId, { balance: 1200, reason: "Refueled 10 units", category: "fuel" })
+//   totals(entries(playerId))   // => [{ category: "fuel", total: -40, count: 1 }, ...]
+
+const STORAGE_PREFIX = "creditsLedger"
+const MAX_ENTRIES = 50
+export const UNCATEGORISED = "other"
+
+function load(playerId) {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${STORAGE_PREFIX}:${playerId}`)) || { balance: null, entries: [] }
+  } catch {
+    return { balance: null, entries: [] }
+  }
+}
+
+function save(playerId, ledger) {
+  sessionStorage.setItem(`${STORAGE_PREFIX}:${playerId}`, JSON.stringify(ledger))
+}
+
+// Records a balance; returns the new entry, or null when nothing changed
+export function record(playerId, { balance, reason = "", category = "" }) {
+  if (!Number.isFinite(balance)) return null
+
+  const ledger = load(playerId)
+  const previous = ledger.balance
+  ledger.balance = balance
+
+  let entry = null
+  if (previous !== null && previous !== balance) {
+    entry = {
+      at: Date.now(),
+      delta: balance - previous,
+      balance,
+      reason: reason || null,
+      category: category || UNCATEGORISED
+    }
+    ledger.entries = [...ledger.entries, entry].slice(-MAX_ENTRIES)
+  }
+  save(playerId, ledger)
+  return entry
+}
+
+export function entries(playerId) {
+  return load(playerId).entries
+}
+
+export function clear(playerId) {
+  const ledger = load(playerId)
+  save(playerId, { balance: ledger.balance, entries: [] })
+}
+
+// Net change per category, largest movement first
+export function totals(list) {
+  const byCategory = new Map()
+  list.forEach(({ category, delta }) => {
+    const total = byCategory.get(category) || { category, total: 0, count: 0 }
+    total.total += delta
+    total.count += 1
+    byCategory.set(category, total)
+  })
+  return [...byCategory.values()].sort((a, b) => Math.abs(b.total) - Math.abs(a.total))
+}
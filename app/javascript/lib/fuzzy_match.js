@@ -0,0 +1,46 @@
+// Subsequence fuzzy matching for palettes and autocomplete
+//
+// fuzzyScore("rpr", "Repair") -> positive number, higher is better
+// fuzzyScore("xyz", "Repair") -> null (not every query character appears in order)
+//
+// Scoring favours matches at the start of the text or of a word, and runs of
+// consecutive characters, so "inb" ranks "Inbox" above "Combat Inbound".
+
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  const haystack = text.toLowerCase()
+  if (needle === "") return 0
+
+  let score = 0
+  let position = -1
+  let streak = 0
+
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position + 1)
+    if (next === -1) return null
+
+    if (next === position + 1) {
+      streak++
+      score += 2 + streak
+    } else {
+      streak = 0
+      score -= Math.min(next - position - 1, 3)
+    }
+    if (next === 0 || /[\s\-_/>]/.test(haystack[next - 1])) score += 5
+
+    score += 1
+    position = next
+  }
+
+  // Shorter texts win ties: "Ships" before "Ships > Trading"
+  return score - haystack.length * 0.01
+}
+
+// Returns entries that match the query, best first
+export function fuzzyFilter(entries, query, textOf = entry => entry) {
+  return entries
+    .map(entry => ({ entry, score: fuzzyScore(query, textOf(entry)) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.entry)
+}
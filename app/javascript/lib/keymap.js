@@ -0,0 +1,320 @@
+// Central keymap registry
+//
+// Controllers register their keyboard bindings here instead of listening for
+// keydown on document themselves. A single listener hands each key press to
+// the first matching binding, checking scopes in priority order:
+//
+//   modal    open dialogs (help, onboarding)
+//   editor   widgets with their own key grammar (route stop editor, chat input)
+//   content  or menu, whichever zone keyboard_navigation has focused
+//   global   everything else (help, home, command console)
+//
+// Within a scope the most recently registered binding wins.
+//
+// Keys can be vim-style sequences ("g g", "g i", "m *") and can take a count
+// prefix ("5j"): digits no binding claims accumulate into a count that is
+// passed to the handler. While a sequence or count is pending the key is
+// held, onPendingChange listeners are told (for a status line), and the
+// pending keys are dropped after SEQUENCE_TIMEOUT ms or on a key that
+// continues no sequence.
+//
+// Usage:
+//   import { register } from "lib/keymap"
+//
+//   this.unregisterKeys = register([
+//     { id: "stops.next", keys: ["j", "ArrowDown"], description: "Next stop", handler: () => this.moveDown() }
+//   ], { scope: "editor", element: this.element, group: "Route stops" })
+//
+//   disconnect() { this.unregisterKeys() }
+//
+// Binding fields (any of them can also be given once in the options):
+//   id            stable name, used for remapping and conflict reports
+//   keys          key name or list of names, as produced by keyFromEvent:
+//                 "j", "G", "?", "Enter", "Escape", "Ctrl-k", "Shift-Tab";
+//                 space-separated names form a sequence; "*" matches any key
+//                 ("Asterisk" is the * key itself)
+//   handler       called with (event, { count, key }): count is the typed
+//                 prefix or null, key the last key pressed. The default
+//                 action is prevented unless it returns false
+//   description   shown in the #keyboard-help listing
+//   when          predicate; the binding is skipped while it returns false
+//   element       only while focus is inside this element (or, with nothing
+//                 focused, while the binding's scope is active)
+//   focusOnly     with element: require focus inside it
+//   allowInInput  also fire while typing in an input, textarea or select
+//   hidden        leave out of the help listing
+//
+// Players remap bindings by id. Overrides live in localStorage under
+// "keymap" and are seeded from the profile (body[data-keymap]) on page load;
+// onOverridesChange lets keymap_help_controller sync them back.
+
+export const SCOPES = ["modal", "editor", "content", "menu", "global"]
+
+export const SCOPE_LABELS = {
+  global: "Global",
+  menu: "Menu",
+  content: "Content",
+  editor: "Editor",
+  modal: "Dialogs"
+}
+
+const STORAGE_KEY = "keymap"
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta"]
+const SEQUENCE_TIMEOUT = 1500
+
+const registrations = []
+const overrideListeners = new Set()
+const pendingListeners = new Set()
+let pending = { keys: [], count: "" }
+let pendingTimer = null
+let overrides = null
+let focusZone = "menu"
+let installed = false
+
+export function register(bindings, options = {}) {
+  install()
+
+  const entries = bindings.map(binding => {
+    const entry = { scope: "global", ...options, ...binding }
+    if (!SCOPES.includes(entry.scope)) throw new Error(`Unknown keymap scope: ${entry.scope}`)
+    if (!entry.id) throw new Error("Keymap bindings need an id")
+    entry.keys = [].concat(entry.keys)
+    return entry
+  })
+
+  entries.forEach(entry => {
+    // A reconnecting controller replaces its earlier registration
+    const existing = registrations.findIndex(other => other.id === entry.id)
+    if (existing !== -1) registrations.splice(existing, 1)
+    registrations.push(entry)
+  })
+
+  conflicts()
+    .filter(conflict => entries.some(entry => conflict.ids.includes(entry.id)))
+    .forEach(conflict => console.debug(`Keymap conflict in ${conflict.scope}: "${conflict.key}" is bound to ${conflict.ids.join(" and ")}`))
+
+  return () => entries.forEach(entry => {
+    const index = registrations.indexOf(entry)
+    if (index !== -1) registrations.splice(index, 1)
+  })
+}
+
+// keyboard_navigation_controller reports which zone (menu or content) has focus
+export function setFocusZone(zone) {
+  focusZone = zone
+}
+
+export function keyFromEvent(event) {
+  if (MODIFIER_KEYS.includes(event.key)) return null
+
+  let key = { " ": "Space", "*": "Asterisk" }[event.key] || event.key
+  const modifiers = []
+  if (event.ctrlKey || event.metaKey) modifiers.push("Ctrl")
+  if (event.altKey) modifiers.push("Alt")
+  // Printable characters already carry Shift ("J", "?"); only name it for named keys
+  if (event.shiftKey && key.length > 1) modifiers.push("Shift")
+  if (modifiers.includes("Ctrl") && key.length === 1) key = key.toLowerCase()
+
+  return [...modifiers, key].join("-")
+}
+
+export function describeKey(key) {
+  const names = { Escape: "Esc", ArrowDown: "↓", ArrowUp: "↑", ArrowLeft: "←", ArrowRight: "→", Delete: "Del", Asterisk: "*", "*": "{a-z}" }
+  return key.split(" ").map(step =>
+    step.split("-").map(part => names[part] || (part.length === 1 && step.startsWith("Ctrl") ? part.toUpperCase() : part)).join("-")
+  ).join("")
+}
+
+export function keysFor(entry) {
+  const override = loadOverrides()[entry.id]
+  return override ? [override] : entry.keys
+}
+
+// Registered bindings that apply to the current page, for the help listing
+export function bindings() {
+  return registrations
+    .filter(entry => !entry.hidden && entry.description && (!entry.element || entry.element.isConnected))
+    .map(entry => ({
+      id: entry.id,
+      scope: entry.scope,
+      group: entry.group || SCOPE_LABELS[entry.scope],
+      description: entry.description,
+      keys: keysFor(entry),
+      defaultKeys: entry.keys,
+      remapped: entry.id in loadOverrides()
+    }))
+}
+
+// Pairs of bindings that claim the same key in the same scope. Bindings
+// guarded by `when` or tied to a different element are deliberate overrides
+// and are not reported.
+export function conflicts() {
+  const found = []
+  const candidates = registrations.filter(entry => !entry.when)
+
+  candidates.forEach((a, index) => {
+    candidates.slice(index + 1).forEach(b => {
+      if (a.scope !== b.scope || a.element !== b.element) return
+      keysFor(a).filter(key => key !== "*" && keysFor(b).includes(key)).forEach(key => {
+        found.push({ key, scope: a.scope, ids: [a.id, b.id] })
+      })
+    })
+  })
+  return found
+}
+
+// Rebinds a binding to a single key. Returns the bindings that already use
+// that key, or start a sequence with it, in the same scope (or globally);
+// nothing changes if there are any.
+export function remap(id, key) {
+  const entry = registrations.find(other => other.id === id)
+  if (!entry) throw new Error(`Unknown keymap binding: ${id}`)
+
+  const clashes = registrations.filter(other =>
+    other.id !== id &&
+    !other.hidden &&
+    (other.scope === entry.scope || other.scope === "global") &&
+    keysFor(other).some(keys => keys === key || keys.split(" ")[0] === key)
+  )
+  if (clashes.length > 0) return clashes
+
+  if (entry.keys.length === 1 && entry.keys[0] === key) {
+    delete loadOverrides()[id]
+  } else {
+    loadOverrides()[id] = key
+  }
+  saveOverrides()
+  return []
+}
+
+export function resetKey(id) {
+  delete loadOverrides()[id]
+  saveOverrides()
+}
+
+export function resetAll() {
+  overrides = {}
+  saveOverrides()
+}
+
+export function onOverridesChange(listener) {
+  overrideListeners.add(listener)
+  return () => overrideListeners.delete(listener)
+}
+
+// Listener gets the pending count and keys as typed ("5g"), or "" once cleared
+export function onPendingChange(listener) {
+  pendingListeners.add(listener)
+  return () => pendingListeners.delete(listener)
+}
+
+function loadOverrides() {
+  if (overrides) return overrides
+
+  const fromProfile = document.body?.dataset.keymap
+  try {
+    overrides = JSON.parse(fromProfile || localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    overrides = {}
+  }
+  if (fromProfile) localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides))
+  return overrides
+}
+
+function saveOverrides() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides))
+  overrideListeners.forEach(listener => listener({ ...overrides }))
+}
+
+// Dispatch
+
+function install() {
+  if (installed) return
+  installed = true
+  document.addEventListener("keydown", onKeyDown)
+}
+
+function onKeyDown(event) {
+  if (event.defaultPrevented || event.isComposing) return
+
+  const key = keyFromEvent(event)
+  if (!key) return
+
+  const typed = [...pending.keys, key]
+  let continues = false
+
+  for (const scope of ["modal", "editor", focusZone, "global"]) {
+    const { exact, prefix } = lookup(scope, typed, event)
+    if (exact) {
+      const count = pending.count ? parseInt(pending.count, 10) : null
+      setPending([], "")
+      if (exact.handler(event, { count, key }) !== false) event.preventDefault()
+      return
+    }
+    continues ||= prefix
+  }
+
+  if (continues) {
+    event.preventDefault()
+    setPending(typed, pending.count)
+  } else if (pending.keys.length === 0 && /^[0-9]$/.test(key) && (pending.count || key !== "0") && !isTyping(event)) {
+    // Digits nobody binds build a count prefix
+    event.preventDefault()
+    setPending([], pending.count + key)
+  } else if (pending.keys.length > 0 || pending.count) {
+    // A key that continues no sequence cancels it, like vim
+    event.preventDefault()
+    setPending([], "")
+  }
+}
+
+// The newest binding in the scope whose sequence equals the typed keys, and
+// whether any binding there could still complete with more keys
+function lookup(scope, typed, event) {
+  const typing = isTyping(event)
+  let prefix = false
+
+  for (let index = registrations.length - 1; index >= 0; index--) {
+    const entry = registrations[index]
+    if (entry.scope !== scope) continue
+    if (typing && !entry.allowInInput) continue
+    if (entry.when && !entry.when()) continue
+    if (entry.element && !elementApplies(entry, event)) continue
+
+    for (const keys of keysFor(entry)) {
+      const match = matchSequence(keys.split(" "), typed)
+      if (match === "exact") return { exact: entry, prefix }
+      if (match === "prefix") prefix = true
+    }
+  }
+  return { exact: null, prefix }
+}
+
+function matchSequence(sequence, typed) {
+  if (typed.length > sequence.length) return null
+  if (!typed.every((key, index) => sequence[index] === "*" || sequence[index] === key)) return null
+  return typed.length === sequence.length ? "exact" : "prefix"
+}
+
+function setPending(keys, count) {
+  pending = { keys, count }
+  clearTimeout(pendingTimer)
+  if (keys.length > 0 || count) pendingTimer = setTimeout(() => setPending([], ""), SEQUENCE_TIMEOUT)
+
+  const text = count + keys.map(describeKey).join("")
+  pendingListeners.forEach(listener => listener(text))
+}
+
+function isTyping(event) {
+  return !!event.target.matches?.("input, textarea, select, [contenteditable]")
+}
+
+function elementApplies(entry, event) {
+  if (!entry.element.isConnected) return false
+  if (entry.element.contains(event.target)) return true
+  if (entry.focusOnly) return false
+
+  const nothingFocused = event.target === document.body || event.target === document.documentElement
+  // Editors sit inside the content panel, so they follow the content zone
+  return nothingFocused && (entry.scope !== "editor" || focusZone === "content")
+}
@@ -0,0 +1,158 @@
+// Personal price journal, kept in IndexedDB
+//
+// Every market page the player views is recorded, one observation per system
+// and commodity: the system (short id, name, coordinates), buy/sell price,
+// stock, when the prices were seen and whether they were LIVE (ship docked)
+// or REMEMBERED (the snapshot from the player's last visit). A newer
+// observation replaces an older one; an old snapshot never replaces prices
+// seen since. Nothing is fetched from the server: the journal only holds what
+// this player's own market pages showed.
+//
+// Each player gets their own database, so a shared browser never mixes
+// journals, and imports are only accepted from the same player's exports.
+//
+// Usage:
+//   import { record, observations } from "lib/price_journal"
+//
+//   await record(playerId, [{ systemId: "sys-abc", commodity: "Iron", buyPrice: 11, ... }])
+//   const seen = await observations(playerId)
+//
+// The market page viewed last is remembered separately (rememberMarket), so
+// chat's /price can quote "the current market" without a server round trip.
+
+const DB_PREFIX = "stellarb-price-journal"
+const DB_VERSION = 1
+const STORE = "observations"
+const EXPORT_FORMAT = "stellarb-price-journal"
+const SOURCES = ["live", "remembered"]
+
+const connections = new Map()
+
+export function supported() {
+  return "indexedDB" in window
+}
+
+export async function record(playerId, entries) {
+  const db = await open(playerId)
+  const transaction = db.transaction(STORE, "readwrite")
+  const store = transaction.objectStore(STORE)
+
+  entries.forEach(entry => {
+    const existing = store.get([entry.systemId, entry.commodity])
+    existing.onsuccess = () => {
+      if (!existing.result || existing.result.observedAt <= entry.observedAt) store.put(entry)
+    }
+  })
+  return completion(transaction)
+}
+
+export async function observations(playerId) {
+  const db = await open(playerId)
+  return request(db.transaction(STORE).objectStore(STORE).getAll())
+}
+
+export function rememberMarket(playerId, systemId) {
+  localStorage.setItem(`${DB_PREFIX}-${playerId}-market`, systemId)
+}
+
+// Observations from the market page viewed last, or [] before any
+export async function currentMarket(playerId) {
+  const systemId = localStorage.getItem(`${DB_PREFIX}-${playerId}-market`)
+  if (!systemId) return []
+
+  const db = await open(playerId)
+  const range = IDBKeyRange.bound([systemId, ""], [systemId, "\uffff"])
+  return request(db.transaction(STORE).objectStore(STORE).getAll(range))
+}
+
+// Deletes observations seen before the cutoff (a timestamp in ms), or
+// everything without one. Resolves to the number deleted.
+export async function purge(playerId, cutoff = null) {
+  const db = await open(playerId)
+  const transaction = db.transaction(STORE, "readwrite")
+  const store = transaction.objectStore(STORE)
+  let deleted = 0
+
+  if (cutoff === null) {
+    store.count().onsuccess = event => { deleted = event.target.result }
+    store.clear()
+  } else {
+    store.index("observedAt").openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = event => {
+      const cursor = event.target.result
+      if (!cursor) return
+      cursor.delete()
+      deleted++
+      cursor.continue()
+    }
+  }
+
+  await completion(transaction)
+  return deleted
+}
+
+export async function exportJournal(playerId) {
+  return {
+    format: EXPORT_FORMAT,
+    version: DB_VERSION,
+    player: playerId,
+    exportedAt: new Date().toISOString(),
+    observations: await observations(playerId)
+  }
+}
+
+// Merges an exported journal, keeping whichever observation is newer.
+// Resolves to the number of observations read from the file.
+export async function importJournal(playerId, data) {
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.observations)) {
+    throw new Error("Not a price journal export")
+  }
+  if (data.player !== playerId) {
+    throw new Error("This journal was exported by another player")
+  }
+
+  const entries = data.observations.filter(validObservation)
+  await record(playerId, entries)
+  return entries.length
+}
+
+function validObservation(entry) {
+  return entry &&
+    typeof entry.systemId === "string" &&
+    typeof entry.systemName === "string" &&
+    typeof entry.commodity === "string" &&
+    ["x", "y", "z", "buyPrice", "sellPrice", "stock", "observedAt"].every(field => Number.isFinite(entry[field])) &&
+    SOURCES.includes(entry.source)
+}
+
+function open(playerId) {
+  if (!connections.has(playerId)) {
+    connections.set(playerId, new Promise((resolve, reject) => {
+      const opening = indexedDB.open(`${DB_PREFIX}-${playerId}`, DB_VERSION)
+      opening.onupgradeneeded = () => {
+        const store = opening.result.createObjectStore(STORE, { keyPath: ["systemId", "commodity"] })
+        store.createIndex("observedAt", "observedAt")
+      }
+      opening.onsuccess = () => resolve(opening.result)
+      opening.onerror = () => {
+        connections.delete(playerId)
+        reject(opening.error)
+      }
+    }))
+  }
+  return connections.get(playerId)
+}
+
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result)
+    idbRequest.onerror = () => reject(idbRequest.error)
+  })
+}
+
+function completion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
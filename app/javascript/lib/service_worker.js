@@ -0,0 +1,40 @@
+// Registers the offline/push service worker (app/views/pwa/service-worker.js)
+// and hands it this page's importmap and stylesheet URLs so the app shell is
+// cached before the player next loses reception.
+//
+// The worker's URL is the routed pwa_service_worker_path, which the layout
+// stamps into <meta name="service-worker">. Everything that registers the
+// worker uses serviceWorkerUrl(): registering the same scope under another
+// script URL would replace the registration and restart the worker.
+
+export function serviceWorkerUrl() {
+  return document.querySelector('meta[name="service-worker"]')?.content || "/service-worker.js"
+}
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return
+
+  navigator.serviceWorker.register(serviceWorkerUrl())
+    .then(() => navigator.serviceWorker.ready)
+    .then(registration => registration.active?.postMessage({ type: "cache-assets", urls: shellAssetUrls() }))
+    .catch(error => console.debug("Service worker registration failed", error))
+}
+
+function shellAssetUrls() {
+  const urls = new Set()
+
+  const importmap = document.querySelector('script[type="importmap"]')
+  if (importmap) {
+    try {
+      Object.values(JSON.parse(importmap.textContent).imports || {}).forEach(url => urls.add(url))
+    } catch {
+      // A malformed importmap would already have broken the page; skip it
+    }
+  }
+
+  document.querySelectorAll('link[rel="stylesheet"], link[rel="modulepreload"]').forEach(link => {
+    urls.add(link.getAttribute("href"))
+  })
+
+  return Array.from(urls).filter(url => url && url.startsWith("/"))
+}
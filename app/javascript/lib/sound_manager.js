@@ -0,0 +1,194 @@
+// Game sound manager on the Web Audio API
+//
+// Decoded buffers are cached per file, so a sound is fetched and decoded
+// once and every later play is instant. Each sound belongs to a category
+// (notifications, ui, alerts, ambient) with its own volume; the volumes and
+// the on/off switch live in localStorage for instant feedback and are seeded
+// from the profile (body[data-sound-enabled], body[data-sound-volumes]) on
+// page load.
+//
+// A Turbo Stream burst that appends several notification sounds at once
+// plays the sound once: repeats of the same file inside COALESCE_WINDOW ms
+// are dropped, and no more than BURST_LIMIT sounds start per window. While an
+// alert plays, UI sounds are ducked to DUCK_LEVEL so the alert stands out.
+//
+// Browsers only start audio after a user gesture; until the first
+// pointerdown or keydown the context stays suspended and sounds are skipped.
+//
+// Usage:
+//   import { play, preload } from "lib/sound_manager"
+//
+//   preload("/sounds/notifications/message.mp3")
+//   play("/sounds/notifications/message.mp3", { category: "notifications", volume: 0.5 })
+
+export const CATEGORIES = ["notifications", "ui", "alerts", "ambient"]
+
+const DEFAULT_VOLUMES = { notifications: 100, ui: 60, alerts: 100, ambient: 40 }
+const ENABLED_KEY = "soundEnabled"
+const VOLUMES_KEY = "soundVolumes"
+const COALESCE_WINDOW = 300
+const BURST_LIMIT = 3
+const DUCK_LEVEL = 0.3
+const DUCK_FADE = 0.05
+
+const buffers = new Map()
+const lastPlayed = new Map()
+let recentStarts = []
+let context = null
+let categoryGains = null
+let activeAlerts = 0
+
+// Copies the profile's sound settings into localStorage (on page load)
+export function syncFromServer() {
+  const { soundEnabled, soundVolumes } = document.body.dataset
+  if (soundEnabled !== undefined) localStorage.setItem(ENABLED_KEY, soundEnabled)
+  if (soundVolumes !== undefined) localStorage.setItem(VOLUMES_KEY, soundVolumes)
+  applyVolumes()
+}
+
+export function isEnabled() {
+  return localStorage.getItem(ENABLED_KEY) !== "false"
+}
+
+export function setEnabled(enabled) {
+  localStorage.setItem(ENABLED_KEY, String(enabled))
+}
+
+// Volume per category, 0-100
+export function volumes() {
+  try {
+    return { ...DEFAULT_VOLUMES, ...JSON.parse(localStorage.getItem(VOLUMES_KEY)) }
+  } catch {
+    return { ...DEFAULT_VOLUMES }
+  }
+}
+
+export function setVolume(category, level) {
+  if (!CATEGORIES.includes(category)) throw new Error(`Unknown sound category: ${category}`)
+  localStorage.setItem(VOLUMES_KEY, JSON.stringify({ ...volumes(), [category]: clamp(level, 0, 100) }))
+  applyVolumes()
+}
+
+// Fetches and decodes a sound ahead of its first play
+export function preload(src) {
+  if (!audioContext()) return Promise.resolve(null)
+
+  if (!buffers.has(src)) {
+    const loading = fetch(src)
+      .then(response => {
+        if (!response.ok) throw new Error(`${response.status} loading ${src}`)
+        return response.arrayBuffer()
+      })
+      .then(data => context.decodeAudioData(data))
+      .catch(error => {
+        // Let a later play retry
+        buffers.delete(src)
+        throw error
+      })
+    buffers.set(src, loading)
+  }
+  return buffers.get(src)
+}
+
+// Plays a sound; volume (0-1) scales the category volume
+export async function play(src, { category = "notifications", volume = 1 } = {}) {
+  if (!src || !isEnabled() || volumes()[category] === 0) return
+  if (!admit(src)) return
+
+  if (!audioContext()) {
+    playWithElement(src, category, volume)
+    return
+  }
+
+  try {
+    const buffer = await preload(src)
+    // Skipped, not queued: a late chime would be confusing
+    if (context.state !== "running") return
+
+    const source = context.createBufferSource()
+    const gain = context.createGain()
+    source.buffer = buffer
+    gain.gain.value = clamp(volume, 0, 1)
+    source.connect(gain).connect(categoryGains[category] || categoryGains.notifications)
+
+    if (category === "alerts") duckWhile(source)
+    source.start()
+  } catch (error) {
+    console.debug("Sound not played:", error.message)
+  }
+}
+
+// Coalescing and burst throttling
+function admit(src) {
+  const now = performance.now()
+  if (now - (lastPlayed.get(src) ?? -Infinity) < COALESCE_WINDOW) return false
+
+  recentStarts = recentStarts.filter(time => now - time < COALESCE_WINDOW)
+  if (recentStarts.length >= BURST_LIMIT) return false
+
+  lastPlayed.set(src, now)
+  recentStarts.push(now)
+  return true
+}
+
+function duckWhile(source) {
+  activeAlerts++
+  rampTo(categoryGains.ui, categoryLevel("ui") * DUCK_LEVEL)
+
+  source.addEventListener("ended", () => {
+    activeAlerts--
+    if (activeAlerts === 0) rampTo(categoryGains.ui, categoryLevel("ui"))
+  })
+}
+
+function applyVolumes() {
+  if (!categoryGains) return
+  CATEGORIES.forEach(category => {
+    const ducked = category === "ui" && activeAlerts > 0
+    rampTo(categoryGains[category], categoryLevel(category) * (ducked ? DUCK_LEVEL : 1))
+  })
+}
+
+function categoryLevel(category) {
+  return clamp(volumes()[category] ?? 100, 0, 100) / 100
+}
+
+function rampTo(gain, level) {
+  gain.gain.cancelScheduledValues(context.currentTime)
+  gain.gain.setTargetAtTime(level, context.currentTime, DUCK_FADE)
+}
+
+function audioContext() {
+  if (context) return context
+
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return null
+
+  context = new AudioContext()
+  categoryGains = Object.fromEntries(CATEGORIES.map(category => {
+    const gain = context.createGain()
+    gain.gain.value = categoryLevel(category)
+    gain.connect(context.destination)
+    return [category, gain]
+  }))
+
+  // The context starts suspended until the player interacts with the page
+  const unlock = () => context.resume()
+  document.addEventListener("pointerdown", unlock, { once: true })
+  document.addEventListener("keydown", unlock, { once: true })
+
+  return context
+}
+
+// Browsers without Web Audio
+function playWithElement(src, category, volume) {
+  const audio = new Audio(src)
+  audio.volume = clamp(volume, 0, 1) * categoryLevel(category)
+  audio.play().catch(error => {
+    console.debug("Audio play blocked:", error.message)
+  })
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, Number(value) || 0))
+}
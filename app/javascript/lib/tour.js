@@ -0,0 +1,130 @@
+// Guided tour steps
+//
+// A tour is a list of step definitions, given as JSON
+// (OnboardingHelper#onboarding_tour):
+//
+//   {
+//     "id": "navigation.first_warp",            stable name, kept in the saved progress
+//     "target": "form[action$='/navigation/warp']",
+//     "frame": "content_panel",                 the target lives in this turbo frame
+//     "path": "/navigation",                    and only counts on this page
+//     "title": "...", "body": "...",
+//     "timeout": 5000,                          how long to wait for the target
+//     "advance": "next"                         Enter or the Next button (the default)
+//              | "click"                        a click on the target
+//              | { "event": "turbo:submit-end", "selector": "form[...]", "success": true }
+//   }
+//
+// The last form completes the step when the event fires on (or inside) an
+// element matching selector, and with success only when its detail says the
+// submission succeeded: a first buy or a first warp rather than a key press.
+//
+// Usage:
+//   import { parseSteps, waitForTarget, placeCallout, completes } from "lib/tour"
+//
+//   const steps = parseSteps(this.tourValue)
+//   const target = await waitForTarget(steps[0], { signal })   // null after the timeout
+//   const { top, left } = placeCallout(target.getBoundingClientRect(), callout.getBoundingClientRect())
+
+export const TARGET_TIMEOUT = 5000
+const CALLOUT_MARGIN = 12
+const ADVANCES = ["next", "click"]
+
+export class TourDefinitionError extends Error {}
+
+export function parseSteps(definitions) {
+  if (!Array.isArray(definitions)) throw new TourDefinitionError("A tour is a list of steps")
+
+  return definitions.map((step, index) => {
+    if (!step?.id) throw new TourDefinitionError(`Tour step ${index + 1} has no id`)
+
+    const advance = step.advance ?? "next"
+    if (!ADVANCES.includes(advance) && !advance.event) {
+      throw new TourDefinitionError(`Tour step ${step.id} has an unknown advance: ${JSON.stringify(advance)}`)
+    }
+    if (advance === "click" && !step.target) {
+      throw new TourDefinitionError(`Tour step ${step.id} advances on a click but has no target`)
+    }
+    return { ...step, advance, timeout: step.timeout ?? TARGET_TIMEOUT }
+  })
+}
+
+// Resolves with the step's target once it is on the page and visible, or
+// null once timeout passes (or the signal aborts). Targets in a frame wait
+// for it to finish loading; mutations and turbo:frame-load both recheck.
+export function waitForTarget(step, { timeout = step.timeout, signal } = {}) {
+  return new Promise(resolve => {
+    if (!step.target) return resolve(null)
+
+    const found = findTarget(step)
+    if (found || signal?.aborted) return resolve(found)
+
+    const check = () => {
+      const element = findTarget(step)
+      if (element) finish(element)
+    }
+    const finish = element => {
+      observer.disconnect()
+      document.removeEventListener("turbo:frame-load", check)
+      document.removeEventListener("turbo:load", check)
+      signal?.removeEventListener("abort", abort)
+      clearTimeout(timer)
+      resolve(element)
+    }
+    const abort = () => finish(null)
+
+    const observer = new MutationObserver(check)
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ["class", "hidden", "open", "busy"] })
+    document.addEventListener("turbo:frame-load", check)
+    document.addEventListener("turbo:load", check)
+    signal?.addEventListener("abort", abort)
+    const timer = Number.isFinite(timeout) ? setTimeout(abort, timeout) : null
+  })
+}
+
+export function findTarget({ target, frame, path }) {
+  if (path && !window.location.pathname.startsWith(path)) return null
+
+  let root = document
+  if (frame) {
+    root = document.getElementById(frame)
+    if (!root || root.hasAttribute("busy")) return null
+  }
+
+  const element = root.querySelector(target)
+  return element && element.getClientRects().length > 0 ? element : null
+}
+
+// Where the callout goes: below the target if there is room, else above,
+// right or left of it; slid along that side to stay inside the viewport
+export function placeCallout(target, callout, viewport = { width: window.innerWidth, height: window.innerHeight }) {
+  const gap = CALLOUT_MARGIN
+  const maxTop = viewport.height - gap - callout.height
+  const maxLeft = viewport.width - gap - callout.width
+  const alongX = clamp(target.left, gap, maxLeft)
+  const alongY = clamp(target.top, gap, maxTop)
+
+  const candidates = [
+    { placement: "bottom", top: target.bottom + gap, left: alongX },
+    { placement: "top", top: target.top - gap - callout.height, left: alongX },
+    { placement: "right", top: alongY, left: target.right + gap },
+    { placement: "left", top: alongY, left: target.left - gap - callout.width }
+  ]
+  const fits = ({ top, left }) => top >= gap && top <= maxTop && left >= gap && left <= maxLeft
+
+  const chosen = candidates.find(fits) || candidates[0]
+  return { placement: chosen.placement, top: clamp(chosen.top, gap, maxTop), left: clamp(chosen.left, gap, maxLeft) }
+}
+
+// Whether an event completes a step that advances on an action
+export function completes(step, event) {
+  const { advance } = step
+  if (advance === "click") return event.type === "click" && Boolean(event.target.closest?.(step.target))
+  if (!advance.event || event.type !== advance.event) return false
+  if (advance.selector && !event.target.closest?.(advance.selector)) return false
+  return !advance.success || event.detail?.success === true
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, Math.max(min, max)))
+}
@@ -0,0 +1,33 @@
+// Shared activation for keyboard-selected elements
+// A selected menu or content item is activated by visiting its link (into the
+// link's Turbo frame when it names one) or, failing that, by clicking it when
+// it is itself a button. Used by keyboard navigation and the command palette
+// so both behave the same way.
+
+export function activateElement(element) {
+  if (!element) return
+
+  const link = element.matches("a") ? element : element.querySelector("a")
+  if (link && link.href) {
+    visitLink(link)
+  } else if (element.matches("button, input[type='submit']")) {
+    element.click()
+  }
+}
+
+export function visitLink(link) {
+  const frameId = link.dataset.turboFrame
+  if (frameId) {
+    Turbo.visit(link.href, {
+      frame: frameId,
+      action: "advance"
+    })
+  } else {
+    Turbo.visit(link.href, { action: "advance" })
+  }
+}
+
+// Visits a path in the content panel, as the menu links do
+export function visitPath(path, frame = "content_panel") {
+  Turbo.visit(path, { frame, action: "advance" })
+}
@@ -236,11 +236,13 @@ class PirateEncounterJob < ApplicationJob
 
     Message.create!(
       user: ship.user,
+      asset: ship,
       title: title,
       body: body,
       from: "Security Alert",
       category: "combat",
-      urgent: outcome == :devastated
+      urgent: outcome == :devastated,
+      actions: result[:damage_taken].positive? ? [Message.action(:repair_ship, ship_id: ship.id, label: "Repair #{ship.name}")] : []
     )
   end
 
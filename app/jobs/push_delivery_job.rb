@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+# Delivers one Web Push payload to one subscription.
+# Queued by PushNotificationService so slow push services never block the
+# request or job that raised the event.
+class PushDeliveryJob < ApplicationJob
+  queue_as :default
+
+  # Subscription may be gone by the time the job runs (user opted out)
+  discard_on ActiveJob::DeserializationError
+
+  def perform(subscription, payload)
+    PushNotificationService.sender.deliver(subscription, payload.deep_symbolize_keys)
+  end
+end
@@ -103,7 +103,8 @@ class SystemOwnershipCheckJob < ApplicationJob
       title: "Seizure Warning: #{system.name}",
       body: seizure_warning_body(system, days_before),
       category: "seizure_warning",
-      urgent: days_before <= 1
+      urgent: days_before <= 1,
+      actions: [Message.action(:warp_to_system, system_id: system.id, label: "Warp to #{system.name}")]
     )
 
     Rails.logger.info "[SystemOwnershipCheck] Sent #{days_before}-day warning for #{system.name}"
@@ -120,7 +121,9 @@ class SystemOwnershipCheckJob < ApplicationJob
   end
 
   def create_auction_for_system(system)
-    SystemAuction.create_for_inactive_system!(system)
+    auction = SystemAuction.create_for_inactive_system!(system)
+    actions = [Message.action(:warp_to_system, system_id: system.id, label: "Warp to #{system.name}")]
+    actions.unshift(Message.action(:view_auction, auction_id: auction.id)) if auction
 
     Message.create!(
       user: system.owner,
@@ -130,7 +133,8 @@ class SystemOwnershipCheckJob < ApplicationJob
             "The auction will run for #{SystemAuction::DURATION_HOURS} hours. " \
             "Visit the system to cancel the auction and reclaim ownership.",
       category: "auction",
-      urgent: true
+      urgent: true,
+      actions: actions
     )
   rescue => e
     Rails.logger.error "[SystemOwnershipCheck] Error creating auction for #{system.name}: #{e.message}"
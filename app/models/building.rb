@@ -15,6 +15,7 @@ class Building < ApplicationRecord
   has_many :hirings, as: :assignable, dependent: :destroy
   has_many :staff, through: :hirings, source: :hired_recruit
   has_many :incidents, as: :asset, dependent: :destroy
+  has_many :messages, as: :asset, dependent: :nullify
 
   # Constants
   RACES = %w[vex solari krog myrmidon].freeze
@@ -303,6 +304,7 @@ class Building < ApplicationRecord
   # Callbacks
   before_validation :generate_short_id, on: :create
   before_validation :generate_building_attributes, on: :create
+  after_commit :broadcast_eta_tray, if: :saved_change_to_construction_ends_at?
 
   # Scopes
   scope :active, -> { where(status: 'active') }
@@ -436,6 +438,7 @@ class Building < ApplicationRecord
 
     # Broadcast completion to user's buildings stream
     broadcast_construction_complete
+    PushNotificationService.notify(user, :construction_complete, building: self) if user
   end
 
   # Returns the Turbo Stream target for this user's buildings stream
@@ -456,6 +459,19 @@ class Building < ApplicationRecord
     )
   end
 
+  # Refreshes the layout's ETA tray on the user's buildings stream when
+  # construction starts or ends
+  def broadcast_eta_tray
+    return unless defined?(ActionCable) && user
+
+    broadcast_replace_later_to(
+      broadcast_construction_complete_target,
+      target: "eta_tray_items",
+      partial: "shared/eta_tray_items",
+      locals: { user: user }
+    )
+  end
+
   # ===========================================
   # Building Upgrades
   # ===========================================
@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+# Player chat, one row per message in a channel
+# Delivered live to everyone viewing the channel over the chat_<channel>
+# Turbo Stream (see chat_controller.js). Emotes (/me) are shown as an action
+# by the author; game references in the body are [[type:id]] tokens that
+# ChatHelper#chat_message_body turns into links.
+class ChatMessage < ApplicationRecord
+  include Turbo::Broadcastable
+
+  CHANNELS = %w[Global Trade Guild].freeze
+  MAX_LENGTH = 500
+  PAGE_SIZE = 50
+  # [[ship:<short_id>]] tokens (see ChatHelper::REFERENCE)
+  SHIP_REFERENCE = /\[\[ship:([^\]@]+)\]\]/
+
+  # Associations
+  belongs_to :user
+
+  # Validations
+  validates :channel, inclusion: { in: CHANNELS }
+  validates :body, presence: true, length: { maximum: MAX_LENGTH }
+  validate :ship_references_are_own_ships, on: :create
+
+  # Scopes
+  scope :in_channel, ->(channel) { where(channel: channel) }
+  scope :before, ->(id) { where("chat_messages.id < ?", id) }
+
+  # Callbacks
+  before_validation { self.body = body&.strip }
+  after_create_commit :broadcast_to_channel
+
+  # The newest PAGE_SIZE messages older than before_id (or the newest overall),
+  # oldest first
+  # @return [Array<ChatMessage>]
+  def self.page(channel, before_id: nil)
+    scope = in_channel(channel).includes(:user).order(id: :desc).limit(PAGE_SIZE)
+    scope = scope.before(before_id) if before_id
+    scope.to_a.reverse
+  end
+
+  # Returns the Turbo Stream name for a channel
+  def self.stream_name(channel)
+    "chat_#{channel.downcase}"
+  end
+
+  # Returns the DOM id of a channel's message list
+  def self.list_target(channel)
+    "chat_messages_#{channel.downcase}"
+  end
+
+  # Broadcasts the new message to everyone viewing the channel
+  # Gracefully handles missing ActionCable in test environment
+  def broadcast_to_channel
+    return unless defined?(ActionCable)
+
+    broadcast_append_later_to(
+      self.class.stream_name(channel),
+      target: self.class.list_target(channel),
+      partial: "chat/message",
+      locals: { message: self }
+    )
+  end
+
+  private
+
+  # Ship short ids are easy to guess, so a message may only name the
+  # author's own ships (the /loc card names their current one)
+  def ship_references_are_own_ships
+    ids = body.to_s.scan(SHIP_REFERENCE).flatten.uniq
+    return if ids.empty? || user.nil?
+
+    unless user.ships.where(short_id: ids).count == ids.size
+      errors.add(:body, "can only mention your own ships")
+    end
+  end
+end
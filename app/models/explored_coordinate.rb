@@ -7,6 +7,10 @@ class ExploredCoordinate < ApplicationRecord
   # Scopes
   scope :with_systems, -> { where(has_system: true) }
   scope :empty, -> { where(has_system: false) }
+  # Coordinates inside the cube of the given radius around a point
+  scope :within, ->(x:, y:, z:, radius:) {
+    where(x: (x - radius)..(x + radius), y: (y - radius)..(y + radius), z: (z - radius)..(z + radius))
+  }
 
   # Check if a coordinate has been explored by a user
   # @param user [User] The user to check
@@ -31,6 +31,8 @@ class Incident < ApplicationRecord
   before_create :generate_uuid
   after_create :record_in_employment_history
   after_create :disable_asset_if_pip_infestation
+  after_create_commit :push_to_owner
+  after_create_commit :announce_to_owner
 
   # Scopes
   scope :resolved, -> { where.not(resolved_at: nil) }
@@ -105,12 +107,13 @@ class Incident < ApplicationRecord
       new_severity = [severity + 1, 5].min
 
       transaction do
-        Incident.create!(
+        escalated = Incident.create!(
           asset: asset,
           severity: new_severity,
           description: failure_message
         )
-        send_resolution_message!(failure_message, title: "Resolution Failed", urgent: true)
+        send_resolution_message!(failure_message, title: "Resolution Failed", urgent: true,
+          actions: [Message.action(:resolve_incident, incident_id: escalated.id)])
       end
     end
   end
@@ -130,13 +133,25 @@ class Incident < ApplicationRecord
 
   private
 
-  def send_resolution_message!(body, title: "Incident Update", urgent: false)
+  def push_to_owner
+    owner = asset.try(:user)
+    PushNotificationService.notify(owner, :incident_raised, incident: self) if owner
+  end
+
+  def announce_to_owner
+    owner = asset.try(:user)
+    owner&.announce("Incident on #{asset.name}: #{severity_tier_name.humanize.downcase}", urgent: severity >= 4)
+  end
+
+  def send_resolution_message!(body, title: "Incident Update", urgent: false, actions: [])
     asset.user.messages.create!(
+      asset: asset,
       title: title,
       body: body,
       from: "Incident Management",
       category: "incident",
-      urgent: urgent
+      urgent: urgent,
+      actions: actions
     )
   end
 
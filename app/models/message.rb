@@ -5,14 +5,34 @@
 class Message < ApplicationRecord
   include Turbo::Broadcastable
 
+  # Actions a message can offer, as numbered buttons in the inbox
+  # A descriptor names its kind and the record it acts on, e.g.
+  # { "kind" => "repair_ship", "ship_id" => 12 }, optionally with a "label".
+  # Commands are performed by InboxActionService; risky ones (spending
+  # credits, fuel or the assistant's cooldown) ask to confirm first.
+  # Navigation actions open the path helper they name.
+  ACTIONS = {
+    "repair_ship" => { label: "Repair ship", record: "ship_id", risky: true },
+    "resolve_incident" => { label: "Resolve with assistant", record: "incident_id", risky: true },
+    "warp_to_system" => { label: "Warp to system", record: "system_id", risky: true },
+    "view_auction" => { label: "View auction", record: "auction_id", navigate: :auction_path }
+  }.freeze
+
+  MAX_ACTIONS = 9 # one per digit key
+
+  # Categories whose sound plays on the alerts volume, like urgent messages
+  ALERT_CATEGORIES = %w[incident combat seizure_warning].freeze
+
   # Associations
   belongs_to :user
+  belongs_to :asset, polymorphic: true, optional: true # the ship or building it is about
 
   # Validations
   validates :title, presence: true
   validates :body, presence: true
   validates :from, presence: true
   validates :uuid, uniqueness: true, allow_nil: true
+  validate :actions_are_descriptors
 
   # Scopes
   scope :unread, -> { where(read_at: nil) }
@@ -25,9 +45,19 @@ class Message < ApplicationRecord
   before_create :generate_uuid
   after_create_commit :broadcast_unread_badge
   after_create_commit :broadcast_notification_sound
+  after_create_commit :broadcast_to_inbox
   after_destroy_commit :broadcast_unread_badge
   after_update_commit :broadcast_unread_badge, if: :saved_change_to_read_at?
 
+  # Builds an action descriptor for Message.create!(actions: [...])
+  # @example Message.action(:warp_to_system, system_id: system.id, label: "Warp to #{system.name}")
+  def self.action(kind, label: nil, **record)
+    kind = kind.to_s
+    raise ArgumentError, "Unknown message action: #{kind}" unless ACTIONS.key?(kind)
+
+    { "kind" => kind, "label" => label }.merge(record.transform_keys(&:to_s)).compact
+  end
+
   # Instance methods
 
   def read?
@@ -46,6 +76,11 @@ class Message < ApplicationRecord
     urgent == true
   end
 
+  # Volume category for the message's sound (User::SOUND_CATEGORIES)
+  def sound_category
+    urgent? || ALERT_CATEGORIES.include?(category) ? "alerts" : "notifications"
+  end
+
   # Returns the Turbo Stream target for this user's unread badge
   def broadcast_unread_badge_target
     "inbox_unread_badge_user_#{user_id}"
@@ -64,6 +99,26 @@ class Message < ApplicationRecord
     )
   end
 
+  # Returns the Turbo Stream the inbox list listens on
+  # The layout subscribes to it, so #inbox_messages only exists (and the
+  # prepend only lands) while the inbox is open
+  def broadcast_inbox_target
+    "user_#{user_id}_notifications"
+  end
+
+  # Prepends the new message to the inbox list, for players who have it open
+  # Gracefully handles missing ActionCable in test environment
+  def broadcast_to_inbox
+    return unless defined?(ActionCable)
+
+    broadcast_prepend_later_to(
+      broadcast_inbox_target,
+      target: "inbox_messages",
+      partial: "inbox/message",
+      locals: { message: self }
+    )
+  end
+
   # Broadcasts a notification sound to the user's #sounds container
   # The sound partial respects user's sound_enabled preference
   def broadcast_notification_sound
@@ -72,12 +127,27 @@ class Message < ApplicationRecord
     broadcast_append_later_to(
       "user_#{user_id}_notifications",
       target: "sounds",
-      partial: "shared/notification_sound"
+      partial: "shared/notification_sound",
+      locals: { category: sound_category }
     )
   end
 
   private
 
+  def actions_are_descriptors
+    unless actions.is_a?(Array) && actions.size <= MAX_ACTIONS
+      errors.add(:actions, "must be a list of at most #{MAX_ACTIONS} actions")
+      return
+    end
+
+    actions.each do |action|
+      definition = action.is_a?(Hash) && ACTIONS[action["kind"]]
+      unless definition && action[definition[:record]].present?
+        errors.add(:actions, "contains an unknown action: #{action.inspect}")
+      end
+    end
+  end
+
   def generate_uuid
     self.uuid ||= SecureRandom.uuid
   end
@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+# A browser's Web Push subscription (one per device/browser the player opted in on).
+# Keys come straight from PushSubscription#toJSON on the client.
+class PushSubscription < ApplicationRecord
+  # Hosts of the browsers' push services (Chrome, Firefox, Safari, Edge) and
+  # their subdomains. WebPushSender POSTs to the endpoint on every event, so
+  # any other URL is refused rather than fetched.
+  PUSH_SERVICE_HOSTS = %w[
+    fcm.googleapis.com
+    push.services.mozilla.com
+    push.apple.com
+    notify.windows.com
+  ].freeze
+
+  belongs_to :user
+
+  validates :endpoint, presence: true, uniqueness: true
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+  validate :endpoint_is_a_push_service, if: -> { endpoint.present? }
+
+  # @param endpoint [String]
+  # @return [Boolean] true for an https URL on a known push service host
+  def self.push_service_endpoint?(endpoint)
+    uri = URI.parse(endpoint.to_s)
+    return false unless uri.is_a?(URI::HTTPS) && uri.host.present? && uri.userinfo.nil? && uri.port == 443
+
+    host = uri.host.downcase
+    PUSH_SERVICE_HOSTS.any? { |service| host == service || host.end_with?(".#{service}") }
+  rescue URI::InvalidURIError
+    false
+  end
+
+  private
+
+  def endpoint_is_a_push_service
+    errors.add(:endpoint, "is not a browser push service") unless self.class.push_service_endpoint?(endpoint)
+  end
+end
@@ -26,7 +26,7 @@ class Route < ApplicationRecord
 
     if stops.any? && stops.is_a?(Array)
       # First letter of each stop
-      letters = stops.map { |stop| stop["name"]&.first&.downcase }.compact.join
+      letters = stops.map { |stop| (stop["name"] || stop["system"])&.first&.downcase }.compact.join
       base = "rt-#{letters}"
     else
       base = "rt-#{SecureRandom.hex(3)}"
@@ -132,6 +132,18 @@ class Route < ApplicationRecord
     new_stop
   end
 
+  # Replace the stops with one per system, in the order given; how routes#create
+  # takes the warp route planner's waypoints
+  # @param ids [Array<Integer, String>] system IDs
+  def stop_ids=(ids)
+    systems = System.where(id: ids).index_by(&:id)
+    self.stops = []
+    Array(ids).each do |id|
+      system = systems[id.to_i]
+      add_stop(system_id: system.id, system: system.name) if system
+    end
+  end
+
   # Remove a stop at the given index
   # @param stop_index [Integer] index of the stop to remove
   # @return [Hash, nil] the removed stop or nil
@@ -144,7 +156,7 @@ class Route < ApplicationRecord
   # @param from [Integer] original index
   # @param to [Integer] target index
   def reorder_stop(from:, to:)
-    return unless stops.is_a?(Array) && stops[from]
+    return unless stops.is_a?(Array) && stops[from] && to.between?(0, stops.size - 1)
     stop = stops.delete_at(from)
     stops.insert(to, stop)
   end
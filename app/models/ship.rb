@@ -421,6 +421,7 @@ class Ship < ApplicationRecord
   has_many :crew, through: :hirings, source: :hired_recruit
   has_many :flight_records, dependent: :destroy
   has_many :incidents, as: :asset, dependent: :destroy
+  has_many :messages, as: :asset, dependent: :nullify
 
   # Constants
   RACES = %w[vex solari krog myrmidon grelmak mechari].freeze
@@ -444,6 +445,8 @@ class Ship < ApplicationRecord
   # Callbacks
   before_validation :generate_short_id, on: :create
   before_validation :generate_ship_attributes, on: :create
+  after_commit :broadcast_eta_tray, if: :saved_change_to_arrival_at?
+  after_commit :broadcast_sector_map, if: -> { saved_change_to_status? || saved_change_to_arrival_at? }
 
   # URL parameter uses short_id instead of id
   def to_param
@@ -604,6 +607,7 @@ class Ship < ApplicationRecord
       self.travel_intent = nil
       self.arrival_at = nil
       save!
+      PushNotificationService.notify(user, :ship_arrived, ship: self, system: nil)
       return
     end
 
@@ -635,6 +639,7 @@ class Ship < ApplicationRecord
 
     # Broadcast arrival to user's ships stream
     broadcast_arrival
+    PushNotificationService.notify(user, :ship_arrived, ship: self, system: arrived_at_system)
 
     # Grelmak chaos factor
     chaos_check!
@@ -707,6 +712,7 @@ class Ship < ApplicationRecord
   def create_chaos_message(title, body)
     Message.create!(
       user: user,
+      asset: self,
       title: title,
       body: body,
       from: "Chaos Report",
@@ -719,6 +725,7 @@ class Ship < ApplicationRecord
   def send_arrival_notification(system)
     Message.create!(
       user: user,
+      asset: self,
       title: "Arrival at #{system.name}",
       body: "Your ship #{name} has arrived at #{system.name}.\n\n#{FlavorText.for(:docking)}",
       from: "Navigation System",
@@ -732,6 +739,7 @@ class Ship < ApplicationRecord
 
     Message.create!(
       user: user,
+      asset: self,
       title: "🌟 New System Discovered: #{system.name}",
       body: "Congratulations, explorer! You are the first to visit #{system.name}.\n\n" \
             "Star Type: #{star_type}\n" \
@@ -759,6 +767,33 @@ class Ship < ApplicationRecord
       partial: "ships/ship",
       locals: { ship: self }
     )
+    user&.announce("Ship #{name} arrived at #{current_system&.name || 'its destination'}")
+  end
+
+  # Refreshes the layout's ETA tray on the user's ships stream when a
+  # journey starts or ends
+  def broadcast_eta_tray
+    return unless defined?(ActionCable) && user
+
+    broadcast_replace_later_to(
+      broadcast_arrival_target,
+      target: "eta_tray_items",
+      partial: "shared/eta_tray_items",
+      locals: { user: user }
+    )
+  end
+
+  # Redraws the navigation sector map's ships in transit on the user's ships
+  # stream when a journey starts or ends
+  def broadcast_sector_map
+    return unless defined?(ActionCable) && user
+
+    broadcast_replace_later_to(
+      broadcast_arrival_target,
+      target: "sector_map_ships",
+      partial: "navigation/sector_map_ships",
+      locals: { user: user }
+    )
   end
 
   # Warp travel (instant via warp gates)
@@ -100,10 +100,13 @@ class SystemAuction < ApplicationRecord
     # Check user has enough credits
     raise "Insufficient credits" if user.credits < amount
 
-    transaction do
+    outbid_user = nil
+
+    bid = transaction do
       # Refund previous highest bid (they're being outbid)
       previous_highest = highest_bid
       if previous_highest && previous_highest.user != user
+        outbid_user = previous_highest.user
         previous_highest.refund!
         previous_highest.destroy!
       end
@@ -128,6 +131,9 @@ class SystemAuction < ApplicationRecord
         placed_at: Time.current
       )
     end
+
+    PushNotificationService.notify(outbid_user, :outbid, auction: self, amount: amount) if outbid_user
+    bid
   end
 
   # Get the current highest bid
@@ -211,7 +217,11 @@ class SystemAuction < ApplicationRecord
             "The system is now under your ownership. Your winning bid of #{highest_bid.amount} credits " \
             "has been processed.",
       category: "auction",
-      urgent: true
+      urgent: true,
+      actions: [
+        Message.action(:warp_to_system, system_id: system.id, label: "Warp to #{system.name}"),
+        Message.action(:view_auction, auction_id: id)
+      ]
     )
   end
 
@@ -225,7 +235,8 @@ class SystemAuction < ApplicationRecord
               "The winning bid was #{winning_bid.amount} credits. " \
               "Visit your systems regularly to prevent future seizures.",
         category: "auction",
-        urgent: true
+        urgent: true,
+        actions: [Message.action(:view_auction, auction_id: id)]
       )
     else
       Message.create!(
@@ -236,7 +247,8 @@ class SystemAuction < ApplicationRecord
               "No bids were placed, so the system is now unclaimed. " \
               "Visit your systems regularly to prevent future seizures.",
         category: "auction",
-        urgent: true
+        urgent: true,
+        actions: [Message.action(:view_auction, auction_id: id)]
       )
     end
   end
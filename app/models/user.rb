@@ -37,6 +37,8 @@ class User < ApplicationRecord
   has_many :explored_coordinates, dependent: :destroy
   has_many :bookmarks, dependent: :destroy
   has_many :mineral_discoveries, dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
+  has_many :chat_messages, dependent: :destroy
 
   # Validations
   validates :email, presence: true, uniqueness: true, format: { with: URI::MailTo::EMAIL_REGEXP }
@@ -44,6 +46,22 @@ class User < ApplicationRecord
   validates :short_id, presence: true, uniqueness: true
   validates :level_tier, presence: true, numericality: { greater_than_or_equal_to: 1 }
   validates :credits, presence: true, numericality: { greater_than_or_equal_to: 0 }
+  validate :keymap_is_binding_map
+  validate :sound_volumes_are_levels
+  validate :inbox_views_are_filters
+  validates :announcer_verbosity, inclusion: { in: %w[all important off] }
+
+  # Filters a saved inbox view can hold (inbox_list_controller.js)
+  INBOX_VIEW_FILTERS = %w[query status category asset].freeze
+
+  # Sound categories in lib/sound_manager.js and their default volume (0-100)
+  SOUND_VOLUME_DEFAULTS = { "notifications" => 100, "ui" => 60, "alerts" => 100, "ambient" => 40 }.freeze
+  SOUND_CATEGORIES = SOUND_VOLUME_DEFAULTS.keys.freeze
+
+  # Volume sliders submit strings
+  normalizes :sound_volumes, with: ->(levels) {
+    levels.is_a?(Hash) ? levels.transform_values { |level| Integer(level, exception: false) || level } : levels
+  }
 
   # Tutorial Phase Enum
   # Phase 1: cradle - Learn basics at (0,0,0)
@@ -356,8 +374,99 @@ class User < ApplicationRecord
     end
   end
 
+  # Speaks a short summary through the layout's screen-reader announcer
+  # (announcer_controller.js), via the user's notifications stream
+  def announce(text, urgent: false)
+    return unless defined?(ActionCable)
+    return if announcer_verbosity == "off" || (announcer_verbosity == "important" && !urgent)
+
+    Turbo::StreamsChannel.broadcast_append_later_to(
+      "user_#{id}_notifications",
+      target: "announcements",
+      partial: "shared/announcement",
+      locals: { text: text, urgent: urgent }
+    )
+  end
+
+  # Moves the header credits tickers (shared/_credits) to the current
+  # balance with a ledger reason, for changes the player didn't make
+  # themselves in this request (taxes from their systems, grants)
+  def broadcast_credits(reason:, category:)
+    return unless defined?(ActionCable)
+
+    Turbo::StreamsChannel.broadcast_replace_later_to(
+      "user_#{id}_notifications",
+      target: "user_credits",
+      partial: "shared/credits",
+      locals: { user: self, reason: reason, category: category }
+    )
+  end
+
+  # Id of the newest chat message this user has seen in a channel
+  def chat_read_id(channel)
+    chat_read_ids[channel].to_i
+  end
+
+  # Never moves backwards, so an older tab can't resurrect read messages
+  def mark_chat_read!(channel, message_id)
+    return if message_id.to_i <= chat_read_id(channel)
+
+    update!(chat_read_ids: chat_read_ids.merge(channel => message_id.to_i))
+  end
+
+  # Messages from other players since the last visit, per channel
+  # @return [Hash] { "Global" => 3, ... }
+  def chat_unread_counts
+    ChatMessage::CHANNELS.index_with do |channel|
+      ChatMessage.in_channel(channel).where.not(user_id: id).where("id > ?", chat_read_id(channel)).count
+    end
+  end
+
+  # Delivers a chat whisper (/w) to another player's inbox
+  # @return [Message]
+  def whisper!(recipient, body)
+    Message.create!(
+      user: recipient,
+      title: "Whisper from #{name}",
+      body: body,
+      from: name,
+      category: "whisper"
+    )
+  end
+
+  # Volume per sound category, defaults filled in
+  def effective_sound_volumes
+    SOUND_VOLUME_DEFAULTS.merge(sound_volumes)
+  end
+
   private
 
+  # Keyboard remappings from lib/keymap.js: { "binding.id" => "key" }
+  def keymap_is_binding_map
+    valid = keymap.is_a?(Hash) &&
+      keymap.size <= 100 &&
+      keymap.all? { |id, key| id.is_a?(String) && key.is_a?(String) && key.length <= 20 }
+    errors.add(:keymap, "must map binding ids to keys") unless valid
+  end
+
+  def sound_volumes_are_levels
+    valid = sound_volumes.is_a?(Hash) &&
+      sound_volumes.all? { |category, level| SOUND_CATEGORIES.include?(category) && level.is_a?(Integer) && level.between?(0, 100) }
+    errors.add(:sound_volumes, "must give each sound category a volume from 0 to 100") unless valid
+  end
+
+  # Saved inbox views: { "View name" => { "status" => "unread", ... } }
+  def inbox_views_are_filters
+    valid = inbox_views.is_a?(Hash) &&
+      inbox_views.size <= 20 &&
+      inbox_views.all? { |name, filters|
+        name.is_a?(String) && name.length.between?(1, 40) &&
+          filters.is_a?(Hash) &&
+          filters.all? { |filter, value| INBOX_VIEW_FILTERS.include?(filter) && value.is_a?(String) && value.length <= 100 }
+      }
+    errors.add(:inbox_views, "must name up to 20 sets of inbox filters") unless valid
+  end
+
   # Validate that emigration can proceed
   # @param hub [PlayerHub] The destination hub
   # @raise [NotReadyForEmigrationError, AlreadyEmigratedError, InvalidHubError]
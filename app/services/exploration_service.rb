@@ -8,6 +8,13 @@ class ExplorationService
   COORD_MAX = 9
   VALID_COORDS = (COORD_MIN..COORD_MAX).to_a.freeze
 
+  # Reach of the exploration radar around the ship
+  RADAR_RADIUS = 6
+  # An unexplored coordinate with at least this many explored neighbours
+  # (of six) is a gap left behind in covered space
+  GAP_NEIGHBOURS = 4
+  NEIGHBOUR_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].freeze
+
   # Direction mappings for filtering candidates
   DIRECTIONS = {
     spinward: { axis: :x, positive: true },
@@ -123,6 +130,45 @@ class ExplorationService
     end
   end
 
+  # Coverage around the ship for the exploration radar, with where each
+  # mode would go next so it can be previewed before it's submitted
+  # @param directions [Hash] labels for single_direction moves => direction symbols
+  # @param radius [Integer] half the width of the cube to report
+  # @return [Hash] { center:, radius:, bounds:, explored: [[x, y, z, has_system]], gaps: [[x, y, z]], previews: }
+  def radar(directions: {}, radius: RADAR_RADIUS)
+    cx, cy, cz = current_coords
+
+    {
+      center: [cx, cy, cz],
+      radius: radius,
+      bounds: [COORD_MIN, COORD_MAX],
+      explored: explored_within(cx, cy, cz, radius),
+      gaps: gaps_within(cx, cy, cz, radius),
+      previews: {
+        growing_arcs: preview(closest_unexplored),
+        orbit: preview(closest_unexplored_orbital),
+        single_direction: directions.transform_values { |direction| preview(closest_unexplored(direction: direction)) }
+      }
+    }
+  end
+
+  # Where a move to target would take the ship and what it would cost
+  # @param target [Hash, nil] {x:, y:, z:} as returned by the closest_unexplored methods
+  # @return [Hash, nil] { target:, distance:, fuel_cost:, affordable: }
+  def preview(target)
+    return nil unless target
+
+    x, y, z = target.values_at(:x, :y, :z)
+    cx, cy, cz = current_coords
+    fuel_cost = @ship.fuel_required_for_coordinates(x, y, z)
+    {
+      target: [x, y, z],
+      distance: Math.sqrt((x - cx)**2 + (y - cy)**2 + (z - cz)**2).round(1),
+      fuel_cost: fuel_cost.round(1),
+      affordable: @ship.fuel >= fuel_cost
+    }
+  end
+
   private
 
   def current_coords
@@ -160,6 +206,41 @@ class ExplorationService
     end
   end
 
+  # Explored coordinates in the cube around a point; visited systems that
+  # were never marked explored count, as they do for the searches
+  def explored_within(cx, cy, cz, radius)
+    explored = @user.explored_coordinates.within(x: cx, y: cy, z: cz, radius: radius)
+      .pluck(:x, :y, :z, :has_system)
+    marked = explored.to_set { |x, y, z, _| [x, y, z] }
+
+    visited = explored_coordinates_set.filter_map do |coords|
+      next if marked.include?(coords)
+      next unless coords.zip([cx, cy, cz]).all? { |value, center| (value - center).abs <= radius }
+
+      [*coords, true]
+    end
+
+    explored + visited
+  end
+
+  def gaps_within(cx, cy, cz, radius)
+    explored = explored_coordinates_set
+    gaps = []
+
+    ([cx - radius, COORD_MIN].max..[cx + radius, COORD_MAX].min).each do |x|
+      ([cy - radius, COORD_MIN].max..[cy + radius, COORD_MAX].min).each do |y|
+        ([cz - radius, COORD_MIN].max..[cz + radius, COORD_MAX].min).each do |z|
+          next if explored.include?([x, y, z])
+
+          neighbours = NEIGHBOUR_OFFSETS.count { |dx, dy, dz| explored.include?([x + dx, y + dy, z + dz]) }
+          gaps << [x, y, z] if neighbours >= GAP_NEIGHBOURS
+        end
+      end
+    end
+
+    gaps
+  end
+
   def find_unexplored_at_orbital_distance(distance, current_pos, explored)
     tolerance = 0.5
     best = nil
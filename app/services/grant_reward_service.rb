@@ -37,6 +37,7 @@ class GrantRewardService
   def award_credits!
     grant_amount = GrantCalculator.calculate
     user.increment!(:credits, grant_amount)
+    user.broadcast_credits(reason: "The Grant", category: "reward")
     grant_amount
   end
 
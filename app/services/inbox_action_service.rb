@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+# Performs the command actions inbox messages carry (Message::ACTIONS)
+# The outcome is kept on the message as its action_status, so the inbox
+# shows what was done; failures leave the message as it was.
+class InboxActionService
+  attr_reader :message, :user
+
+  def initialize(message)
+    @message = message
+    @user = message.user
+  end
+
+  # Perform the message's action at index
+  # @param index [Integer] position in message.actions
+  # @return [Hash] Result with :success and :status, or :error
+  def perform!(index)
+    action = message.actions[index] if index >= 0
+    definition = Message::ACTIONS[action&.dig("kind")]
+    return failure("This message has no such action") unless definition
+    return failure("#{definition[:label]} opens its own page") if definition[:navigate]
+
+    result = send(action["kind"], action[definition[:record]])
+    message.update!(action_status: result[:status]) if result[:success]
+    result
+  end
+
+  private
+
+  def repair_ship(ship_id)
+    ship = user.ships.find_by(id: ship_id)
+    return failure("That ship is no longer in your fleet") unless ship
+
+    cost = ship.repair_cost
+    result = ship.repair!(user)
+    return failure(result.error) unless result.success?
+
+    success("Repaired #{ship.name} for #{cost.to_i} credits")
+  end
+
+  def resolve_incident(incident_id)
+    incident = Incident.find_by(id: incident_id)
+    return failure("That incident no longer exists") unless incident && incident.asset.try(:user) == user
+    return success("Incident already resolved") if incident.resolved?
+
+    assistant = user.assistant
+    return failure("You have no assistant") unless assistant
+    return failure("Your assistant is on cooldown") if assistant.on_cooldown?
+
+    incident.resolve_with_assistant!(assistant)
+    success("#{assistant.name} resolved the incident on #{incident.asset.name}")
+  end
+
+  # Warps the first docked ship with a warp lane to the system and the fuel for it
+  def warp_to_system(system_id)
+    system = System.find_by(id: system_id)
+    return failure("That system is no longer charted") unless system
+
+    ships = user.ships.operational.docked.includes(:current_system).to_a
+    return success("Already docked at #{system.name}") if ships.any? { |ship| ship.current_system_id == system.id }
+
+    ship = ships.find { |candidate| candidate.current_system && candidate.can_warp_to?(system) }
+    return failure("No docked ship can warp to #{system.name}") unless ship
+
+    result = ship.warp_to!(system)
+    return failure(result.error) unless result.success?
+
+    success("#{ship.name} warped to #{system.name}")
+  end
+
+  def success(status)
+    { success: true, status: status }
+  end
+
+  def failure(error)
+    { success: false, error: error }
+  end
+end
@@ -0,0 +1,109 @@
+# frozen_string_literal: true
+
+# Builds Web Push payloads for game events and queues delivery to every
+# browser a player has subscribed from.
+#
+# Each payload is { title:, options: } as handed to showNotification by the
+# service worker (app/views/pwa/service-worker.js). options.tag collapses
+# repeats — a second arrival of the same ship replaces the first notification
+# instead of stacking — and options.data.path is the screen opened on click.
+#
+# Usage:
+#   PushNotificationService.notify(user, :ship_arrived, ship: ship, system: system)
+#
+# Delivery goes through PushNotificationService.sender (WebPushSender by
+# default) so tests can swap in a local stand-in.
+class PushNotificationService
+  include Rails.application.routes.url_helpers
+
+  CATEGORIES = %i[ship_arrived construction_complete incident_raised outbid recruit_expiring].freeze
+
+  class << self
+    attr_writer :sender
+
+    def sender
+      @sender ||= WebPushSender.new
+    end
+
+    def notify(user, category, **context)
+      new(user).notify(category, **context)
+    end
+  end
+
+  def initialize(user)
+    @user = user
+  end
+
+  # Queues one PushDeliveryJob per subscription
+  # @return [Integer] number of deliveries queued
+  def notify(category, **context)
+    raise ArgumentError, "Unknown push category: #{category}" unless CATEGORIES.include?(category)
+
+    subscriptions = @user.push_subscriptions.to_a
+    return 0 if subscriptions.empty?
+
+    payload = payload_for(category, **context)
+    subscriptions.each { |subscription| PushDeliveryJob.perform_later(subscription, payload) }
+    subscriptions.size
+  end
+
+  # @return [Hash] { title:, options: { body:, tag:, renotify:, requireInteraction:, icon:, data: { path:, category: } } }
+  def payload_for(category, **context)
+    case category
+    when :ship_arrived
+      ship, system = context.values_at(:ship, :system)
+      build(category,
+        title: "#{ship.name} arrived",
+        body: system ? "Docked at #{system.name}." : "Arrived at (#{ship.location_x}, #{ship.location_y}, #{ship.location_z}).",
+        tag: "ship-arrived-#{ship.short_id}",
+        path: ship_path(ship))
+    when :construction_complete
+      building = context[:building]
+      build(category,
+        title: "Construction complete",
+        body: "#{building.name} is now operational.",
+        tag: "construction-#{building.short_id}",
+        path: building_path(building))
+    when :incident_raised
+      incident = context[:incident]
+      asset = incident.asset
+      build(category,
+        title: "Incident: #{asset.name}",
+        body: incident.description,
+        tag: "incident-#{incident.asset_type.underscore}-#{asset.id}",
+        path: asset.is_a?(Ship) ? ship_path(asset) : building_path(asset),
+        urgent: incident.severity >= 4)
+    when :outbid
+      auction, amount = context.values_at(:auction, :amount)
+      build(category,
+        title: "Outbid on #{auction.system.name}",
+        body: "A rival bid #{amount.to_i} credits. Your escrow has been refunded.",
+        tag: "outbid-#{auction.id}",
+        path: auction_path(auction),
+        urgent: true)
+    when :recruit_expiring
+      recruit = context[:recruit]
+      build(category,
+        title: "Recruit leaving soon",
+        body: "#{recruit.display_name} leaves the recruiter at #{recruit.expires_at.strftime('%H:%M')}.",
+        tag: "recruit-#{recruit.id}",
+        path: recruiter_path(recruit))
+    end
+  end
+
+  private
+
+  def build(category, title:, body:, tag:, path:, urgent: false)
+    {
+      title: title,
+      options: {
+        body: body,
+        tag: tag,
+        renotify: true,
+        requireInteraction: urgent,
+        icon: "/icon.png",
+        data: { path: path, category: category.to_s }
+      }
+    }
+  end
+end
@@ -0,0 +1,110 @@
+# frozen_string_literal: true
+
+# What the navigation screen's ASCII sector map draws around a ship
+# (sector_map_controller.js): the charted systems within RADIUS, the active
+# warp gates between them, the player's bookmarks and their ships in transit.
+# Positions are [x, y, z] galactic coordinates; the controller projects them.
+class SectorMapService
+  RADIUS = 250
+  MAX_SYSTEMS = 400
+
+  attr_reader :user, :ship
+
+  # @param user [User]
+  # @param ship [Ship, nil] the ship the map is centred on
+  # @param center [System, nil] where to centre it without a ship
+  def initialize(user, ship = nil, center: nil)
+    @user = user
+    @ship = ship
+    @center = center
+  end
+
+  # @return [Hash] { center:, current_system_id:, systems:, gates:, ships: }
+  def call
+    systems = nearby_systems
+    ids = systems.map(&:id)
+
+    {
+      center: center_position,
+      current_system_id: current_system&.id,
+      systems: systems.map { |system| system_entry(system) },
+      gates: WarpGate.active.where(system_a_id: ids, system_b_id: ids).pluck(:system_a_id, :system_b_id),
+      ships: ships_in_transit
+    }
+  end
+
+  # The player's ships in transit, kept current by Ship#broadcast_sector_map
+  # @return [Array<Hash>] { id:, name:, from:, to:, departs_at:, arrives_at: }
+  def ships_in_transit
+    user.ships.in_transit.includes(:current_system, :destination_system).filter_map do |transit|
+      from = position_of(transit.current_system) || location_of(transit)
+      to = position_of(transit.destination_system) || destination_of(transit)
+      next unless from && to && transit.arrival_at
+
+      travel_time = if transit.current_system && transit.destination_system
+        transit.travel_time_to(transit.destination_system)
+      else
+        transit.travel_time_to_coordinates(*to)
+      end
+      {
+        id: transit.id,
+        name: transit.name,
+        from: from,
+        to: to,
+        departs_at: (transit.arrival_at - travel_time.seconds).iso8601,
+        arrives_at: transit.arrival_at.iso8601
+      }
+    end
+  end
+
+  private
+
+  def current_system
+    ship ? ship.current_system : @center
+  end
+
+  def center_position
+    (ship && location_of(ship)) || position_of(@center)
+  end
+
+  def nearby_systems
+    cx, cy, cz = center_position
+    System.where(x: (cx - RADIUS)..(cx + RADIUS), y: (cy - RADIUS)..(cy + RADIUS), z: (cz - RADIUS)..(cz + RADIUS))
+      .order(Arel.sql("(x - #{cx.to_i})^2 + (y - #{cy.to_i})^2 + (z - #{cz.to_i})^2"))
+      .limit(MAX_SYSTEMS)
+      .to_a
+  end
+
+  def system_entry(system)
+    {
+      id: system.id,
+      name: system.name,
+      position: position_of(system),
+      current: system.id == current_system&.id,
+      visited: visited_ids.include?(system.id),
+      bookmarked: bookmarked_ids.include?(system.id),
+      owned: system.owner_id == user.id
+    }
+  end
+
+  def visited_ids
+    @visited_ids ||= user.system_visits.pluck(:system_id).to_set
+  end
+
+  def bookmarked_ids
+    @bookmarked_ids ||= user.bookmarks.pluck(:system_id).to_set
+  end
+
+  def position_of(system)
+    [system.x, system.y, system.z] if system
+  end
+
+  def location_of(ship)
+    return position_of(ship.current_system) if ship.current_system
+    [ship.location_x, ship.location_y, ship.location_z] if ship.location_x
+  end
+
+  def destination_of(ship)
+    [ship.destination_x, ship.destination_y, ship.destination_z] if ship.destination_x
+  end
+end
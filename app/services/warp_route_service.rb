@@ -2,18 +2,20 @@
 
 # WarpRouteService provides BFS pathfinding through the warp gate network.
 class WarpRouteService
+  # Orderings compared by alternatives; beyond this many waypoints the
+  # permutations get too many to try
+  MAX_PERMUTED_WAYPOINTS = 6
+
   # Find shortest route between two systems via warp gates.
   # @param from_system [System] origin
   # @param to_system [System] destination
+  # @param adjacency [Hash] gate network, for callers routing many pairs
   # @return [Hash, nil] { path: [System, ...], hops: Integer, fuel_cost: Decimal } or nil
-  def self.find_route(from_system, to_system)
+  def self.find_route(from_system, to_system, adjacency: build_adjacency_list)
     if from_system.id == to_system.id
       return { path: [from_system], hops: 0, fuel_cost: 0 }
     end
 
-    # Build adjacency list from active warp gates
-    adjacency = build_adjacency_list
-
     # BFS
     queue = [[from_system.id, [from_system.id]]]
     visited = Set.new([from_system.id])
@@ -43,6 +45,67 @@ class WarpRouteService
     nil
   end
 
+  # Chain routes from origin through each waypoint in turn, tracking fuel
+  # hop by hop. A hop that costs more than is left in the tank needs a
+  # refuel first; the plan assumes the ship fills up to fuel_capacity there.
+  # @param origin [System]
+  # @param waypoints [Array<System>] in visiting order
+  # @param fuel [Numeric] fuel in the tank at the origin
+  # @param fuel_capacity [Numeric]
+  # @return [Hash] { legs: [{ to:, path:, hops: }], hops: [{ from:, to:, fuel_cost:, fuel_before:, fuel_after:, refuel: }],
+  #   total_hops:, fuel_cost:, refuels:, unreachable: System or nil }
+  def self.plan(origin, waypoints, fuel:, fuel_capacity:, adjacency: build_adjacency_list, routes: {})
+    legs = []
+    hops = []
+    remaining = fuel.to_f
+    from = origin
+
+    waypoints.each do |waypoint|
+      route = routes[[from.id, waypoint.id]] ||= find_route(from, waypoint, adjacency: adjacency)
+      return plan_summary(legs, hops, unreachable: waypoint) unless route
+
+      route[:path].each_cons(2) do |hop_from, hop_to|
+        refuel = remaining < WarpGate::WARP_FUEL_COST
+        remaining = fuel_capacity.to_f if refuel
+        before = remaining
+        remaining -= WarpGate::WARP_FUEL_COST
+        hops << { from: hop_from, to: hop_to, fuel_cost: WarpGate::WARP_FUEL_COST, fuel_before: before, fuel_after: remaining, refuel: refuel }
+      end
+      legs << { to: waypoint, path: route[:path], hops: route[:hops] }
+      from = waypoint
+    end
+
+    plan_summary(legs, hops)
+  end
+
+  # The best orderings of the same waypoints: every one reachable, fewest
+  # refuels first, then fewest hops
+  # @return [Array<Hash>] plans, as from plan, each with its :order of waypoints
+  def self.alternatives(origin, waypoints, fuel:, fuel_capacity:, limit: 3)
+    return [] if waypoints.size < 2 || waypoints.size > MAX_PERMUTED_WAYPOINTS
+
+    adjacency = build_adjacency_list
+    routes = {}
+    plans = waypoints.permutation.filter_map do |order|
+      plan = plan(origin, order, fuel: fuel, fuel_capacity: fuel_capacity, adjacency: adjacency, routes: routes)
+      plan.merge(order: order) unless plan[:unreachable]
+    end
+
+    plans.sort_by.with_index { |plan, index| [plan[:refuels], plan[:total_hops], index] }.first(limit)
+  end
+
+  def self.plan_summary(legs, hops, unreachable: nil)
+    {
+      legs: legs,
+      hops: hops,
+      total_hops: hops.size,
+      fuel_cost: hops.sum { |hop| hop[:fuel_cost] },
+      refuels: hops.count { |hop| hop[:refuel] },
+      unreachable: unreachable
+    }
+  end
+  private_class_method :plan_summary
+
   def self.build_adjacency_list
     adjacency = Hash.new { |h, k| h[k] = [] }
     WarpGate.active.pluck(:system_a_id, :system_b_id).each do |a_id, b_id|
@@ -0,0 +1,136 @@
+# frozen_string_literal: true
+
+require "net/http"
+
+# Delivers an encrypted Web Push message to a single PushSubscription.
+#
+# Implements message encryption (RFC 8291, aes128gcm) and VAPID
+# authentication (RFC 8292) with OpenSSL, so no extra gem is needed.
+#
+# Configuration (either ENV or credentials):
+#   VAPID_PRIVATE_KEY  PEM-encoded P-256 private key
+#                      (openssl ecparam -name prime256v1 -genkey -noout)
+#   VAPID_SUBJECT      mailto: or https: contact for push services
+#
+# The matching public key (applicationServerKey on the client) is derived
+# from the private key, see .public_key.
+class WebPushSender
+  RECORD_SIZE = 4096
+  TTL = 24.hours.to_i
+
+  class << self
+    def configured?
+      private_key.present?
+    end
+
+    # Uncompressed P-256 point, base64url — the browser's applicationServerKey
+    def public_key
+      return unless configured?
+
+      Base64.urlsafe_encode64(vapid_key.public_key.to_octet_string(:uncompressed), padding: false)
+    end
+
+    def vapid_key
+      @vapid_key ||= OpenSSL::PKey::EC.new(private_key)
+    end
+
+    def subject
+      ENV["VAPID_SUBJECT"] || Rails.application.credentials.dig(:vapid, :subject) || "mailto:ops@stellarb.example"
+    end
+
+    private
+
+    def private_key
+      ENV["VAPID_PRIVATE_KEY"] || Rails.application.credentials.dig(:vapid, :private_key)
+    end
+  end
+
+  # @param subscription [PushSubscription]
+  # @param payload [Hash] JSON-serialisable notification payload
+  # @return [Symbol] :delivered, :expired (subscription removed) or :failed
+  def deliver(subscription, payload)
+    return :failed unless self.class.configured?
+    # Subscriptions saved before endpoints were checked are never fetched
+    return :failed unless PushSubscription.push_service_endpoint?(subscription.endpoint)
+
+    uri = URI(subscription.endpoint)
+    request = Net::HTTP::Post.new(uri)
+    request["Content-Encoding"] = "aes128gcm"
+    request["Content-Type"] = "application/octet-stream"
+    request["TTL"] = TTL.to_s
+    request["Urgency"] = payload.dig(:options, :requireInteraction) ? "high" : "normal"
+    request["Authorization"] = vapid_authorization(uri)
+    request.body = encrypt(payload.to_json, subscription)
+
+    response = Net::HTTP.start(uri.host, uri.port, use_ssl: uri.scheme == "https", open_timeout: 5, read_timeout: 10) do |http|
+      http.request(request)
+    end
+
+    case response.code.to_i
+    when 200..299
+      :delivered
+    when 404, 410
+      # The browser dropped the subscription; stop sending to it
+      subscription.destroy
+      :expired
+    else
+      Rails.logger.warn "[WebPushSender] #{response.code} from #{uri.host}: #{response.body.to_s.truncate(200)}"
+      :failed
+    end
+  end
+
+  # Encrypts the payload for the subscription's keys (single aes128gcm record)
+  # @return [String] binary body: header (salt, record size, sender key) + ciphertext
+  def encrypt(plaintext, subscription)
+    user_agent_public = decode64(subscription.p256dh_key)
+    auth_secret = decode64(subscription.auth_key)
+
+    group = OpenSSL::PKey::EC::Group.new("prime256v1")
+    server_key = OpenSSL::PKey::EC.generate(group)
+    server_public = server_key.public_key.to_octet_string(:uncompressed)
+    shared_secret = server_key.dh_compute_key(
+      OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(user_agent_public, 2))
+    )
+
+    input_key = hkdf(shared_secret, auth_secret, "WebPush: info\0" + user_agent_public + server_public, 32)
+    salt = OpenSSL::Random.random_bytes(16)
+    content_key = hkdf(input_key, salt, "Content-Encoding: aes128gcm\0", 16)
+    nonce = hkdf(input_key, salt, "Content-Encoding: nonce\0", 12)
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").encrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    # 0x02 marks the last (and only) record
+    ciphertext = cipher.update(plaintext + "\x02") + cipher.final + cipher.auth_tag
+
+    salt + [RECORD_SIZE].pack("N") + [server_public.bytesize].pack("C") + server_public + ciphertext
+  end
+
+  private
+
+  def vapid_authorization(uri)
+    header = { typ: "JWT", alg: "ES256" }
+    claims = { aud: "#{uri.scheme}://#{uri.host}", exp: 12.hours.from_now.to_i, sub: self.class.subject }
+    signing_input = [header, claims].map { |part| encode64(part.to_json) }.join(".")
+
+    "vapid t=#{signing_input}.#{encode64(es256_signature(signing_input))}, k=#{self.class.public_key}"
+  end
+
+  # JWT wants the raw 64-byte r||s form, OpenSSL returns DER
+  def es256_signature(data)
+    der = self.class.vapid_key.sign(OpenSSL::Digest.new("SHA256"), data)
+    OpenSSL::ASN1.decode(der).value.map { |int| int.value.to_s(2).rjust(32, "\0") }.join
+  end
+
+  def hkdf(key, salt, info, length)
+    OpenSSL::KDF.hkdf(key, salt: salt, info: info, length: length, hash: "SHA256")
+  end
+
+  def encode64(bytes)
+    Base64.urlsafe_encode64(bytes, padding: false)
+  end
+
+  def decode64(string)
+    Base64.urlsafe_decode64(string + "=" * ((4 - string.length % 4) % 4))
+  end
+end
@@ -1,26 +1,181 @@
-// Add a service worker for processing Web Push notifications:
+// Offline cache and Web Push notifications
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
+// Caching strategy (GET requests only; POST/PATCH/DELETE always go straight
+// to the network and are never stored):
+//   - App shell and importmap assets: cache-first. Propshaft digests every
+//     asset URL, so a cached copy never goes stale.
+//   - Pages: network-first. Screens the server marks with an
+//     "X-Offline-Snapshot: allowed" header (market, ships, routes and
+//     bookmarks; see ApplicationController#allow_offline_snapshot) are kept,
+//     and with no reception the last copy seen is served instead. Cached
+//     pages come back with an "offline snapshot from <time>" banner at the
+//     top of the content panel, which is how remembered market prices stay
+//     readable with bad reception.
+//   - Any other page opened with no reception and no snapshot: the
+//     precached /offline.html.
 //
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
+// Bump CACHE_VERSION to drop every cache from older workers.
+
+const CACHE_VERSION = "v1"
+const SHELL_CACHE = `stellarb-shell-${CACHE_VERSION}`
+const PAGE_CACHE = `stellarb-pages-${CACHE_VERSION}`
+const PAGE_CACHE_LIMIT = 100
+const SNAPSHOT_HEADER = "X-Offline-Snapshot-At"
+const ALLOW_HEADER = "X-Offline-Snapshot"
+
+const OFFLINE_PAGE = "/offline.html"
+
+const SHELL_URLS = ["/icon.png", "/icon.svg", OFFLINE_PAGE]
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, PAGE_CACHE]
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Pages post their importmap and stylesheet URLs once loaded
+// (lib/service_worker.js) so the whole shell is warm for the next offline visit
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "cache-assets") return
+
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache =>
+      Promise.all(event.data.urls.map(url =>
+        cache.match(url).then(hit => hit || cache.add(url).catch(() => {}))
+      ))
+    )
+  )
+})
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.method !== "GET") {
+    // Signing in or out changes whose snapshots these are
+    if (url.pathname.startsWith("/sessions")) event.waitUntil(caches.delete(PAGE_CACHE))
+    return
+  }
+
+  if (url.pathname.startsWith("/assets/") || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request))
+  } else if (request.mode === "navigate" || (request.headers.get("Accept") || "").includes("text/html")) {
+    event.respondWith(networkFirst(request))
+  }
+})
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(PAGE_CACHE)
+  const key = snapshotKey(request)
+
+  try {
+    const response = await fetch(request)
+    if (isSnapshotable(response)) await store(cache, key, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(key)
+    if (cached) return withBanner(cached)
+    if (request.mode === "navigate") return offlineFallback()
+    throw error
+  }
+}
+
+async function offlineFallback() {
+  const page = await caches.match(OFFLINE_PAGE, { cacheName: SHELL_CACHE })
+  return page || Response.error()
+}
+
+// A Turbo Frame request renders without the layout, so it is cached apart
+// from the full page at the same URL
+function snapshotKey(request) {
+  const frame = request.headers.get("Turbo-Frame")
+  if (!frame) return request.url
+
+  const url = new URL(request.url)
+  url.searchParams.set("_offline_frame", frame)
+  return url.toString()
+}
+
+function isSnapshotable(response) {
+  return response.ok &&
+    !response.redirected &&
+    response.headers.get(ALLOW_HEADER) === "allowed" &&
+    (response.headers.get("Content-Type") || "").startsWith("text/html")
+}
+
+async function store(cache, key, response) {
+  const headers = new Headers(response.headers)
+  headers.set(SNAPSHOT_HEADER, new Date().toISOString())
+  await cache.put(key, new Response(await response.blob(), { status: response.status, headers }))
+
+  // Keep the newest PAGE_CACHE_LIMIT pages (keys come back oldest first)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - PAGE_CACHE_LIMIT)).map(old => cache.delete(old)))
+}
+
+async function withBanner(cached) {
+  const at = new Date(cached.headers.get(SNAPSHOT_HEADER) || Date.now())
+  const banner =
+    `<div class="bg-yellow-900 border border-yellow-600 text-yellow-300 p-2 mb-4 text-sm" role="status" data-offline-snapshot>` +
+    `OFFLINE SNAPSHOT FROM <time datetime="${at.toISOString()}">${at.toLocaleString()}</time>` +
+    ` — prices and positions may have changed</div>`
+
+  const html = (await cached.text())
+    .replace(/(<turbo-frame[^>]*\bid="content_panel"[^>]*>)/, `$1${banner}`)
+
+  // The body just grew, so the stored length no longer applies
+  const headers = new Headers(cached.headers)
+  headers.delete("Content-Length")
+  return new Response(html, { status: 200, headers })
+}
+
+// Web Push notifications for game events (see PushNotificationService)
 //
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// Payloads are { title, options }; options.tag collapses repeats of the same
+// event and options.data.path is the screen to open when clicked.
+
+self.addEventListener("push", (event) => {
+  if (!event.data) return
+
+  const { title, options } = event.data.json()
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  const path = event.notification.data?.path || "/"
+
+  event.waitUntil(
+    clients.matchAll({ type: "window", includeUncontrolled: true }).then((clientList) => {
+      // Already looking at that screen: just bring it forward
+      const exact = clientList.find(client => new URL(client.url).pathname === path && "focus" in client)
+      if (exact) return exact.focus()
+
+      // Otherwise reuse an open game tab rather than spawning a new one
+      const open = clientList.find(client => "navigate" in client && "focus" in client)
+      if (open) return open.navigate(path).then(client => (client || open).focus())
+
+      if (clients.openWindow) return clients.openWindow(path)
+    })
+  )
+})
@@ -5,9 +5,9 @@ Rails.application.routes.draw do
   # Can be used by load balancers and uptime monitors to verify that the app is live.
   get "up" => "rails/health#show", as: :rails_health_check
 
-  # Render dynamic PWA files from app/views/pwa/* (remember to link manifest in application.html.erb)
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  # Render dynamic PWA files from app/views/pwa/*
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
 
   # Defines the root path route ("/")
   root "inbox#index"
@@ -17,10 +17,15 @@ Rails.application.routes.draw do
     member do
       post :mark_read
       post :mark_unread
+      post :act
     end
   end
 
-  resources :chat, only: [:index, :create]
+  resources :chat, only: [:index, :create] do
+    collection do
+      patch :read
+    end
+  end
 
   resources :navigation, only: [:index] do
     collection do
@@ -112,6 +117,7 @@ Rails.application.routes.draw do
 
   # Exploration
   resource :exploration, only: [:show], controller: 'exploration' do
+    get :radar
     post :single_direction
     post :growing_arcs
     post :orbit
@@ -120,6 +126,9 @@ Rails.application.routes.draw do
   # User Profile
   resource :profile, only: [:show, :edit, :update], controller: 'profile'
 
+  # Web Push subscription for the current browser
+  resource :push_subscription, only: [:create, :destroy]
+
   # Onboarding tutorial
   scope :onboarding, controller: 'onboarding' do
     post :advance, as: :advance_onboarding
@@ -128,6 +137,10 @@ Rails.application.routes.draw do
   end
 
   resources :bookmarks, only: [:index, :create, :update, :destroy] do
+    collection do
+      get :planner
+      get :plan
+    end
     member do
       get :warp_route
       post :warp_route
@@ -0,0 +1,5 @@
+class AddKeymapToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :keymap, :jsonb, default: {}, null: false
+  end
+end
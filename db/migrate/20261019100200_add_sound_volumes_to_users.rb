@@ -0,0 +1,5 @@
+class AddSoundVolumesToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :sound_volumes, :jsonb, default: {}, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddAnnouncerVerbosityToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :announcer_verbosity, :string, default: "all", null: false
+  end
+end
@@ -0,0 +1,13 @@
+class CreateChatMessages < ActiveRecord::Migration[8.1]
+  def change
+    create_table :chat_messages do |t|
+      t.references :user, null: false, foreign_key: true
+      t.string :channel, null: false
+      t.text :body, null: false
+
+      t.timestamps
+    end
+
+    add_index :chat_messages, [:channel, :id]
+  end
+end
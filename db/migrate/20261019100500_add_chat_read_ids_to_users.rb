@@ -0,0 +1,5 @@
+class AddChatReadIdsToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :chat_read_ids, :jsonb, default: {}, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddEmoteToChatMessages < ActiveRecord::Migration[8.1]
+  def change
+    add_column :chat_messages, :emote, :boolean, default: false, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddAssetToMessages < ActiveRecord::Migration[8.1]
+  def change
+    add_reference :messages, :asset, polymorphic: true, null: true
+  end
+end
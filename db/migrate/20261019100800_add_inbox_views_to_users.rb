@@ -0,0 +1,5 @@
+class AddInboxViewsToUsers < ActiveRecord::Migration[8.1]
+  def change
+    add_column :users, :inbox_views, :jsonb, default: {}, null: false
+  end
+end
@@ -0,0 +1,6 @@
+class AddActionsToMessages < ActiveRecord::Migration[8.1]
+  def change
+    add_column :messages, :actions, :jsonb, default: [], null: false
+    add_column :messages, :action_status, :string
+  end
+end
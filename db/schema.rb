@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
+ActiveRecord::Schema[8.1].define(version: 2026_10_19_100900) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -48,6 +48,17 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
     t.index ["uuid"], name: "index_buildings_on_uuid", unique: true
   end
 
+  create_table "chat_messages", force: :cascade do |t|
+    t.text "body", null: false
+    t.string "channel", null: false
+    t.datetime "created_at", null: false
+    t.boolean "emote", default: false, null: false
+    t.datetime "updated_at", null: false
+    t.bigint "user_id", null: false
+    t.index ["channel", "id"], name: "index_chat_messages_on_channel_and_id"
+    t.index ["user_id"], name: "index_chat_messages_on_user_id"
+  end
+
   create_table "explored_coordinates", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.boolean "has_system", default: false, null: false
@@ -151,6 +162,10 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
   end
 
   create_table "messages", force: :cascade do |t|
+    t.string "action_status"
+    t.jsonb "actions", default: [], null: false
+    t.bigint "asset_id"
+    t.string "asset_type"
     t.text "body", null: false
     t.string "category"
     t.datetime "created_at", null: false
@@ -161,6 +176,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
     t.boolean "urgent", default: false, null: false
     t.bigint "user_id", null: false
     t.string "uuid", limit: 36
+    t.index ["asset_type", "asset_id"], name: "index_messages_on_asset"
     t.index ["user_id", "category"], name: "index_messages_on_user_id_and_category"
     t.index ["user_id", "read_at"], name: "index_messages_on_user_id_and_read_at"
     t.index ["user_id", "urgent"], name: "index_messages_on_user_id_and_urgent"
@@ -220,6 +236,18 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
     t.index ["system_id"], name: "index_price_deltas_on_system_id"
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "auth_key", null: false
+    t.datetime "created_at", null: false
+    t.string "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.bigint "user_id", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "quest_progresses", force: :cascade do |t|
     t.datetime "completed_at"
     t.datetime "created_at", null: false
@@ -536,12 +564,16 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
   end
 
   create_table "users", force: :cascade do |t|
+    t.string "announcer_verbosity", default: "all", null: false
+    t.jsonb "chat_read_ids", default: {}, null: false
     t.datetime "created_at", null: false
     t.decimal "credits", default: "500.0"
     t.string "email"
     t.boolean "emigrated", default: false, null: false
     t.datetime "emigrated_at"
     t.bigint "emigration_hub_id"
+    t.jsonb "inbox_views", default: {}, null: false
+    t.jsonb "keymap", default: {}, null: false
     t.datetime "last_sign_in_at"
     t.integer "level_tier", default: 1
     t.string "name"
@@ -552,6 +584,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
     t.string "short_id"
     t.integer "sign_in_count", default: 0
     t.boolean "sound_enabled", default: true, null: false
+    t.jsonb "sound_volumes", default: {}, null: false
     t.string "tutorial_phase", default: "cradle", null: false
     t.datetime "updated_at", null: false
     t.string "uuid", limit: 36
@@ -582,6 +615,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
   add_foreign_key "bookmarks", "users"
   add_foreign_key "buildings", "systems"
   add_foreign_key "buildings", "users"
+  add_foreign_key "chat_messages", "users"
   add_foreign_key "explored_coordinates", "users"
   add_foreign_key "flight_records", "ships"
   add_foreign_key "flight_records", "systems", column: "from_system_id"
@@ -600,6 +634,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_02_08_013529) do
   add_foreign_key "player_quests", "quests"
   add_foreign_key "player_quests", "users"
   add_foreign_key "price_deltas", "systems"
+  add_foreign_key "push_subscriptions", "users"
   add_foreign_key "quest_progresses", "quests"
   add_foreign_key "quest_progresses", "users"
   add_foreign_key "routes", "ships"
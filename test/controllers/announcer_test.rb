@@ -0,0 +1,60 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class AnnouncerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  test "layout has polite and assertive live regions and the announcements target" do
+    get root_path
+    assert_response :success
+
+    assert_select "[data-controller='announcer'][data-announcer-verbosity-value='all']" do
+      assert_select "[data-announcer-target='polite'][aria-live='polite']"
+      assert_select "[data-announcer-target='assertive'][aria-live='assertive']"
+      assert_select "#announcements"
+    end
+  end
+
+  test "flash messages carry their type for the announcer" do
+    html = ApplicationController.render(partial: "shared/flash_message", locals: { message: "Stop rejected", type: "alert" })
+    assert_includes html, 'data-flash-type="alert"'
+  end
+
+  test "verbosity is picked in settings" do
+    get edit_profile_path
+    assert_select "select[name='user[announcer_verbosity]'] option[value='important']"
+
+    patch profile_path, params: { user: { announcer_verbosity: "important" } }
+    assert_equal "important", @user.reload.announcer_verbosity
+  end
+
+  test "layout renders the stream targets the announcer watches and subscribes to their streams" do
+    get root_path
+
+    # announcer_controller.js summarises stream renders aimed at these
+    assert_select "#user_credits", count: 1
+    assert_select "#inbox_unread_badge", count: 1
+    assert_select "#flash_messages", count: 1
+
+    ["user_#{@user.id}_notifications", "inbox_unread_badge_user_#{@user.id}"].each do |stream|
+      assert_select "turbo-cable-stream-source[signed-stream-name=?]", Turbo::StreamsChannel.signed_stream_name(stream)
+    end
+  end
+
+  test "server announcements reach the announcer as event targets" do
+    streams = capture_turbo_stream_broadcasts "user_#{@user.id}_notifications" do
+      perform_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+        @user.announce("Stellar Hauler arrived at Mira Station", urgent: true)
+      end
+    end
+
+    assert_equal ["announcements"], streams.map { |stream| stream["target"] }
+    event = streams.first.at("[data-announcer-target='event']")
+    assert_equal "Stellar Hauler arrived at Mira Station", event["data-text"]
+    assert_equal "true", event["data-urgent"]
+  end
+end
@@ -52,4 +52,35 @@ class BookmarksControllerTest < ActionDispatch::IntegrationTest
     end
     assert_redirected_to bookmarks_path
   end
+
+  test "planner offers bookmarks and visited systems as waypoints" do
+    sign_in_as(users(:pilot))
+    Bookmark.create!(user: users(:pilot), system: @system)
+
+    get planner_bookmarks_path
+    assert_response :success
+    assert_select "[data-controller='warp-planner'][data-warp-planner-plan-url-value='#{plan_bookmarks_path}']"
+    assert_select "button[data-action='warp-planner#add'][data-warp-planner-id-param='#{@system.id}']"
+    assert_select "select[data-warp-planner-target='systemSelect'] option[value='#{@system.id}']"
+  end
+
+  test "plan returns the hop path and fuel for the waypoints" do
+    sign_in_as(users(:pilot))
+    destination = systems(:mira_station)
+    WarpGate.create!(system_a: @system, system_b: destination)
+
+    get plan_bookmarks_path, params: { system_ids: [destination.id] }, as: :json
+    assert_response :success
+
+    plan = response.parsed_body["plan"]
+    assert_equal 1, plan["total_hops"]
+    assert_equal destination.id, plan["hops"].first["to"]["id"]
+    assert_equal false, plan["hops"].first["refuel"]
+    assert_equal [], response.parsed_body["alternatives"]
+  end
+
+  test "plan needs an operational ship" do
+    get plan_bookmarks_path, params: { system_ids: [@system.id] }, as: :json
+    assert_response :unprocessable_entity
+  end
 end
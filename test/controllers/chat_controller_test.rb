@@ -32,4 +32,118 @@ class ChatControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
     assert_select "[data-controller='chat']"
   end
+
+  test "index subscribes to every channel stream" do
+    get chat_index_path
+    assert_select "turbo-cable-stream-source", minimum: ChatMessage::CHANNELS.size
+  end
+
+  test "create stores the message and appends it for the sender" do
+    assert_difference "ChatMessage.count", 1 do
+      post chat_index_path, params: { channel: "Trade", message: "Selling iron" }, as: :turbo_stream
+    end
+    assert_response :success
+    assert_includes response.body, %(target="#{ChatMessage.list_target("Trade")}")
+    assert_includes response.body, "Selling iron"
+    assert_equal ChatMessage.last.id, @user.reload.chat_read_id("Trade")
+  end
+
+  test "blank messages are rejected with a flash" do
+    assert_no_difference "ChatMessage.count" do
+      post chat_index_path, params: { channel: "Global", message: "  " }, as: :turbo_stream
+    end
+    assert_response :unprocessable_entity
+    assert_includes response.body, "flash_messages"
+  end
+
+  test "index shows unread counts on other channel tabs and a divider before unread messages" do
+    other = users(:one)
+    seen = ChatMessage.create!(user: other, channel: "Global", body: "Old news")
+    @user.mark_chat_read!("Global", seen.id)
+    unread = ChatMessage.create!(user: other, channel: "Global", body: "Fresh news")
+    2.times { |i| ChatMessage.create!(user: other, channel: "Trade", body: "Offer #{i}") }
+
+    get chat_index_path(channel: "Global")
+    assert_response :success
+
+    assert_select "[data-chat-target='tabCount'][data-list='chat_messages_trade']", text: "2"
+    assert_select "[data-chat-target='tabCount'][data-list='chat_messages_global'].hidden"
+    assert_select "#chat_messages_global [data-chat-target='divider'] + ##{ActionView::RecordIdentifier.dom_id(unread)}"
+    assert_equal unread.id, @user.reload.chat_read_id("Global")
+  end
+
+  test "history paging returns the page before a message" do
+    messages = Array.new(ChatMessage::PAGE_SIZE + 3) { |i| ChatMessage.create!(user: @user, channel: "Global", body: "Line #{i}") }
+
+    get chat_index_path(channel: "Global", before: messages[3].id), as: :turbo_stream
+    assert_response :success
+
+    assert_includes response.body, %(action="prepend" target="chat_messages_global")
+    assert_includes response.body, %(action="replace" target="chat_history")
+    assert_includes response.body, "Line 0"
+    assert_not_includes response.body, "Line 3"
+  end
+
+  test "history paging ignores a before that isn't an id" do
+    ChatMessage.create!(user: @user, channel: "Global", body: "Newest line")
+
+    get chat_index_path(channel: "Global", before: "abc"), as: :turbo_stream
+    assert_response :success
+    assert_includes response.body, "Newest line"
+  end
+
+  test "a location card naming another player's ship is refused" do
+    assert_no_difference -> { ChatMessage.count } do
+      post chat_index_path, params: { channel: "Global", message: "[[ship:#{ships(:traveling).short_id}]] at deep space" }, as: :turbo_stream
+    end
+    assert_response :unprocessable_entity
+    assert_includes response.body, "can only mention your own ships"
+  end
+
+  test "read records the newest message seen live" do
+    message = ChatMessage.create!(user: users(:one), channel: "Guild", body: "Hi")
+
+    patch read_chat_index_path, params: { channel: "Guild", message_id: message.id }
+    assert_response :no_content
+    assert_equal message.id, @user.reload.chat_read_id("Guild")
+  end
+
+  test "emotes are stored as such and rendered as an action" do
+    post chat_index_path, params: { channel: "Global", message: "waves", kind: "emote" }, as: :turbo_stream
+    assert_response :success
+
+    message = ChatMessage.last
+    assert message.emote?
+    assert_includes response.body, "data-emote"
+  end
+
+  test "whispers go to the recipient's inbox, not the channel" do
+    recipient = users(:traveler)
+
+    assert_no_difference "ChatMessage.count" do
+      assert_difference -> { recipient.messages.count }, 1 do
+        post chat_index_path, params: { channel: "Global", message: "Meet at Cradle", kind: "whisper", recipient: "traveler" }, as: :turbo_stream
+      end
+    end
+    assert_response :success
+    assert_includes response.body, "Whisper sent to Traveler"
+
+    whisper = recipient.messages.last
+    assert_equal "Meet at Cradle", whisper.body
+    assert_equal @user.name, whisper.from
+  end
+
+  test "whispers to unknown players are rejected" do
+    assert_no_difference "Message.count" do
+      post chat_index_path, params: { channel: "Global", message: "Hello?", kind: "whisper", recipient: "Nobody" }, as: :turbo_stream
+    end
+    assert_response :unprocessable_entity
+    assert_includes response.body, "No player named Nobody"
+  end
+
+  test "index gives the composer the player's name and location" do
+    get chat_index_path
+    assert_select "[data-controller='chat'][data-chat-user-name-value='#{@user.name}'][data-chat-location-value*='#{@user.current_ship.short_id}']"
+    assert_select "form[data-action*='chat#compose']"
+  end
 end
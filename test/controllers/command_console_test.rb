@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class CommandConsoleTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  test "layout includes command console controller" do
+    get root_path
+    assert_response :success
+    assert_select "#command_console[data-controller='command-console']"
+  end
+
+  test "command console opens on the window event dispatched by the / key" do
+    get root_path
+    assert_select "#command_console[data-action*='command-console:open@window->command-console#open']"
+  end
+
+  test "command console panel is hidden by default" do
+    get root_path
+    assert_select "#command_console [data-command-console-target='panel'].hidden"
+    assert_select "#command_console input[data-command-console-target='input']"
+  end
+
+  test "command console catalog is embedded as JSON" do
+    get root_path
+    console = css_select("#command_console").first
+    catalog = JSON.parse(console["data-command-console-catalog-value"])
+
+    assert_includes catalog["ships"].map { |s| s["name"] }, "Stellar Hauler"
+    assert_includes catalog["commodities"], "Iron"
+  end
+
+  test "command console input is wired for typing and its output is announced" do
+    get root_path
+    assert_select "#command_console input[data-command-console-target='input'][data-action='keydown->command-console#keydown'][aria-label='Command']"
+    assert_select "#command_console [data-command-console-target='output'][aria-live='polite']"
+  end
+
+  test "a console command lands on a page whose flash and content panel the console echoes" do
+    # Same request command_console_controller.js sends for "warp" with an unknown system id
+    post warp_navigation_index_path, params: { destination_id: 0, intent: "trade" },
+      headers: { "Accept" => "text/vnd.turbo-stream.html, text/html, application/xhtml+xml" }
+
+    assert_redirected_to navigation_index_path
+    follow_redirect!
+    assert_select "#flash_messages", text: /Destination system not found/
+    assert_select "turbo-frame#content_panel"
+  end
+end
@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class CommandPaletteTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  test "layout includes command palette controller" do
+    get root_path
+    assert_response :success
+    assert_select "#command_palette[data-controller='command-palette']"
+  end
+
+  test "command palette overlay is hidden by default" do
+    get root_path
+    assert_select "#command_palette [data-command-palette-target='overlay'].hidden"
+    assert_select "#command_palette input[data-command-palette-target='input']"
+    assert_select "#command_palette [data-command-palette-target='results']"
+  end
+
+  test "command palette searches as you type in a labelled dialog" do
+    get root_path
+    assert_select "#command_palette [role='dialog'][aria-label='Command palette']"
+    assert_select "#command_palette input[data-action='input->command-palette#search keydown->command-palette#keydown']"
+    assert_select "#command_palette ul[data-command-palette-target='results'][role='listbox']"
+  end
+
+  test "menu links the palette indexes are rendered once per href it dedupes" do
+    get root_path
+    inbox_links = css_select("[data-keyboard-navigation-target='menuItem'] a[href='#{inbox_index_path}']")
+
+    # Mobile drawer and desktop sidebar both render the menu
+    assert_equal 2, inbox_links.size
+  end
+
+  test "content items the palette indexes are rendered in the content panel" do
+    get ships_path
+    assert_select "#content_panel [data-keyboard-navigation-target='contentItem']", text: /Stellar Hauler/
+  end
+end
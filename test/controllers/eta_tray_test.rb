@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class EtaTrayTest < ActionDispatch::IntegrationTest
+  test "layout shows a collapsed tray with a countdown row per pending timer" do
+    sign_in_as(users(:traveler))
+
+    get root_path
+    assert_response :success
+
+    assert_select "#eta_tray[data-controller~='eta-tray']" do
+      assert_select "[data-eta-tray-target='panel'].hidden"
+      assert_select "button[data-eta-tray-target='toggle'][aria-expanded='false']"
+      assert_select "#eta_tray_items li[data-controller='countdown'][data-countdown-refresh-value='false']" do
+        assert_select "a[href='#{ship_path(ships(:traveling))}'][data-turbo-frame='content_panel']"
+      end
+    end
+  end
+
+  test "completed timers chime through the audio controller" do
+    sign_in_as(users(:traveler))
+
+    get root_path
+    assert_select "#eta_tray[data-action~='countdown:arrived->eta-tray#complete'][data-action~='eta-tray:completed->audio#play']"
+    assert_select "#eta_tray[data-audio-category-value='ui']"
+  end
+
+  test "tray toggle advertises its global key" do
+    sign_in_as(users(:traveler))
+
+    get root_path
+    assert_select "#eta_tray button[data-eta-tray-target='toggle'][aria-keyshortcuts='T']"
+  end
+end
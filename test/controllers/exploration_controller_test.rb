@@ -41,4 +41,29 @@ class ExplorationControllerTest < ActionDispatch::IntegrationTest
     assert_redirected_to exploration_path
     assert_match /Invalid direction/i, flash[:alert]
   end
+
+  test "show renders the coverage radar" do
+    get exploration_path
+    assert_response :success
+    assert_select "[data-controller='exploration-radar'][data-exploration-radar-url-value='#{radar_exploration_path}']"
+    assert_select "form[data-preview='orbit'][data-exploration-radar-target='mode']"
+  end
+
+  test "radar returns coverage and previews as JSON" do
+    get radar_exploration_path, as: :json
+    assert_response :success
+
+    radar = response.parsed_body
+    assert_equal [0, 0, 0], radar["center"]
+    assert_includes radar["explored"], [0, 0, 0, true]
+    assert_equal %w[growing_arcs orbit single_direction], radar["previews"].keys
+    assert_equal ExplorationController::DIRECTION_MAP.keys, radar["previews"]["single_direction"].keys
+  end
+
+  test "radar without an operational ship is not found" do
+    @user.ships.update_all(status: "destroyed")
+
+    get radar_exploration_path, as: :json
+    assert_response :not_found
+  end
 end
@@ -45,4 +45,122 @@ class InboxControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
     assert_select "a[href='#{inbox_index_path}']"
   end
+
+  test "index renders selectable rows" do
+    get inbox_index_path
+    assert_response :success
+
+    assert_select "#inbox_messages ##{ActionView::RecordIdentifier.dom_id(@message)}[data-message-id='#{@message.id}']" do
+      assert_select "[data-inbox-list-target='checkbox'][role='checkbox']"
+    end
+    assert_select "[data-inbox-list-target='item'][data-mark-read-url='#{mark_read_inbox_path(@message)}']"
+    assert_select "[data-inbox-list-target='toolbar']"
+    assert_select "[data-inbox-list-target='undo']"
+    assert_select "[data-inbox-list-target='failure'][role='alert']"
+  end
+
+  test "mark_read as turbo_stream replaces the row" do
+    post mark_read_inbox_path(@message), as: :turbo_stream
+    assert_response :success
+
+    assert @message.reload.read?
+    assert_includes response.body, %(action="replace" target="#{ActionView::RecordIdentifier.dom_id(@message)}")
+    assert_includes response.body, %(data-unread="false")
+  end
+
+  test "mark_unread as turbo_stream replaces the row" do
+    @message.mark_read!
+
+    post mark_unread_inbox_path(@message), as: :turbo_stream
+    assert_response :success
+
+    assert @message.reload.unread?
+    assert_includes response.body, %(data-unread="true")
+  end
+
+  test "destroy as turbo_stream removes the row" do
+    delete inbox_path(@message), as: :turbo_stream
+    assert_response :success
+
+    assert_not Message.exists?(@message.id)
+    assert_includes response.body, %(action="remove" target="#{ActionView::RecordIdentifier.dom_id(@message)}")
+  end
+
+  test "mark_read still redirects html requests" do
+    post mark_read_inbox_path(@message)
+    assert_redirected_to inbox_index_path
+  end
+
+  test "index renders the filter bar and saved views" do
+    @user.update!(inbox_views: { "Unread incidents" => { "status" => "unread", "category" => "incident" } })
+    ships(:hauler).send_arrival_notification(systems(:cradle))
+
+    get inbox_index_path
+    assert_response :success
+
+    assert_select "input[data-inbox-list-target='query']"
+    assert_select "select[data-inbox-list-target='category'] option[value='incident']"
+    assert_select "select[data-inbox-list-target='asset'] option[value='Ship:#{ships(:hauler).id}']", text: ships(:hauler).name
+    assert_select "[data-inbox-list-target='item'][data-category='arrival'][data-asset='Ship:#{ships(:hauler).id}']"
+    assert_select "[data-controller='inbox-list'][data-inbox-list-views-value*='Unread incidents']"
+  end
+
+  test "saved views are stored in the profile" do
+    views = { "Fleet" => { "asset" => "Ship:#{ships(:hauler).id}", "query" => "pirates" } }
+
+    patch profile_path, params: { user: { inbox_views: views } }, as: :json
+    assert_response :no_content
+    assert_equal views, @user.reload.inbox_views
+  end
+
+  test "saved views only hold known filters" do
+    patch profile_path, params: { user: { inbox_views: { "Odd" => { "sort" => "oldest" } } } }, as: :json
+    assert_response :unprocessable_entity
+    assert_equal({}, @user.reload.inbox_views)
+  end
+
+  test "messages with actions render them in the list and on the page" do
+    @message.update!(actions: [Message.action(:repair_ship, ship_id: ships(:hauler).id)])
+
+    get inbox_index_path
+    actions_id = ActionView::RecordIdentifier.dom_id(@message, :actions)
+    assert_select "##{ActionView::RecordIdentifier.dom_id(@message)}[data-action-count='1'] ##{actions_id}[data-controller='inbox-actions']"
+
+    get inbox_path(@message)
+    assert_select "##{actions_id}[data-inbox-actions-actions-value*='Repair ship']"
+  end
+
+  test "row actions sit outside the row link and only count kinds still defined" do
+    @message.update!(actions: [Message.action(:repair_ship, ship_id: ships(:hauler).id)])
+    @message.update_columns(actions: @message.actions + [{ "kind" => "retired_kind", "ship_id" => 1 }])
+
+    get inbox_index_path
+    row = "##{ActionView::RecordIdentifier.dom_id(@message)}"
+    assert_select "#{row}[data-action-count='1']"
+    assert_select "#{row} > a[href=?][data-turbo-frame='content_panel']", inbox_path(@message)
+    assert_select "#{row} a [data-controller='inbox-actions']", count: 0
+    assert_select "#{row} [data-controller='inbox-actions']"
+  end
+
+  test "act performs the action and replaces the status" do
+    ship = ships(:hauler)
+    ship.ship_attributes["hull_points"] = 60
+    ship.save!
+    @message.update!(actions: [Message.action(:repair_ship, ship_id: ship.id)])
+
+    post act_inbox_path(@message, index: 0), as: :turbo_stream
+    assert_response :success
+    assert_includes response.body, %(action="replace" target="#{ActionView::RecordIdentifier.dom_id(@message, :actions)}")
+    assert_match "Repaired #{ship.name}", response.body
+    assert_equal ship.max_hull_points, ship.reload.hull_points
+  end
+
+  test "a refused act answers with the reason" do
+    @message.update!(actions: [Message.action(:repair_ship, ship_id: ships(:hauler).id)])
+
+    post act_inbox_path(@message, index: 0), as: :turbo_stream
+    assert_response :unprocessable_entity
+    assert_match "Ship is already at full hull integrity", response.body
+    assert_nil @message.reload.action_status
+  end
 end
@@ -21,39 +21,47 @@ class KeyboardNavigationTest < ActionDispatch::IntegrationTest
     assert_select "#keyboard-help"
   end
 
-  test "keyboard help shows j/k navigation" do
+  test "keyboard help is generated from the keymap registry" do
     get root_path
     assert_response :success
-    assert_select "#keyboard-help", text: /j\/k/
-    assert_select "#keyboard-help", text: /Navigate up\/down/
+    assert_select "#keyboard-help[data-controller='keymap-help'] [data-keymap-help-target='list']"
   end
 
-  test "keyboard help shows Enter action" do
+  test "menu and content items that j/k step through are rendered with hover selection" do
+    get ships_path
+
+    assert_select "[data-keyboard-navigation-target='menuItem'][data-action~='mouseenter->keyboard-navigation#selectItem'] a[href]"
+    assert_select "[data-keyboard-navigation-target='contentItem'][data-action~='mouseenter->keyboard-navigation#selectContentItem']",
+      text: /Stellar Hauler/
+  end
+
+  test "H finds the inbox link in the menu" do
     get root_path
-    assert_response :success
-    assert_select "#keyboard-help", text: /Enter/
-    assert_select "#keyboard-help", text: /Select/
+    assert_select "[data-keyboard-navigation-target='menuItem'] a[href=?]", inbox_index_path
   end
 
-  test "keyboard help shows Esc/q action" do
+  test "g m jumps to the market where the player's ship is docked" do
+    user = users(:one)
+    Ship.create!(name: "Jumper", user: user, race: "vex", hull_size: "scout", variant_idx: 0,
+                 fuel: 50, fuel_capacity: 100, status: "docked", current_system: systems(:mira_station))
+    sign_in_as(user)
+
     get root_path
-    assert_response :success
-    assert_select "#keyboard-help", text: /Esc\/q/
-    assert_select "#keyboard-help", text: /Go back/
+    assert_select "[data-controller~='keyboard-navigation'][data-keyboard-navigation-market-path-value=?]",
+      system_market_index_path(systems(:mira_station))
   end
 
-  test "keyboard help shows H for home" do
+  test "g m has no market to jump to without a docked ship" do
+    sign_in_as(users(:one))
+
     get root_path
-    assert_response :success
-    assert_select "#keyboard-help dt", text: "H"
-    assert_select "#keyboard-help", text: /Home/
+    assert_select "[data-controller~='keyboard-navigation'][data-keyboard-navigation-market-path-value='']"
   end
 
-  test "keyboard help shows ? for help" do
+  test "layout includes the vim status line and market jump target" do
     get root_path
-    assert_response :success
-    assert_select "#keyboard-help dt", text: "?"
-    assert_select "#keyboard-help", text: /Show this help/
+    assert_select "[data-keyboard-navigation-target='status'].hidden"
+    assert_select "[data-controller~='keyboard-navigation'][data-keyboard-navigation-market-path-value]"
   end
 
   test "keyboard help modal is hidden by default" do
@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class KeymapTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  test "layout exposes the saved keymap to lib/keymap" do
+    @user.update!(keymap: { "menu.next" => "n" })
+
+    get root_path
+    assert_select "body[data-keymap=?]", { "menu.next" => "n" }.to_json
+  end
+
+  test "profile update saves a remapped key" do
+    patch profile_path, params: { user: { keymap: { "menu.next" => "n", "global.help" => "F1" } } }, as: :json
+
+    assert_response :no_content
+    assert_equal({ "menu.next" => "n", "global.help" => "F1" }, @user.reload.keymap)
+  end
+
+  test "profile update can reset the keymap" do
+    @user.update!(keymap: { "menu.next" => "n" })
+
+    patch profile_path, params: { user: { keymap: {} } }, as: :json
+
+    assert_response :no_content
+    assert_equal({}, @user.reload.keymap)
+  end
+
+  test "profile update rejects overlong keys" do
+    patch profile_path, params: { user: { keymap: { "menu.next" => "n" * 30 } } }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal({}, @user.reload.keymap)
+  end
+
+  test "keyboard help opens from lib/keymap and saves remaps to the profile" do
+    get root_path
+
+    help = "#keyboard-help[data-controller='keymap-help']"
+    assert_select "#{help}[data-keymap-help-url-value=?]", profile_path
+    assert_select "#{help}[data-action~='keymap-help:open@window->keymap-help#open']"
+    # The list is built from the registered bindings, not rendered
+    assert_select "#{help} [data-keymap-help-target='list']", text: ""
+  end
+
+  test "pages leave key handling to lib/keymap instead of keydown actions" do
+    get edit_stops_route_path(routes(:trade_route))
+    assert_response :success
+
+    assert_select "[data-controller='route-stops-edit']"
+    assert_select "[data-controller='route-stops-edit'][data-action*='keydown']", count: 0
+    assert_select "[data-action*='keydown@document'], [data-action*='keydown@window']", count: 0
+  end
+
+  test "chat keeps Tab for switching channels" do
+    get chat_index_path
+    assert_select "[data-chat-target='channel'][data-current='true']"
+  end
+end
@@ -66,4 +66,25 @@ class MarketControllerFogTest < ActionDispatch::IntegrationTest
     # The view should be rendering prices from the snapshot
     # We can't easily check exact values, but response should be successful
   end
+
+  test "trade calculator marks remembered prices and skips the hold without a docked ship" do
+    get system_market_index_path(@system)
+
+    assert_response :success
+    assert_select "[data-market-table-price-source-value='remembered']"
+    assert_select "[data-market-table-cargo-capacity-value]", count: 0
+    assert_match(/CALCULATING FROM REMEMBERED PRICES/, response.body)
+  end
+
+  test "price journal panel records remembered prices with the snapshot time" do
+    @visit.update!(last_visited_at: 2.hours.ago)
+
+    get system_market_index_path(@system)
+
+    assert_select "[data-controller='price-journal'][data-price-journal-source-value='remembered']"
+    assert_select "[data-price-journal-observed-at-value=?]", @visit.reload.last_visited_at.iso8601
+    assert_select "[data-price-journal-target='list']"
+    assert_select "[data-action='price-journal#export']"
+    assert_select "[data-price-journal-target='purgeAge'] option[value='all']"
+  end
 end
@@ -94,6 +94,15 @@ class MarketControllerTest < ActionDispatch::IntegrationTest
     assert_equal initial_credits - expected_cost, @user.reload.credits
   end
 
+  test "buy turbo stream replaces credits with the trade as the reason" do
+    post buy_system_market_index_path(@system), params: { commodity: "Iron", quantity: 10 }, as: :turbo_stream
+
+    assert_response :success
+    assert_match %r{<turbo-stream action="replace" target="user_credits">}, response.body
+    assert_match 'data-reason="Bought 10 Iron at The Cradle"', response.body
+    assert_match 'data-category="trade"', response.body
+  end
+
   test "buy fails if insufficient credits" do
     @user.update!(credits: 10)
 
@@ -347,4 +356,24 @@ class MarketControllerTest < ActionDispatch::IntegrationTest
     # Iron should show stable trend
     assert_select "span.text-gray-400", text: "→"
   end
+
+  # ===========================================
+  # Market table controller
+  # ===========================================
+
+  test "index wires rows, trade forms and the docked ship's hold into the market table" do
+    @ship.update!(cargo: { "Iron" => 30 })
+
+    get system_market_index_path(@system)
+
+    assert_select "[data-controller='market-table'][data-market-table-cargo-capacity-value='200'][data-market-table-cargo-used-value='30']"
+    assert_select "[data-market-table-price-source-value='live']"
+    assert_select "[data-market-table-fee-rate-value]"
+    assert_select "details[data-market-table-target='row'][data-commodity='Iron'][data-buy-price][data-sell-price][data-stock='500'][data-spread]", count: 2
+    assert_select "form[data-trade='buy'][data-action='submit->market-table#confirmTrade']", minimum: 1
+    assert_select "form[data-trade='sell'][data-action='submit->market-table#confirmTrade']", minimum: 1
+    assert_select "input[type='search'][data-market-table-target='filter']"
+    assert_select "[data-market-table-target='calculator']"
+    assert_match(/CALCULATING FROM LIVE PRICES/, response.body)
+  end
 end
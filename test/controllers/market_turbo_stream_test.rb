@@ -26,4 +26,13 @@ class MarketTurboStreamTest < ActionDispatch::IntegrationTest
     assert_response :success
     assert_select "#user_credits", text: /10,000/
   end
+
+  test "layout renders one credits source and a ticker per header" do
+    get root_path
+    assert_response :success
+    assert_select "#user_credits[data-controller='credits-source'][hidden]", count: 1
+    # Mobile top bar, plus the navigation menu in the drawer and the sidebar
+    assert_select "[data-controller='credits']", count: 3
+    assert_select "[data-controller='credits'] [data-credits-target='amount']", text: "10,000"
+  end
 end
@@ -27,6 +27,14 @@ class NavigationControllerTest < ActionDispatch::IntegrationTest
     assert_select "h3", text: /Reachable Systems/
   end
 
+  test "index shows the sector map" do
+    get navigation_index_path
+    assert_response :success
+    assert_select "[data-controller='sector-map'][data-sector-map-map-value]"
+    assert_select "pre[data-sector-map-target='grid']"
+    assert_select "#sector_map_ships[data-sector-map-target='ships']"
+  end
+
   test "index shows ship info when available" do
     get navigation_index_path
     assert_response :success
@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class OfflineCacheTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  test "layout links the web app manifest" do
+    get root_path
+    assert_select "link[rel='manifest'][href=?]", pwa_manifest_path(format: :json)
+  end
+
+  test "manifest is served" do
+    get pwa_manifest_path(format: :json)
+    assert_response :success
+    assert_equal "Stellarb", JSON.parse(response.body)["name"]
+  end
+
+  test "layout names the one service worker URL every registration uses" do
+    get root_path
+    # lib/service_worker.js and push_subscription_controller.js both register this
+    assert_select "meta[name='service-worker'][content=?]", pwa_service_worker_path(format: :js)
+  end
+
+  test "service worker is served from the site root to signed-out browsers" do
+    sign_out
+
+    # Served from the root, the worker's default scope covers every page of the game
+    assert_equal "/service-worker.js", pwa_service_worker_path(format: :js)
+    get pwa_service_worker_path(format: :js)
+
+    assert_response :success
+    assert_equal "text/javascript", response.media_type
+    assert_match(/max-age=0|no-cache/, response.headers["Cache-Control"], "an outdated worker must not be served from the HTTP cache")
+  end
+
+  test "offline fallback page is served to signed-out browsers" do
+    sign_out
+    get "/offline.html"
+
+    assert_response :success
+    assert_equal "text/html", response.media_type
+    assert_select "[data-offline-fallback]", text: /no offline snapshot/
+  end
+
+  test "market, ship, route and bookmark screens allow an offline snapshot" do
+    [system_market_index_path(systems(:cradle)), ships_path, ship_path(ships(:hauler)), routes_path, bookmarks_path].each do |path|
+      get path
+      assert_response :success
+      assert_equal "allowed", response.headers["X-Offline-Snapshot"], "#{path} should be snapshotted"
+    end
+  end
+
+  test "other screens are never kept as offline snapshots" do
+    [root_path, inbox_index_path, new_ship_path].each do |path|
+      get path
+      assert_response :success
+      assert_nil response.headers["X-Offline-Snapshot"], "#{path} should not be snapshotted"
+    end
+  end
+end
@@ -26,4 +26,30 @@ class ProfileControllerSoundTest < ActionDispatch::IntegrationTest
     @user.reload
     assert_not @user.sound_enabled?
   end
+
+  test "category volumes from the sliders are saved as levels" do
+    patch profile_url, params: { user: { name: @user.name, sound_volumes: { "ui" => "25", "alerts" => "100" } } }
+    assert_equal({ "ui" => 25, "alerts" => 100 }, @user.reload.sound_volumes)
+  end
+
+  test "unknown sound categories are rejected" do
+    patch profile_url, params: { user: { name: @user.name, sound_volumes: { "explosions" => "100" } } }
+    assert_response :unprocessable_entity
+    assert_equal({}, @user.reload.sound_volumes)
+  end
+
+  test "profile edit has a volume slider per category" do
+    get edit_profile_url
+    assert_response :success
+
+    User::SOUND_CATEGORIES.each do |category|
+      assert_select "[data-controller='audio'] input[type='range'][name='user[sound_volumes][#{category}]'][data-action='input->audio#syncVolume']"
+    end
+  end
+
+  test "layout exposes the category volumes to the sound manager" do
+    @user.update!(sound_volumes: { "ambient" => 0 })
+    get root_url
+    assert_select "body[data-sound-volumes=?]", User::SOUND_VOLUME_DEFAULTS.merge("ambient" => 0).to_json
+  end
 end
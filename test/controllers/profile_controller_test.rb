@@ -67,6 +67,13 @@ class ProfileControllerTest < ActionDispatch::IntegrationTest
     assert_not_nil @user.profile_completed_at
   end
 
+  test "preference syncs do not complete the profile" do
+    @user.update!(profile_completed_at: nil)
+    patch profile_path, params: { user: { keymap: { "menu.next" => "n" } } }, as: :json
+    assert_response :no_content
+    assert_nil @user.reload.profile_completed_at
+  end
+
   test "update with blank name shows error" do
     patch profile_path, params: { user: { name: "" } }
     assert_response :unprocessable_entity
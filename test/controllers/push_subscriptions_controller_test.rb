@@ -0,0 +1,99 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PushSubscriptionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:pilot)
+    sign_in_as(@user)
+  end
+
+  def subscription_json(endpoint = "https://fcm.googleapis.com/fcm/send/abc")
+    { subscription: { endpoint: endpoint, keys: { p256dh: "p256dh-key", auth: "auth-key" } } }
+  end
+
+  test "create stores the browser subscription" do
+    assert_difference -> { @user.push_subscriptions.count }, 1 do
+      post push_subscription_path, params: subscription_json, as: :json
+    end
+
+    assert_response :created
+    subscription = @user.push_subscriptions.last
+    assert_equal "p256dh-key", subscription.p256dh_key
+    assert_equal "auth-key", subscription.auth_key
+  end
+
+  test "create is idempotent per endpoint" do
+    post push_subscription_path, params: subscription_json, as: :json
+
+    assert_no_difference -> { PushSubscription.count } do
+      post push_subscription_path, params: subscription_json, as: :json
+    end
+  end
+
+  test "create refuses an endpoint registered to another player" do
+    other = users(:one).push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc", p256dh_key: "theirs", auth_key: "theirs")
+
+    assert_no_difference -> { PushSubscription.count } do
+      post push_subscription_path, params: subscription_json, as: :json
+    end
+
+    assert_response :unprocessable_entity
+    other.reload
+    assert_equal users(:one), other.user
+    assert_equal "theirs", other.p256dh_key
+  end
+
+  test "create rejects endpoints that are not a browser push service" do
+    [
+      "http://fcm.googleapis.com/fcm/send/abc",
+      "https://localhost/push",
+      "https://169.254.169.254/latest/meta-data",
+      "https://fcm.googleapis.com.attacker.example/abc",
+      "https://user@fcm.googleapis.com/abc",
+      "https://fcm.googleapis.com:8443/abc",
+      "not a url at all"
+    ].each do |endpoint|
+      assert_no_difference -> { PushSubscription.count }, endpoint do
+        post push_subscription_path, params: subscription_json(endpoint), as: :json
+      end
+      assert_response :unprocessable_entity
+    end
+  end
+
+  test "create accepts the browsers' push services" do
+    %w[
+      https://fcm.googleapis.com/fcm/send/abc
+      https://updates.push.services.mozilla.com/wpush/v2/abc
+      https://web.push.apple.com/abc
+      https://wns2-by3p.notify.windows.com/w/?token=abc
+    ].each do |endpoint|
+      post push_subscription_path, params: subscription_json(endpoint), as: :json
+      assert_response :created, endpoint
+    end
+  end
+
+  test "create rejects a subscription without keys" do
+    post push_subscription_path, params: { subscription: { endpoint: "https://fcm.googleapis.com/fcm/send/x" } }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "destroy removes the browser subscription" do
+    post push_subscription_path, params: subscription_json, as: :json
+
+    assert_difference -> { @user.push_subscriptions.count }, -1 do
+      delete push_subscription_path, params: { subscription: { endpoint: "https://fcm.googleapis.com/fcm/send/abc" } }, as: :json
+    end
+
+    assert_response :no_content
+  end
+
+  test "service worker handles push and notification clicks" do
+    get pwa_service_worker_path(format: :js)
+
+    assert_response :success
+    assert_includes response.body, 'addEventListener("push"'
+    assert_includes response.body, 'addEventListener("notificationclick"'
+  end
+end
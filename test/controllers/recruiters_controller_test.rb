@@ -257,6 +257,20 @@ class RecruitersControllerTest < ActionDispatch::IntegrationTest
     assert_equal initial_credits - hire_cost, @user.credits
   end
 
+  test "hire tells the credits ticker it paid wages" do
+    @user.update!(credits: 5000)
+
+    streams = capture_turbo_stream_broadcasts "user_#{@user.id}_notifications" do
+      perform_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+        post hire_recruiter_path(@recruit), params: { assignable_type: "Ship", assignable_id: ships(:hauler).id }
+      end
+    end
+
+    credits = streams.find { |stream| stream["target"] == "user_credits" }.at("#user_credits")
+    assert_equal "wages", credits["data-category"]
+    assert_match(/\AHired /, credits["data-reason"])
+  end
+
   test "hire fails when user has insufficient credits" do
     ship = ships(:hauler)
     @user.update!(credits: 0)
@@ -124,4 +124,17 @@ class RouteIntentsControllerTest < ActionDispatch::IntegrationTest
     @route.reload
     assert_equal "gold", @route.stops[0]["intents"][0]["commodity"]
   end
+
+  test "rejected intent renders a flash the auto-saver can show" do
+    @route.update!(stops: [{ "system_id" => 1, "system" => "A", "intents" => [] }])
+
+    post route_stop_intents_path(@route, 0), params: {
+      intent: { type: "buy", commodity: "ore", quantity: 10 }
+    }, as: :turbo_stream
+
+    assert_response :unprocessable_entity
+    assert_includes response.body, 'target="flash_messages"'
+    assert_includes response.body, "requires max_price"
+    assert_empty @route.reload.stops[0]["intents"]
+  end
 end
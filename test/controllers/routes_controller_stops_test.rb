@@ -91,6 +91,115 @@ class RoutesControllerStopsTest < ActionDispatch::IntegrationTest
     assert_equal "A", @route.stops[2]["system"]
   end
 
+  test "PATCH reorder_stop re-renders the list with stop ids in the new order" do
+    @route.update!(stops: [
+      { "system_id" => 1, "system" => "A", "intents" => [] },
+      { "system_id" => 2, "system" => "B", "intents" => [{ "type" => "buy", "commodity" => "Iron", "quantity" => 5, "max_price" => 10 }] }
+    ])
+
+    patch reorder_route_stop_path(@route, 1), params: { to: 0 }, as: :turbo_stream
+
+    assert_response :success
+    assert_includes response.body, 'id="stop_0_intent_0"'
+    assert_match(/id="stop_0".*B.*id="stop_1".*A/m, response.body)
+  end
+
+  test "PATCH reorder_stop rejects an out-of-range position and re-renders the saved order" do
+    @route.update!(stops: [
+      { "system_id" => 1, "system" => "A", "intents" => [] },
+      { "system_id" => 2, "system" => "B", "intents" => [] }
+    ])
+
+    patch reorder_route_stop_path(@route, 0), params: { to: 5 }, as: :turbo_stream
+
+    assert_response :unprocessable_entity
+    assert_equal %w[A B], @route.reload.stops.map { |stop| stop["system"] }
+    assert_includes response.body, 'target="stops_list"'
+    assert_includes response.body, "Could not move stop 1"
+  end
+
+  test "GET edit_stops renders drag handles and the reorder endpoint" do
+    @route.update!(stops: [{ "system_id" => 1, "system" => "A", "intents" => [] }])
+
+    get edit_stops_route_path(@route)
+
+    assert_select "[data-route-stops-edit-stops-url-value=?]", route_stops_path(@route)
+    assert_select "#stop_0 [draggable='true'][data-action*='route-stops-edit#dragStart']"
+  end
+
+  test "GET edit_stops points failed reorders at a list the server renders" do
+    @route.update!(stops: [{ "system_id" => 1, "system" => "A", "intents" => [] }])
+
+    get edit_stops_route_path(@route)
+
+    # route_stops_edit_controller.js reloads #stops_list from this page
+    assert_select "[data-route-stops-edit-list-url-value=?]", edit_stops_route_path(@route)
+    assert_select "#stops_list[data-route-stops-edit-target='list'] #stop_0"
+  end
+
+  test "GET edit_stops renders auto-saving forms for stops and intents" do
+    @route.update!(stops: [
+      { "system_id" => systems(:cradle).id, "system" => "Cradle", "intents" => [
+        { "type" => "buy", "commodity" => "Iron", "quantity" => 5, "max_price" => 10 },
+        { "type" => "sell", "commodity" => "Iron", "quantity" => 5, "min_price" => 20 }
+      ] }
+    ])
+
+    get edit_stops_route_path(@route)
+
+    assert_select "[data-route-stops-edit-target='autosave'][action=?]", route_stop_path(@route, 0) do
+      assert_select "select[name='stop[system_id]'] option[selected][value=?]", systems(:cradle).id.to_s
+      assert_select "[data-autosave-status]"
+    end
+    assert_select "form[action=?][data-action*='route-stops-edit#autoSave']", route_stop_intent_path(@route, 0, 0) do
+      assert_select "input[name='intent[quantity]'][value='5']"
+      assert_select "input[name='intent[max_price]'][value='10']"
+      assert_select "input[name='intent[min_price]']", count: 0
+    end
+    assert_select "form[action=?] input[name='intent[min_price]'][value='20']", route_stop_intent_path(@route, 0, 1)
+    assert_select "[data-action*='beforeunload@window->route-stops-edit#warnBeforeUnload']"
+  end
+
+  test "GET edit_stops feeds the loop simulator the ship's capacity and each intent" do
+    @route.update!(stops: [
+      { "system_id" => 1, "system" => "A", "intents" => [
+        { "type" => "load", "commodity" => "Iron", "quantity" => 5, "max_price" => 10 }
+      ] }
+    ])
+
+    get edit_stops_route_path(@route)
+
+    assert_select "[data-controller~='route-simulator'][data-route-simulator-capacity-value=?]", @route.ship.cargo_capacity.to_s
+    assert_select "#stop_0[data-route-simulator-target='stop'][data-stop-system='A']"
+    assert_select "#stop_0_intent_0[data-route-simulator-target='intent'][data-intent-type='load'][data-intent-commodity='Iron']" do
+      assert_select "[data-simulator-flag]"
+    end
+    assert_select "[data-route-simulator-target='summary']"
+  end
+
+  test "GET edit_stops leaves capacity unchecked for a route without a ship" do
+    @route.update!(ship: nil)
+
+    get edit_stops_route_path(@route)
+
+    assert_select "[data-controller~='route-simulator']"
+    assert_select "[data-route-simulator-capacity-value]", count: 0
+  end
+
+  test "loop simulator reads buy/load with a max price and sell/unload with a min price" do
+    intents = %w[buy load sell unload].map { |type| { "type" => type, "commodity" => "Iron", "quantity" => 5 } }
+    @route.update!(stops: [{ "system_id" => 1, "system" => "A", "intents" => intents }])
+
+    get edit_stops_route_path(@route)
+
+    { 0 => "max_price", 1 => "max_price", 2 => "min_price", 3 => "min_price" }.each do |index, price_field|
+      assert_select "#stop_0_intent_#{index}[data-route-simulator-target='intent'][data-intent-type=?]", intents[index]["type"] do
+        assert_select "input[name='intent[quantity]'][value='5']"
+        assert_select "input[name=?]", "intent[#{price_field}]"
+      end
+    end
+  end
+
   # ===========================================
   # update_stop - Update stop system
   # ===========================================
@@ -59,6 +59,19 @@ class ShipsControllerPurchaseTest < ActionDispatch::IntegrationTest
     assert_equal initial_credits - ship_cost, @user.reload.credits
   end
 
+  test "create tells the credits ticker about the purchase" do
+    streams = capture_turbo_stream_broadcasts "user_#{@user.id}_notifications" do
+      perform_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+        post ships_path, params: { ship: { name: "Ledger Ship", race: "myrmidon", hull_size: "scout" } }
+      end
+    end
+
+    credits = streams.find { |stream| stream["target"] == "user_credits" }.at("#user_credits")
+    assert_equal "purchase", credits["data-category"]
+    assert_equal "Bought Ledger Ship", credits["data-reason"]
+    assert_equal @user.reload.credits.to_i.to_s, credits["data-credits"]
+  end
+
   test "create sets ship at correct system" do
     post ships_path, params: {
       ship: { name: "Location Test", race: "vex", hull_size: "frigate" },
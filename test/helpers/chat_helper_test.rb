@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ChatHelperTest < ActionView::TestCase
+  include ChatHelper
+
+  def message(body, user: users(:pilot))
+    ChatMessage.new(user: user, channel: "Global", body: body)
+  end
+
+  test "links system, ship and commodity references into the content panel" do
+    html = chat_message_body(message("[[commodity:Iron@sy-cra]] cheap at [[system:sy-cra]], ask [[ship:sh-hau]]"))
+
+    assert_includes html, %(href="#{system_market_index_path(systems(:cradle))}")
+    assert_includes html, %(href="#{system_path(systems(:cradle))}">The Cradle</a>)
+    assert_includes html, "ask Stellar Hauler"
+    assert_includes html, %(data-turbo-frame="content_panel")
+  end
+
+  test "names only the author's ships, never where they are" do
+    html = chat_message_body(message("[[ship:sh-hau]] and [[ship:sh-tra]]"))
+
+    assert_equal "#{ships(:hauler).name} and [[ship:sh-tra]]", html
+  end
+
+  test "leaves unknown references as typed and escapes the rest" do
+    html = chat_message_body(message("[[system:sy-nope]] <b>hi</b> [[commodity:Unobtainium@sy-cra]]"))
+
+    assert_includes html, "[[system:sy-nope]]"
+    assert_includes html, "&lt;b&gt;hi&lt;/b&gt;"
+    assert_includes html, "[[commodity:Unobtainium@sy-cra]]"
+    assert_not_includes html, "<a"
+  end
+
+  test "names ships in transit without a link" do
+    html = chat_message_body(message("[[ship:sh-tra]] inbound", user: users(:traveler)))
+    assert_equal "#{ships(:traveling).name} inbound", html
+  end
+
+  test "location is the current ship and its system" do
+    location = chat_location(users(:pilot))
+    ship = users(:pilot).current_ship
+
+    assert_equal ship.short_id, location[:ship]
+    assert_equal ship.current_system.short_id, location[:system]
+    assert_equal [ship.current_system.x, ship.current_system.y, ship.current_system.z], location[:coordinates]
+  end
+end
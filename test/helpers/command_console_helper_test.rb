@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class CommandConsoleHelperTest < ActionView::TestCase
+  include CommandConsoleHelper
+
+  def setup
+    @user = users(:pilot)
+  end
+
+  test "catalog lists visited systems with ids for warp requests" do
+    catalog = command_console_catalog(@user)
+    cradle = systems(:cradle)
+
+    assert_includes catalog[:systems], { id: cradle.id, short_id: "sy-cra", name: cradle.name }
+  end
+
+  test "catalog excludes systems the user has not visited" do
+    catalog = command_console_catalog(@user)
+    visited_ids = @user.visited_systems.pluck(:id)
+
+    assert catalog[:systems].all? { |system| visited_ids.include?(system[:id]) }
+  end
+
+  test "catalog lists operational ships with their docked system" do
+    catalog = command_console_catalog(@user)
+    hauler = catalog[:ships].find { |ship| ship[:short_id] == "sh-hau" }
+
+    assert_equal "Stellar Hauler", hauler[:name]
+    assert_equal "docked", hauler[:status]
+    assert_equal "sy-cra", hauler[:system_id]
+  end
+
+  test "catalog names bookmarks by label, falling back to system name" do
+    cradle = systems(:cradle)
+    @user.bookmarks.create!(system: cradle)
+
+    catalog = command_console_catalog(@user)
+    assert_includes catalog[:bookmarks].map { |b| b[:name] }, cradle.name
+  end
+
+  test "catalog includes minerals and components as commodities" do
+    catalog = command_console_catalog(@user)
+
+    assert_includes catalog[:commodities], "Iron"
+    assert_includes catalog[:commodities], Components.names.first
+  end
+end
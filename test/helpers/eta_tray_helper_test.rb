@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class EtaTrayHelperTest < ActionView::TestCase
+  include EtaTrayHelper
+
+  test "lists ships in transit, constructions and the recruit pool refresh, soonest first" do
+    user = users(:traveler)
+    building = Building.create!(
+      user: user,
+      system: systems(:cradle),
+      name: "Tray Depot",
+      function: "defense",
+      race: "vex",
+      tier: 1,
+      status: "under_construction",
+      construction_ends_at: 1.minute.from_now
+    )
+
+    items = eta_tray_items(user)
+
+    assert_equal items.sort_by { |item| item[:at] }, items
+    assert_equal building_path(building), items.first[:path]
+    assert items.any? { |item| item[:path] == ship_path(ships(:traveling)) }
+    assert items.any? { |item| item[:path] == recruiters_path }
+  end
+
+  test "leaves out timers that have already run out" do
+    user = users(:traveler)
+    ships(:traveling).update!(arrival_at: 1.minute.ago)
+
+    assert_not eta_tray_items(user).any? { |item| item[:path] == ship_path(ships(:traveling)) }
+  end
+end
@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ExplorationHelperTest < ActionView::TestCase
+  test "radar_preview_form wires the form to the radar preview" do
+    data = radar_preview_form("+x", "Spinward")[:data]
+
+    assert_equal "mode", data[:exploration_radar_target]
+    assert_equal "+x", data[:preview]
+    assert_equal "Spinward", data[:preview_label]
+    assert_includes data[:action], "mouseenter->exploration-radar#preview"
+    assert_includes data[:action], "focusout->exploration-radar#clearPreview"
+  end
+end
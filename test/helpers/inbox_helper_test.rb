@@ -42,4 +42,38 @@ class InboxHelperTest < ActionView::TestCase
     @user.messages.update_all(read_at: Time.current)
     assert_nil unread_badge(@user)
   end
+
+  test "inbox_category groups message categories for the filter bar" do
+    assert_equal "arrival", inbox_category(Message.new(category: "travel"))
+    assert_equal "incident", inbox_category(Message.new(category: "combat"))
+    assert_equal "auction", inbox_category(Message.new(category: "seizure_warning"))
+    assert_equal "system", inbox_category(Message.new(category: "reward"))
+    assert_equal "system", inbox_category(Message.new(category: nil))
+  end
+
+  test "inbox_asset_options lists each ship or building once" do
+    ship = ships(:hauler)
+    messages = [
+      Message.new(asset: ship),
+      Message.new(asset: ship),
+      Message.new
+    ]
+
+    assert_equal [[ship.name, "Ship:#{ship.id}"]], inbox_asset_options(messages)
+    assert_nil inbox_asset_key(nil)
+  end
+
+  test "inbox_actions posts commands by position and links navigation" do
+    message = messages(:pilot_welcome)
+    message.actions = [
+      Message.action(:repair_ship, ship_id: ships(:hauler).id, label: "Repair Stellar Hauler"),
+      { "kind" => "retired_kind", "ship_id" => 1 },
+      Message.action(:view_auction, auction_id: 7)
+    ]
+
+    assert_equal [
+      { label: "Repair Stellar Hauler", risky: true, navigate: false, url: act_inbox_path(message, index: 0) },
+      { label: "View auction", risky: false, navigate: true, url: auction_path(7) }
+    ], inbox_actions(message)
+  end
 end
@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class KeyboardNavigationHelperTest < ActionView::TestCase
+  include KeyboardNavigationHelper
+
+  def setup
+    @user = users(:pilot)
+  end
+
+  test "gm jumps to the market where a ship is docked" do
+    markets = @user.ships.docked.map { |ship| "/systems/#{ship.current_system.short_id}/market" }
+    assert_includes markets, docked_market_path(@user)
+  end
+
+  test "no market path while every ship is away" do
+    @user.ships.update_all(status: "in_transit", current_system_id: nil)
+    assert_nil docked_market_path(@user)
+  end
+end
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class MarketHelperTest < ActionView::TestCase
+  include MarketHelper
+
+  test "market rows carry prices, spread and stock for the market table" do
+    item = { commodity: "Iron", category: "metal", buy_price: 110, sell_price: 90, inventory: 40, breakdown: { final_price: 100 } }
+
+    data = market_row_data(item)
+
+    assert_equal "row", data[:market_table_target]
+    assert_equal 20, data[:spread]
+    assert_equal 40, data[:stock]
+    assert_equal 100, data[:base_price]
+  end
+
+  test "owner tax falls back to the buy price without a breakdown" do
+    data = market_row_data({ commodity: "Widget", buy_price: 50, sell_price: 50, inventory: 0, breakdown: nil })
+
+    assert_equal 50, data[:base_price]
+    assert_equal 0, data[:spread]
+  end
+
+  test "price journal records live prices as seen now" do
+    system = systems(:cradle)
+    item = { commodity: "Iron", buy_price: 11, sell_price: 9, inventory: 40 }
+
+    freeze_time do
+      data = price_journal_data(system, [item], live: true, snapshot_at: 2.days.ago)
+
+      assert_equal users(:pilot).id, data[:price_journal_player_value]
+      assert_equal Time.current.iso8601, data[:price_journal_observed_at_value]
+      assert_equal "live", data[:price_journal_source_value]
+      assert_equal [{ "commodity" => "Iron", "buyPrice" => 11, "sellPrice" => 9, "stock" => 40 }],
+        JSON.parse(data[:price_journal_prices_value])
+      assert_equal system.x, JSON.parse(data[:price_journal_system_value])["x"]
+    end
+  end
+
+  test "price journal dates remembered prices to the visit snapshot" do
+    snapshot_at = 3.hours.ago
+
+    data = price_journal_data(systems(:cradle), [], live: false, snapshot_at: snapshot_at)
+
+    assert_equal snapshot_at.iso8601, data[:price_journal_observed_at_value]
+    assert_equal "remembered", data[:price_journal_source_value]
+  end
+
+  private
+
+  def current_user
+    users(:pilot)
+  end
+end
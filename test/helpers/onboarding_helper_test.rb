@@ -29,4 +29,23 @@ class OnboardingHelperTest < ActionView::TestCase
     assert_equal 6, User::ONBOARDING_STEPS.length
     assert_equal %w[profile_setup ships_tour navigation_tutorial trade_routes workers_overview inbox_introduction], User::ONBOARDING_STEPS
   end
+
+  test "onboarding_tour lists the step's tour" do
+    tour = onboarding_tour("navigation_tutorial")
+
+    assert_equal %w[navigation.menu navigation.first_warp], tour.map { |step| step[:id] }
+    assert_equal "turbo:submit-end", tour.last[:advance][:event]
+  end
+
+  test "onboarding_tour is empty for steps that only highlight" do
+    assert_equal [], onboarding_tour("workers_overview")
+    assert_equal [], onboarding_tour("unknown_step")
+  end
+
+  test "tour steps have unique ids and a target" do
+    steps = OnboardingHelper::STEP_CONFIGS.values.flat_map { |config| config[:tour] || [] }
+
+    assert_equal steps.size, steps.map { |step| step[:id] }.uniq.size
+    steps.each { |step| assert step[:target].present?, "Tour step #{step[:id]} should have a target" }
+  end
 end
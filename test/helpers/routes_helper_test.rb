@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class RoutesHelperTest < ActionView::TestCase
+  include RoutesHelper
+
+  test "stop system options select the stop's system" do
+    cradle = systems(:cradle)
+    html = stop_system_options({ "system_id" => cradle.id, "system" => cradle.name })
+
+    assert_includes html, %(<option selected="selected" value="#{cradle.id}">#{cradle.name}</option>)
+  end
+
+  test "a stop's system is offered even when it is not in the list" do
+    html = stop_system_options({ "system_id" => 0, "system" => "Lost Colony" })
+
+    assert_includes html, %(<option selected="selected" value="0">Lost Colony</option>)
+  end
+
+  test "stop system options reuse the systems the page already loaded" do
+    @available_systems = System.where(id: systems(:mira_station).id)
+
+    html = stop_system_options({ "system_id" => systems(:mira_station).id, "system" => "Mira Station" })
+
+    assert_not_includes html, systems(:cradle).name
+  end
+end
@@ -40,4 +40,9 @@ class SoundHelperTest < ActionView::TestCase
     result = sound_tag("/sounds/test.mp3")
     assert_nil result
   end
+
+  test "sound_tag names the volume category" do
+    assert_match 'data-audio-category-value="notifications"', sound_tag("/sounds/test.mp3").to_s
+    assert_match 'data-audio-category-value="alerts"', sound_tag("/sounds/test.mp3", category: "alerts").to_s
+  end
 end
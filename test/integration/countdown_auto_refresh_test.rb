@@ -75,6 +75,57 @@ class CountdownAutoRefreshTest < ActionDispatch::IntegrationTest
     building.destroy
   end
 
+  test "building construction countdown on show has a progress bar from the start of construction" do
+    user = users(:pilot)
+    sign_in_as(user)
+
+    building = Building.create!(
+      user: user,
+      system: systems(:cradle),
+      name: "Test Construction Site",
+      function: "defense",
+      race: "vex",
+      tier: 1,
+      status: "under_construction",
+      construction_ends_at: 1.hour.from_now
+    )
+
+    get building_path(building)
+    assert_response :success
+
+    assert_select "[data-controller='countdown'][data-countdown-start-value='#{building.created_at.iso8601}']" do
+      assert_select "[data-countdown-target='display'][data-action='countdown#toggle']"
+      assert_select "[data-countdown-target='progress']"
+    end
+
+    building.destroy
+  end
+
+  test "layout stamps the server time for countdown skew correction" do
+    sign_in_as(users(:pilot))
+
+    get navigation_index_path
+    assert_response :success
+
+    assert_select "meta[name='server-time']" do |metas|
+      assert_in_delta Time.current, Time.iso8601(metas.first["content"]), 1.minute
+    end
+  end
+
+  test "countdown arrivals are heard by the ETA tray around them" do
+    ship = ships(:hauler)
+    ship.update!(status: "in_transit", current_system: nil, destination_system: systems(:mira_station), arrival_at: 20.minutes.from_now)
+    sign_in_as(users(:pilot))
+
+    get navigation_index_path
+    assert_response :success
+
+    assert_select "#eta_tray[data-action~='countdown:arrived->eta-tray#complete']" do
+      assert_select "[data-controller='countdown'][data-countdown-arrival-value=?][data-countdown-refresh-value='false']",
+        ship.arrival_at.iso8601
+    end
+  end
+
   test "recruiter pool refresh countdown has correct frame target" do
     user = users(:pilot)
     sign_in_as(user)
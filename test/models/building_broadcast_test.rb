@@ -96,6 +96,21 @@ class BuildingBroadcastTest < ActiveSupport::TestCase
     refute broadcast_called, "broadcast_construction_complete should not be called when construction is in the future"
   end
 
+  test "starting construction refreshes the ETA tray" do
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      Building.create!(
+        user: @user,
+        system: @system,
+        name: "Tray Facility",
+        race: "vex",
+        function: "defense",
+        tier: 1,
+        status: "under_construction",
+        construction_ends_at: 1.hour.from_now
+      )
+    end
+  end
+
   test "building includes Turbo::Broadcastable" do
     assert Building.include?(Turbo::Broadcastable),
       "Building should include Turbo::Broadcastable"
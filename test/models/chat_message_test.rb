@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ChatMessageTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:pilot)
+  end
+
+  test "requires a known channel and a body" do
+    assert_not ChatMessage.new(user: @user, channel: "Pirates", body: "Arr").valid?
+    assert_not ChatMessage.new(user: @user, channel: "Global", body: "   ").valid?
+    assert_not ChatMessage.new(user: @user, channel: "Global", body: "x" * (ChatMessage::MAX_LENGTH + 1)).valid?
+    assert ChatMessage.new(user: @user, channel: "Global", body: "Hello").valid?
+  end
+
+  test "may only mention the author's own ships" do
+    assert ChatMessage.new(user: @user, channel: "Global", body: "[[ship:sh-hau]] at [[system:sy-cra]]").valid?
+
+    message = ChatMessage.new(user: @user, channel: "Global", body: "[[ship:sh-hau]] and [[ship:sh-tra]]")
+    assert_not message.valid?
+    assert_includes message.errors[:body], "can only mention your own ships"
+  end
+
+  test "strips surrounding whitespace from the body" do
+    message = ChatMessage.create!(user: @user, channel: "Global", body: "  Hello  ")
+    assert_equal "Hello", message.body
+  end
+
+  test "page returns the newest messages oldest first, or the ones before an id" do
+    messages = Array.new(ChatMessage::PAGE_SIZE + 5) { |i| ChatMessage.create!(user: @user, channel: "Trade", body: "Offer #{i}") }
+
+    page = ChatMessage.page("Trade")
+    assert_equal messages.last(ChatMessage::PAGE_SIZE).map(&:id), page.map(&:id)
+
+    older = ChatMessage.page("Trade", before_id: page.first.id)
+    assert_equal messages.first(5).map(&:id), older.map(&:id)
+  end
+
+  test "new messages are broadcast to the channel stream" do
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      ChatMessage.create!(user: @user, channel: "Guild", body: "Meeting at Cradle")
+    end
+  end
+
+  test "stream and list names are per channel" do
+    assert_equal "chat_trade", ChatMessage.stream_name("Trade")
+    assert_equal "chat_messages_trade", ChatMessage.list_target("Trade")
+  end
+end
@@ -101,6 +101,17 @@ class ExploredCoordinateTest < ActiveSupport::TestCase
     end
   end
 
+  # ===========================================
+  # Scopes
+  # ===========================================
+
+  test "within returns coordinates inside the cube around a point" do
+    inside = ExploredCoordinate.create!(user: @user, x: 2, y: -2, z: 1)
+    ExploredCoordinate.create!(user: @user, x: 3, y: 0, z: 0)
+
+    assert_equal [inside], ExploredCoordinate.within(x: 0, y: 0, z: 0, radius: 2).to_a
+  end
+
   # ===========================================
   # Associations
   # ===========================================
@@ -40,6 +40,19 @@ class IncidentTest < ActiveSupport::TestCase
     @hired_recruit = HiredRecruit.create_from_recruit!(@recruit, @user)
   end
 
+  # === Screen-reader announcements ===
+
+  test "critical incidents are announced as urgent" do
+    @user.update!(announcer_verbosity: "important")
+
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      Incident.create!(asset: @ship, severity: 4, description: "Reactor breach", is_pip_infestation: false)
+    end
+    assert_no_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+      Incident.create!(asset: @ship, severity: 1, description: "Sensors misalignment", is_pip_infestation: false)
+    end
+  end
+
   # === Severity Tiers (T1-T5) ===
 
   test "T1 incident: minor glitch with 5% functionality loss" do
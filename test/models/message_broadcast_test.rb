@@ -29,4 +29,36 @@ class MessageBroadcastTest < ActiveSupport::TestCase
     expected_target = "inbox_unread_badge_user_#{@user.id}"
     assert_equal expected_target, message.broadcast_unread_badge_target
   end
+
+  test "broadcast_inbox_target is the notifications stream" do
+    message = messages(:unread_message_one)
+    assert_equal "user_#{@user.id}_notifications", message.broadcast_inbox_target
+  end
+
+  test "new messages are also prepended to the inbox list" do
+    callbacks = Message._commit_callbacks.select { |c| c.filter == :broadcast_to_inbox }
+    assert callbacks.any?, "Message should have after_commit callback for broadcast_to_inbox"
+
+    # Unread badge, notification sound and the inbox row
+    assert_enqueued_jobs 3, only: Turbo::Streams::ActionBroadcastJob do
+      Message.create!(user: @user, title: "Test", body: "Test body", from: "System")
+    end
+  end
+
+  test "alert messages play their sound in the alerts category" do
+    streams = capture_turbo_stream_broadcasts "user_#{@user.id}_notifications" do
+      perform_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+        Message.create!(user: @user, title: "Pirates", body: "Hull breached", from: "Ship AI", category: "combat")
+      end
+    end
+
+    sound = streams.find { |stream| stream["target"] == "sounds" }
+    assert_equal "alerts", sound.at("[data-controller='audio']")["data-audio-category-value"]
+  end
+
+  test "sound_category keeps ordinary messages on the notifications volume" do
+    assert_equal "notifications", Message.new(category: "reward").sound_category
+    assert_equal "alerts", Message.new(category: "reward", urgent: true).sound_category
+    assert_equal "alerts", Message.new(category: "incident").sound_category
+  end
 end
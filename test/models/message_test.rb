@@ -89,4 +89,24 @@ class MessageTest < ActiveSupport::TestCase
     # Verify the broadcast stream name is correct
     assert_equal "user_#{user.id}_notifications", "user_#{message.user_id}_notifications"
   end
+
+  test "action builds a descriptor for a known kind" do
+    assert_equal({ "kind" => "repair_ship", "ship_id" => 4 }, Message.action(:repair_ship, ship_id: 4))
+    assert_equal "Warp to Sol", Message.action(:warp_to_system, system_id: 1, label: "Warp to Sol")["label"]
+    assert_raises(ArgumentError) { Message.action(:self_destruct, ship_id: 4) }
+  end
+
+  test "actions must be known descriptors naming their record" do
+    message = Message.new(user: users(:one), title: "Test", body: "Test body", from: "System")
+
+    message.actions = [{ "kind" => "repair_ship" }]
+    assert_not message.valid?
+    assert message.errors[:actions].any?
+
+    message.actions = Array.new(Message::MAX_ACTIONS + 1) { Message.action(:view_auction, auction_id: 1) }
+    assert_not message.valid?
+
+    message.actions = [Message.action(:view_auction, auction_id: 1)]
+    assert message.valid?
+  end
 end
@@ -36,6 +36,17 @@ class RouteTest < ActiveSupport::TestCase
     assert route.errors[:user].present?
   end
 
+  test "stop_ids builds stops in the order given" do
+    cradle = systems(:cradle)
+    mira = systems(:mira_station)
+
+    route = @user.routes.create!(name: "Planned", ship: @ship, stop_ids: [mira.id.to_s, cradle.id.to_s])
+
+    assert_equal [mira.id, cradle.id], route.stops.map { |stop| stop["system_id"] }
+    assert_equal "Mira Station", route.stops.first["system"]
+    assert route.short_id.start_with?("rt-mt")
+  end
+
   test "route generates short_id on create" do
     route = @user.routes.create!(name: "My Route", ship: @ship, stops: [])
     assert route.short_id.present?
@@ -110,6 +110,24 @@ class ShipBroadcastTest < ActiveSupport::TestCase
     refute broadcast_called, "broadcast_arrival should not be called when arrival is in the future"
   end
 
+  test "starting a journey refreshes the ETA tray and the sector map" do
+    assert_enqueued_jobs 2, only: Turbo::Streams::ActionBroadcastJob do
+      @ship.update!(arrival_at: 1.hour.from_now)
+    end
+  end
+
+  test "a status change redraws the sector map" do
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      @ship.update!(status: "docked", current_system: @destination)
+    end
+  end
+
+  test "other ship updates leave the ETA tray alone" do
+    assert_no_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+      @ship.update!(fuel: 50.0)
+    end
+  end
+
   test "ship includes Turbo::Broadcastable" do
     assert Ship.include?(Turbo::Broadcastable),
       "Ship should include Turbo::Broadcastable"
@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class UserAnnouncerTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+  end
+
+  test "announcer verbosity defaults to all" do
+    assert_equal "all", User.new.announcer_verbosity
+  end
+
+  test "announcer verbosity must be a known level" do
+    @user.announcer_verbosity = "chatty"
+    assert_not @user.valid?
+    assert_includes @user.errors[:announcer_verbosity], "is not included in the list"
+  end
+
+  test "announce broadcasts to the user's notifications stream" do
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      @user.announce("Ship Nomad arrived at Talos")
+    end
+  end
+
+  test "important verbosity only broadcasts urgent announcements" do
+    @user.update!(announcer_verbosity: "important")
+
+    assert_no_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+      @user.announce("Ship Nomad arrived at Talos")
+    end
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      @user.announce("Incident on Nomad: critical damage", urgent: true)
+    end
+  end
+
+  test "announcements can be switched off" do
+    @user.update!(announcer_verbosity: "off")
+
+    assert_no_enqueued_jobs only: Turbo::Streams::ActionBroadcastJob do
+      @user.announce("Incident on Nomad: critical damage", urgent: true)
+    end
+  end
+end
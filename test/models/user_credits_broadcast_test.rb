@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class UserCreditsBroadcastTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+  end
+
+  test "broadcast_credits replaces the credits on the user's notifications stream" do
+    assert_enqueued_jobs 1, only: Turbo::Streams::ActionBroadcastJob do
+      @user.broadcast_credits(reason: "Tax on 10 sold at The Cradle", category: "tax")
+    end
+  end
+end
@@ -322,4 +322,50 @@ class ExplorationServiceTest < ActiveSupport::TestCase
 
     assert_equal result1, result2
   end
+
+  # ===========================================
+  # radar tests
+  # ===========================================
+
+  test "radar reports explored coordinates around the ship" do
+    ExploredCoordinate.mark_explored!(user: @user, x: 1, y: 0, z: 0)
+    ExploredCoordinate.mark_explored!(user: @user, x: 9, y: 9, z: 9)
+
+    radar = @service.radar(radius: 2)
+
+    assert_equal [0, 0, 0], radar[:center]
+    assert_equal [ExplorationService::COORD_MIN, ExplorationService::COORD_MAX], radar[:bounds]
+    assert_includes radar[:explored], [1, 0, 0, false]
+    # The visited cradle counts as explored, with a system
+    assert_includes radar[:explored], [0, 0, 0, true]
+    assert_not radar[:explored].any? { |x, y, z, _| [x, y, z] == [9, 9, 9] }
+  end
+
+  test "radar marks unexplored coordinates surrounded by explored ones as gaps" do
+    [[2, 0, 0], [1, 1, 0], [1, -1, 0], [1, 0, 1]].each do |x, y, z|
+      ExploredCoordinate.mark_explored!(user: @user, x: x, y: y, z: z)
+    end
+
+    radar = @service.radar(radius: 2)
+
+    # (1, 0, 0) has the cradle and four explored coordinates around it
+    assert_includes radar[:gaps], [1, 0, 0]
+    assert_not_includes radar[:gaps], [2, 2, 2]
+  end
+
+  test "radar previews each mode's next target and fuel cost" do
+    radar = @service.radar(directions: { "+x" => :spinward })
+    previews = radar[:previews]
+
+    arcs = @service.closest_unexplored
+    assert_equal [arcs[:x], arcs[:y], arcs[:z]], previews[:growing_arcs][:target]
+    assert_equal [1, 0, 0], previews[:single_direction]["+x"][:target]
+    assert_equal 1.0, previews[:single_direction]["+x"][:distance]
+    assert_equal @ship.fuel_required_for_coordinates(1, 0, 0).round(1), previews[:single_direction]["+x"][:fuel_cost]
+    assert previews[:orbit][:affordable]
+  end
+
+  test "preview is nil without a target" do
+    assert_nil @service.preview(nil)
+  end
 end
@@ -0,0 +1,74 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class InboxActionServiceTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:pilot)
+    @ship = ships(:hauler)
+    @ship.ship_attributes["hull_points"] = 50
+    @ship.save!
+  end
+
+  def message_with(*actions)
+    @user.messages.create!(title: "Pirates", body: "Hull breached", from: "Security Alert", actions: actions)
+  end
+
+  test "repair_ship repairs the ship and records the outcome" do
+    message = message_with(Message.action(:repair_ship, ship_id: @ship.id))
+    cost = @ship.repair_cost
+
+    result = InboxActionService.new(message).perform!(0)
+
+    assert result[:success]
+    assert_equal @ship.max_hull_points, @ship.reload.hull_points
+    assert_equal "Repaired #{@ship.name} for #{cost.to_i} credits", message.reload.action_status
+  end
+
+  test "a refused action leaves the status alone" do
+    @ship.update!(status: "in_transit")
+    message = message_with(Message.action(:repair_ship, ship_id: @ship.id))
+
+    result = InboxActionService.new(message).perform!(0)
+
+    assert_not result[:success]
+    assert_equal "Ship must be docked at a system to repair", result[:error]
+    assert_nil message.reload.action_status
+  end
+
+  test "actions only reach the player's own records" do
+    message = message_with(Message.action(:repair_ship, ship_id: ships(:traveling).id))
+
+    result = InboxActionService.new(message).perform!(0)
+
+    assert_equal "That ship is no longer in your fleet", result[:error]
+  end
+
+  test "unknown positions and navigation actions are refused" do
+    message = message_with(Message.action(:view_auction, auction_id: 1))
+    service = InboxActionService.new(message)
+
+    assert_equal "This message has no such action", service.perform!(3)[:error]
+    assert_equal "This message has no such action", service.perform!(-1)[:error]
+    assert_equal "View auction opens its own page", service.perform!(0)[:error]
+  end
+
+  test "warp_to_system is done when a ship is already docked there" do
+    message = message_with(Message.action(:warp_to_system, system_id: systems(:cradle).id))
+
+    result = InboxActionService.new(message).perform!(0)
+
+    assert result[:success]
+    assert_equal "Already docked at #{systems(:cradle).name}", result[:status]
+  end
+
+  test "resolve_incident needs an assistant" do
+    incident = Incident.create!(asset: @ship, severity: 2, description: "Coolant leak")
+    message = message_with(Message.action(:resolve_incident, incident_id: incident.id))
+
+    result = InboxActionService.new(message).perform!(0)
+
+    assert_equal "You have no assistant", result[:error]
+    assert_not incident.reload.resolved?
+  end
+end
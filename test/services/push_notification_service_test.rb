@@ -0,0 +1,135 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PushNotificationServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+
+  setup do
+    @user = users(:pilot)
+    @ship = ships(:hauler)
+    @system = systems(:cradle)
+    @sender = TestPushSender.new
+    PushNotificationService.sender = @sender
+  end
+
+  teardown do
+    PushNotificationService.sender = nil
+  end
+
+  def subscribe(user, endpoint: "https://fcm.googleapis.com/fcm/send/#{SecureRandom.hex(4)}")
+    user.push_subscriptions.create!(endpoint: endpoint, p256dh_key: "p256dh", auth_key: "auth")
+  end
+
+  test "queues nothing for a user without subscriptions" do
+    assert_no_enqueued_jobs only: PushDeliveryJob do
+      assert_equal 0, PushNotificationService.notify(@user, :ship_arrived, ship: @ship, system: @system)
+    end
+  end
+
+  test "queues one delivery per subscribed browser" do
+    subscribe(@user)
+    subscribe(@user)
+
+    assert_enqueued_jobs 2, only: PushDeliveryJob do
+      PushNotificationService.notify(@user, :ship_arrived, ship: @ship, system: @system)
+    end
+  end
+
+  test "delivers the payload through the configured sender" do
+    subscription = subscribe(@user)
+
+    perform_enqueued_jobs do
+      PushNotificationService.notify(@user, :ship_arrived, ship: @ship, system: @system)
+    end
+
+    assert_equal 1, @sender.deliveries.size
+    assert_equal subscription, @sender.deliveries.first[:subscription]
+    assert_equal "#{@ship.name} arrived", @sender.deliveries.first[:payload][:title]
+  end
+
+  test "ship arrival payload opens the ship and collapses by ship" do
+    payload = PushNotificationService.new(@user).payload_for(:ship_arrived, ship: @ship, system: @system)
+
+    assert_equal "Docked at #{@system.name}.", payload[:options][:body]
+    assert_equal "ship-arrived-#{@ship.short_id}", payload[:options][:tag]
+    assert_equal "/ships/#{@ship.short_id}", payload[:options][:data][:path]
+    assert_equal "ship_arrived", payload[:options][:data][:category]
+  end
+
+  test "recruit expiring payload opens the recruit and collapses by recruit" do
+    recruit = recruits(:engineer_bob)
+    payload = PushNotificationService.new(@user).payload_for(:recruit_expiring, recruit: recruit)
+
+    assert_equal "recruit-#{recruit.id}", payload[:options][:tag]
+    assert_equal "/recruiters/#{recruit.id}", payload[:options][:data][:path]
+  end
+
+  test "ship arrival in open space reports coordinates" do
+    payload = PushNotificationService.new(@user).payload_for(:ship_arrived, ship: @ship, system: nil)
+
+    assert_match(/\AArrived at \(/, payload[:options][:body])
+  end
+
+  test "construction payload opens the building" do
+    building = buildings(:mining_facility)
+    payload = PushNotificationService.new(@user).payload_for(:construction_complete, building: building)
+
+    assert_equal "/buildings/#{building.short_id}", payload[:options][:data][:path]
+    assert_equal "construction-#{building.short_id}", payload[:options][:tag]
+    assert_not payload[:options][:requireInteraction]
+  end
+
+  test "rejects unknown categories" do
+    assert_raises(ArgumentError) do
+      PushNotificationService.notify(@user, :market_crash)
+    end
+  end
+
+  test "ship arrival triggers a push" do
+    subscribe(@user)
+    @ship.update!(status: "in_transit", current_system: nil, destination_system: @system, arrival_at: 1.minute.ago)
+
+    assert_enqueued_jobs 1, only: PushDeliveryJob do
+      @ship.check_arrival!
+    end
+  end
+
+  test "construction completion triggers a push" do
+    subscribe(@user)
+    building = buildings(:mining_facility)
+    building.update!(status: "under_construction", construction_ends_at: 1.minute.ago)
+
+    assert_enqueued_jobs 1, only: PushDeliveryJob do
+      building.check_construction_complete!
+    end
+  end
+
+  test "a new incident triggers a push to the asset owner" do
+    subscribe(@user)
+
+    perform_enqueued_jobs only: PushDeliveryJob do
+      Incident.create!(asset: @ship, severity: 4, description: "Reactor breach", is_pip_infestation: false)
+    end
+
+    payload = @sender.deliveries.last[:payload]
+    assert_equal "Incident: #{@ship.name}", payload[:title]
+    assert payload[:options][:requireInteraction]
+  end
+
+  test "being outbid triggers a push to the previous high bidder" do
+    rival = users(:one)
+    rival.update!(credits: 1_000)
+    @user.update!(credits: 1_000)
+    subscribe(@user)
+    auction = SystemAuction.create!(system: systems(:alpha_centauri), status: "active", started_at: 1.hour.ago, ends_at: 1.day.from_now)
+    auction.place_bid!(@user, 100)
+
+    perform_enqueued_jobs only: PushDeliveryJob do
+      auction.place_bid!(rival, 200)
+    end
+
+    assert_equal 1, @sender.deliveries.size
+    assert_equal "Outbid on #{auction.system.name}", @sender.deliveries.first[:payload][:title]
+  end
+end
@@ -0,0 +1,65 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class SectorMapServiceTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:pilot)
+    @ship = ships(:hauler)
+    @cradle = systems(:cradle)
+    @mira = systems(:mira_station)
+  end
+
+  test "centres on the ship's system" do
+    map = SectorMapService.new(@user, @ship).call
+
+    assert_equal [500, 500, 500], map[:center]
+    assert_equal @cradle.id, map[:current_system_id]
+  end
+
+  test "lists nearby systems closest first, leaving out distant ones" do
+    systems = SectorMapService.new(@user, @ship).call[:systems]
+
+    assert_equal @cradle.id, systems.first[:id]
+    assert_includes systems.map { |s| s[:id] }, @mira.id
+    assert_not_includes systems.map { |s| s[:id] }, systems(:alpha_centauri).id
+  end
+
+  test "flags the current, visited and bookmarked systems" do
+    @user.bookmarks.create!(system: @mira)
+
+    systems = SectorMapService.new(@user, @ship).call[:systems].index_by { |s| s[:id] }
+
+    assert systems[@cradle.id][:current]
+    assert systems[@cradle.id][:visited]
+    assert systems[@mira.id][:bookmarked]
+    assert_not systems[@mira.id][:current]
+  end
+
+  test "includes active gates between systems on the map" do
+    WarpGate.create!(system_a: @cradle, system_b: @mira)
+
+    gates = SectorMapService.new(@user, @ship).call[:gates]
+
+    assert_includes gates, [@cradle.id, @mira.id]
+  end
+
+  test "centres on the given system without a ship" do
+    map = SectorMapService.new(@user, nil, center: @mira).call
+
+    assert_equal [503, 501, 500], map[:center]
+    assert_equal @mira.id, map[:current_system_id]
+  end
+
+  test "describes ships in transit with their route and timing" do
+    ship = ships(:traveling)
+
+    transit = SectorMapService.new(users(:traveler)).ships_in_transit.sole
+
+    assert_equal ship.id, transit[:id]
+    assert_equal [500, 500, 500], transit[:from]
+    assert_equal [999, 998, 997], transit[:to]
+    assert_equal ship.arrival_at.iso8601, transit[:arrives_at]
+    assert Time.iso8601(transit[:departs_at]) < ship.arrival_at
+  end
+end
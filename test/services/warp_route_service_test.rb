@@ -68,4 +68,58 @@ class WarpRouteServiceTest < ActiveSupport::TestCase
     assert_equal 1, result[:hops]
     assert_equal [@system_a, @system_d], result[:path]
   end
+
+  test "plan chains routes through waypoints in order" do
+    WarpGate.create!(system_a: @system_a, system_b: @system_b)
+    WarpGate.create!(system_a: @system_b, system_b: @system_c)
+    WarpGate.create!(system_a: @system_a, system_b: @system_d)
+
+    plan = WarpRouteService.plan(@system_a, [@system_c, @system_d], fuel: 100, fuel_capacity: 100)
+
+    assert_equal [@system_c, @system_d], plan[:legs].map { |leg| leg[:to] }
+    assert_equal [[@system_a, @system_b], [@system_b, @system_c], [@system_c, @system_b], [@system_b, @system_a], [@system_a, @system_d]],
+      plan[:hops].map { |hop| [hop[:from], hop[:to]] }
+    assert_equal 5, plan[:total_hops]
+    assert_equal 5 * WarpGate::WARP_FUEL_COST, plan[:fuel_cost]
+    assert_equal 0, plan[:refuels]
+    assert_nil plan[:unreachable]
+  end
+
+  test "plan flags hops that need a refuel and assumes a full tank after" do
+    WarpGate.create!(system_a: @system_a, system_b: @system_b)
+    WarpGate.create!(system_a: @system_b, system_b: @system_c)
+
+    plan = WarpRouteService.plan(@system_a, [@system_c], fuel: WarpGate::WARP_FUEL_COST, fuel_capacity: 50)
+
+    first, second = plan[:hops]
+    assert_not first[:refuel]
+    assert_equal 0, first[:fuel_after]
+    assert second[:refuel]
+    assert_equal 50, second[:fuel_before]
+    assert_equal 1, plan[:refuels]
+  end
+
+  test "plan stops at the first unreachable waypoint" do
+    WarpGate.create!(system_a: @system_a, system_b: @system_b)
+
+    plan = WarpRouteService.plan(@system_a, [@system_b, @system_c, @system_b], fuel: 100, fuel_capacity: 100)
+
+    assert_equal @system_c, plan[:unreachable]
+    assert_equal 1, plan[:legs].size
+  end
+
+  test "alternatives rank reachable orderings by refuels then hops" do
+    WarpGate.create!(system_a: @system_a, system_b: @system_b)
+    WarpGate.create!(system_a: @system_b, system_b: @system_c)
+
+    alternatives = WarpRouteService.alternatives(@system_a, [@system_c, @system_b], fuel: 100, fuel_capacity: 100)
+
+    assert_equal [@system_b, @system_c], alternatives.first[:order]
+    assert_equal 2, alternatives.first[:total_hops]
+    assert_equal [2, 3], alternatives.map { |plan| plan[:total_hops] }
+  end
+
+  test "alternatives need at least two waypoints" do
+    assert_empty WarpRouteService.alternatives(@system_a, [@system_b], fuel: 100, fuel_capacity: 100)
+  end
 end
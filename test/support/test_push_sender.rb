@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+# Stand-in for WebPushSender that records deliveries instead of
+# contacting a push service.
+#
+#   PushNotificationService.sender = TestPushSender.new
+class TestPushSender
+  attr_reader :deliveries
+
+  def initialize
+    @deliveries = []
+  end
+
+  def deliver(subscription, payload)
+    @deliveries << { subscription: subscription, payload: payload }
+    :delivered
+  end
+end
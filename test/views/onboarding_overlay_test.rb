@@ -85,4 +85,14 @@ class OnboardingOverlayTest < ActionView::TestCase
     # Should show step 2 of 6
     assert_match(/2.*6|step 2/i, html)
   end
+
+  test "onboarding_overlay partial carries the step's tour and the callout" do
+    @user.update!(onboarding_step: "ships_tour")
+    html = render partial: "shared/onboarding_overlay", locals: { user: @user }
+
+    assert_includes html, "data-onboarding-user-id-value=\"#{@user.id}\""
+    assert_includes html, "ships.menu"
+    assert_includes html, "data-onboarding-target=\"spotlight\""
+    assert_includes html, "data-onboarding-target=\"callout\""
+  end
 end